@@ -0,0 +1,78 @@
+// Local GraphQL server for exercising real network behavior offline
+// Reuses the same typeDefs and mock resolvers as the in-browser SchemaLink
+//
+//   npm run server
+//   VITE_GRAPHQL_TRANSPORT=local npm run dev
+
+import express from 'express';
+import { graphql } from 'graphql';
+import { makeExecutableSchema } from '@graphql-tools/schema';
+import { typeDefs } from '../src/graphql/schema.js';
+import { resolvers } from '../src/graphql/resolvers.js';
+
+const PORT = Number(process.env.PORT) || 4000;
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const app = express();
+
+// Allow the Vite dev server (different port) to call us
+app.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', req.get('origin') || '*');
+  res.set('Access-Control-Allow-Headers', 'content-type, authorization, x-mock-status');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
+  }
+  next();
+});
+
+app.use(express.json({ limit: '1mb' }));
+
+const executeOperation = (operation, context) => {
+  if (!operation || typeof operation.query !== 'string') {
+    return { errors: [{ message: 'Request body must include a "query" string' }] };
+  }
+
+  return graphql({
+    schema,
+    source: operation.query,
+    variableValues: operation.variables,
+    operationName: operation.operationName,
+    contextValue: context,
+  });
+};
+
+app.post('/graphql', async (req, res) => {
+  // Force an HTTP error to see how the client surfaces network errors
+  const mockStatus = Number(req.get('x-mock-status'));
+  if (mockStatus >= 400) {
+    res.status(mockStatus).json({ errors: [{ message: `Mock HTTP ${mockStatus}` }] });
+    return;
+  }
+
+  const context = { authorization: req.get('authorization') || null };
+  const isBatch = Array.isArray(req.body);
+  const operations = isBatch ? req.body : [req.body];
+
+  console.log(
+    `[graphql] ${operations.length} operation(s): ` +
+    operations.map(op => op?.operationName || 'anonymous').join(', ')
+  );
+
+  const results = await Promise.all(operations.map(op => executeOperation(op, context)));
+  // A single operation that failed validation is a bad request; batches
+  // always answer 200 so one bad operation doesn't fail its siblings
+  const status = !isBatch && results[0].data === undefined ? 400 : 200;
+
+  res.status(status).json(isBatch ? results : results[0]);
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.listen(PORT, () => {
+  console.log(`🚀 GraphQL server ready at http://localhost:${PORT}/graphql`);
+});
@@ -1,6 +1,9 @@
-import { useState } from 'react';
-import { ApolloProvider } from '@apollo/client';
-import { createApolloClient } from './utils/apolloClient';
+import { Suspense, use, useState } from 'react';
+import { ApolloProvider, useReactiveVar } from '@apollo/client';
+import { createApolloClient, createCache } from './utils/apolloClient';
+import { faultConfigVar, faultLogVar, defaultFaultConfig } from './utils/faultInjectionLink';
+import { VersionedCachePersistor } from './utils/cachePersistence';
+import { OfflineMutationQueue, offlineQueueVar, offlineConflictsVar } from './utils/offlineQueue';
 
 // Beginner Examples
 import BasicQuery from './beginner/01-BasicQuery';
@@ -11,13 +14,40 @@ import RefetchingData from './beginner/03-RefetchingData';
 import Mutations from './intermediate/01-Mutations';
 import Pagination from './intermediate/02-Pagination';
 import LocalState from './intermediate/03-LocalState';
+import InfiniteScroll from './intermediate/04-InfiniteScroll';
+import FilteringSorting from './intermediate/05-FilteringSorting';
 
 // Advanced Examples
 import OptimisticUI from './advanced/01-OptimisticUI';
 import CacheManipulation from './advanced/02-CacheManipulation';
 import ErrorHandling from './advanced/03-ErrorHandling';
+import Subscriptions from './advanced/04-Subscriptions';
 
-const client = createApolloClient();
+// The cache survives reloads; VITE_CACHE_STORAGE=indexedDB for larger caches
+const cache = createCache();
+const cachePersistor = new VersionedCachePersistor({
+  cache,
+  storage: import.meta.env.VITE_CACHE_STORAGE || 'localStorage',
+});
+const offlineQueue = new OfflineMutationQueue();
+
+// Choose the transport at startup, e.g. VITE_GRAPHQL_TRANSPORT=local npm run dev
+const client = createApolloClient({
+  transport: import.meta.env.VITE_GRAPHQL_TRANSPORT,
+  uri: import.meta.env.VITE_GRAPHQL_URI,
+  batch: import.meta.env.VITE_GRAPHQL_BATCH === 'true',
+  cache,
+  offlineQueue,
+});
+
+// Restore before the first render so queries start from the persisted cache,
+// then replay any mutations still queued from the last session
+const cacheRestored = cachePersistor
+  .restore()
+  .catch(error => console.error('Failed to restore the Apollo cache:', error))
+  .then(() => {
+    offlineQueue.attach(client);
+  });
 
 const examples = [
   {
@@ -34,6 +64,8 @@ const examples = [
       { id: 'mutations', name: 'Mutations (CRUD)', component: Mutations },
       { id: 'pagination', name: 'Pagination', component: Pagination },
       { id: 'local-state', name: 'Local State Management', component: LocalState },
+      { id: 'infinite-scroll', name: 'Infinite Scroll (Cursors)', component: InfiniteScroll },
+      { id: 'filtering-sorting', name: 'Filtering & Sorting', component: FilteringSorting },
     ],
   },
   {
@@ -42,11 +74,134 @@ const examples = [
       { id: 'optimistic-ui', name: 'Optimistic UI', component: OptimisticUI },
       { id: 'cache-manipulation', name: 'Cache Manipulation', component: CacheManipulation },
       { id: 'error-handling', name: 'Error Handling', component: ErrorHandling },
+      { id: 'subscriptions', name: 'Subscriptions', component: Subscriptions },
     ],
   },
 ];
 
+function FaultInjectionPanel() {
+  const config = useReactiveVar(faultConfigVar);
+  const log = useReactiveVar(faultLogVar);
+
+  const update = (changes) => faultConfigVar({ ...config, ...changes });
+  const isActive = config.offline || config.failureRate > 0 || config.latency > 0 || config.timeout > 0;
+
+  return (
+    <div style={styles.faultPanel}>
+      <h4 style={styles.faultTitle}>🧪 Network Simulator {isActive && <span style={styles.activeDot} />}</h4>
+
+      <label style={styles.faultCheckbox}>
+        <input
+          type="checkbox"
+          checked={config.offline}
+          onChange={(e) => update({ offline: e.target.checked })}
+        />
+        Offline
+      </label>
+
+      <label style={styles.faultLabel}>
+        Latency: {config.latency}ms
+        <input
+          type="range"
+          min="0"
+          max="3000"
+          step="100"
+          value={config.latency}
+          onChange={(e) => update({ latency: Number(e.target.value), jitter: Number(e.target.value) / 2 })}
+        />
+      </label>
+
+      <label style={styles.faultLabel}>
+        Failure rate: {Math.round(config.failureRate * 100)}%
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.1"
+          value={config.failureRate}
+          onChange={(e) => update({ failureRate: Number(e.target.value) })}
+        />
+      </label>
+
+      <label style={styles.faultLabel}>
+        Timeout: {config.timeout ? `${config.timeout}ms` : 'off'}
+        <input
+          type="range"
+          min="0"
+          max="5000"
+          step="500"
+          value={config.timeout}
+          onChange={(e) => update({ timeout: Number(e.target.value) })}
+        />
+      </label>
+
+      <button onClick={() => faultConfigVar(defaultFaultConfig)} style={styles.faultReset}>
+        Reset
+      </button>
+
+      {log.length > 0 && (
+        <ul style={styles.faultLog}>
+          {log.slice(0, 5).map(entry => (
+            <li key={`${entry.at}-${entry.operationName}-${entry.outcome}`}>
+              {entry.outcome === 'ok' ? '✅' : '❌'} {entry.operationName} - {entry.outcome}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function OfflineQueuePanel() {
+  const queue = useReactiveVar(offlineQueueVar);
+  const conflicts = useReactiveVar(offlineConflictsVar);
+
+  return (
+    <div style={styles.faultPanel}>
+      <h4 style={styles.faultTitle}>📥 Offline Queue ({queue.length})</h4>
+
+      {queue.length === 0 ? (
+        <div style={styles.queueEmpty}>Mutations made while offline wait here</div>
+      ) : (
+        <ul style={styles.faultLog}>
+          {queue.map(entry => (
+            <li key={entry.id}>⏳ {entry.operationName} {JSON.stringify(entry.variables)}</li>
+          ))}
+        </ul>
+      )}
+
+      {conflicts.length > 0 && (
+        <ul style={{ ...styles.faultLog, ...styles.conflicts }}>
+          {conflicts.map(conflict => (
+            <li key={conflict.id}>⚠️ {conflict.operationName}: {conflict.code} - {conflict.message}</li>
+          ))}
+        </ul>
+      )}
+
+      <div style={styles.queueActions}>
+        <button onClick={() => offlineQueue.replay()} style={styles.faultReset}>Replay now</button>
+        <button onClick={() => offlineQueue.clear()} style={styles.faultReset}>Clear</button>
+        {conflicts.length > 0 && (
+          <button onClick={() => offlineQueue.dismissConflicts()} style={styles.faultReset}>Dismiss</button>
+        )}
+      </div>
+      <button onClick={() => cachePersistor.purge()} style={styles.faultReset}>
+        Clear persisted cache
+      </button>
+    </div>
+  );
+}
+
 function App() {
+  return (
+    <Suspense fallback={<div style={styles.restoring}>Restoring cache...</div>}>
+      <Examples />
+    </Suspense>
+  );
+}
+
+function Examples() {
+  use(cacheRestored);
   const [selectedExample, setSelectedExample] = useState('basic-query');
 
   const ActiveComponent = examples
@@ -85,6 +240,9 @@ function App() {
               </div>
             ))}
 
+            <FaultInjectionPanel />
+            <OfflineQueuePanel />
+
             <div style={styles.info}>
               <h4>💡 Tips</h4>
               <ul style={styles.tipsList}>
@@ -119,6 +277,17 @@ const styles = {
   activeButton: { backgroundColor: '#007bff', color: '#fff' },
   info: { backgroundColor: '#f9f9f9', padding: '15px', borderRadius: '8px', marginTop: '20px' },
   tipsList: { margin: '10px 0 0 0', paddingLeft: '20px', fontSize: '13px', lineHeight: '1.8' },
+  faultPanel: { backgroundColor: '#f9f9f9', padding: '15px', borderRadius: '8px', marginTop: '20px', display: 'flex', flexDirection: 'column', gap: '10px', fontSize: '13px' },
+  faultTitle: { margin: 0, display: 'flex', alignItems: 'center', gap: '8px' },
+  activeDot: { width: '8px', height: '8px', borderRadius: '50%', backgroundColor: '#dc3545', display: 'inline-block' },
+  faultCheckbox: { display: 'flex', alignItems: 'center', gap: '8px' },
+  faultLabel: { display: 'flex', flexDirection: 'column', gap: '4px' },
+  faultReset: { padding: '6px 12px', backgroundColor: '#6c757d', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' },
+  faultLog: { margin: 0, paddingLeft: '0', listStyle: 'none', fontFamily: 'monospace', fontSize: '12px', lineHeight: '1.6' },
+  queueEmpty: { color: '#999' },
+  queueActions: { display: 'flex', gap: '8px' },
+  conflicts: { color: '#c33' },
+  restoring: { padding: '40px', textAlign: 'center', color: '#666' },
   main: { backgroundColor: '#fff', borderRadius: '8px', padding: '30px', minHeight: '600px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)' },
 };
 
@@ -6,6 +6,7 @@ import { LIKE_POST, CREATE_POST, DELETE_POST } from '../graphql/mutations';
 export default function OptimisticUI() {
   const [title, setTitle] = useState('');
   const [body, setBody] = useState('');
+  const [rollback, setRollback] = useState(null);
 
   const { loading, data } = useQuery(GET_POSTS, {
     variables: { page: 1, limit: 10 },
@@ -29,6 +30,8 @@ export default function OptimisticUI() {
         },
       });
     },
+    // Apollo has already discarded the optimistic layer at this point
+    onError: (error) => setRollback(`Like failed and was rolled back: ${error.message}`),
   });
 
   const [createPost] = useMutation(CREATE_POST, {
@@ -68,11 +71,13 @@ export default function OptimisticUI() {
       setTitle('');
       setBody('');
     },
+    onError: (error) => setRollback(`Post creation failed and was rolled back: ${error.message}`),
   });
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (title && body) {
+      setRollback(null);
       createPost({ variables: { title, body, authorId: '1' } });
     }
   };
@@ -87,6 +92,18 @@ export default function OptimisticUI() {
         Try liking a post or creating one - the UI updates instantly!
       </p>
 
+      <p style={styles.hint}>
+        To see a rollback, switch on <strong>Offline</strong> or set a <strong>Failure rate</strong> and
+        some <strong>Latency</strong> in the Network Simulator, then like a post.
+      </p>
+
+      {rollback && (
+        <div style={styles.rollback}>
+          ↩️ {rollback}
+          <button onClick={() => setRollback(null)} style={styles.dismiss}>✕</button>
+        </div>
+      )}
+
       <div style={styles.formSection}>
         <h3>Create Post (with Optimistic Response)</h3>
         <form onSubmit={handleSubmit} style={styles.form}>
@@ -115,7 +132,10 @@ export default function OptimisticUI() {
             <p>{post.body}</p>
             <div style={styles.postFooter}>
               <button
-                onClick={() => likePost({ variables: { id: post.id } })}
+                onClick={() => {
+                  setRollback(null);
+                  likePost({ variables: { id: post.id } });
+                }}
                 style={styles.likeButton}
               >
                 ❤️ {post.likes}
@@ -142,6 +162,9 @@ export default function OptimisticUI() {
 const styles = {
   container: { padding: '20px', maxWidth: '900px', margin: '0 auto' },
   description: { backgroundColor: '#e3f2fd', padding: '15px', borderRadius: '8px', marginBottom: '20px' },
+  hint: { fontSize: '14px', color: '#666', marginBottom: '20px' },
+  rollback: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', backgroundColor: '#fee', color: '#c33', padding: '15px', borderRadius: '8px', marginBottom: '20px', border: '1px solid #fcc' },
+  dismiss: { background: 'none', border: 'none', color: '#c33', cursor: 'pointer', fontSize: '16px' },
   formSection: { backgroundColor: '#f9f9f9', padding: '20px', borderRadius: '8px', marginBottom: '30px' },
   form: { display: 'flex', flexDirection: 'column', gap: '10px' },
   input: { padding: '12px', border: '1px solid #ddd', borderRadius: '6px' },
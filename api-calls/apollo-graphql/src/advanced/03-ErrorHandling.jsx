@@ -1,8 +1,44 @@
-import { useQuery, useMutation, ApolloError } from '@apollo/client';
-import { GET_USER } from '../graphql/queries';
-import { UPDATE_USER } from '../graphql/mutations';
+import { useState } from 'react';
+import { useQuery, useMutation, useLazyQuery, useReactiveVar } from '@apollo/client';
+import { GET_USER, GET_USERS } from '../graphql/queries';
+import { CREATE_USER, UPDATE_USER, DELETE_USER } from '../graphql/mutations';
+import { ErrorCode } from '../graphql/errors';
+import { USER_ROLES } from '../graphql/validation';
+import { faultConfigVar, faultLogVar } from '../utils/faultInjectionLink';
+
+// Branch on extensions.code, never on the message text
+const codeLabels = {
+  [ErrorCode.NOT_FOUND]: { title: 'Not Found', hint: 'The record may have been deleted. Pick another one.' },
+  [ErrorCode.BAD_USER_INPUT]: { title: 'Invalid Input', hint: 'Fix the highlighted fields and try again.' },
+  [ErrorCode.FORBIDDEN]: { title: 'Forbidden', hint: "You don't have permission to do that." },
+};
+
+const getErrorCode = (error) => error?.graphQLErrors?.[0]?.extensions?.code;
+
+const getFieldErrors = (error) => {
+  const inputError = error?.graphQLErrors?.find(
+    err => err.extensions?.code === ErrorCode.BAD_USER_INPUT
+  );
+  return inputError?.extensions.fields ?? {};
+};
+
+const renderErrorCode = (error) => {
+  const code = getErrorCode(error);
+  if (!code) return null;
+
+  return (
+    <div style={styles.codeRow}>
+      <span style={styles.codeBadge}>{code}</span>
+      <span>{codeLabels[code]?.hint}</span>
+    </div>
+  );
+};
+
+const initialForm = { name: '', email: '', role: 'User' };
 
 export default function ErrorHandling() {
+  const [form, setForm] = useState(initialForm);
+
   // Query with error handling
   const { loading, error, data, refetch } = useQuery(GET_USER, {
     variables: { id: '999' }, // Non-existent user to trigger error
@@ -20,6 +56,39 @@ export default function ErrorHandling() {
     },
   });
 
+  // Validation errors come back as BAD_USER_INPUT with per-field details
+  const [createUser, { data: created, error: createError, loading: creating }] = useMutation(CREATE_USER, {
+    errorPolicy: 'all',
+  });
+  const fieldErrors = getFieldErrors(createError);
+
+  const [deleteUser, { error: deleteError, reset: resetDelete }] = useMutation(DELETE_USER, {
+    errorPolicy: 'all',
+  });
+
+  // Network errors are retried by RetryLink before they reach the component
+  const faultConfig = useReactiveVar(faultConfigVar);
+  const faultLog = useReactiveVar(faultLogVar);
+  const [networkStartedAt, setNetworkStartedAt] = useState(null);
+  const [fetchUsers, { loading: networkLoading, error: networkError, data: networkData }] = useLazyQuery(GET_USERS, {
+    fetchPolicy: 'network-only',
+  });
+  const attempts = networkStartedAt
+    ? faultLog.filter(entry => entry.operationName === 'GetUsers' && entry.at >= networkStartedAt).reverse()
+    : [];
+
+  const handleNetworkFetch = () => {
+    setNetworkStartedAt(Date.now());
+    fetchUsers().catch(() => {});
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createUser({ variables: form });
+  };
+
+  const updateForm = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
   const handleUpdate = () => {
     updateUser({
       variables: {
@@ -45,7 +114,8 @@ export default function ErrorHandling() {
 
         {error && (
           <div style={styles.errorBox}>
-            <h4>Error Details:</h4>
+            <h4>{codeLabels[getErrorCode(error)]?.title ?? 'Error Details'}:</h4>
+            {renderErrorCode(error)}
             <div><strong>Message:</strong> {error.message}</div>
             <div><strong>Network Error:</strong> {error.networkError ? 'Yes' : 'No'}</div>
             {error.graphQLErrors.map((err, i) => (
@@ -71,6 +141,7 @@ export default function ErrorHandling() {
         {mutationError && (
           <div style={styles.errorBox}>
             <h4>Mutation Error:</h4>
+            {renderErrorCode(mutationError)}
             <div>{mutationError.message}</div>
             <button onClick={reset} style={styles.button}>
               Clear Error
@@ -79,7 +150,116 @@ export default function ErrorHandling() {
         )}
       </div>
 
+      <div style={styles.section}>
+        <h3>Field-Level Validation</h3>
+        <p>The server validates email format, role and required fields, and reports every invalid field:</p>
+        <form onSubmit={handleCreate} style={styles.form}>
+          <label style={styles.field}>
+            <input
+              placeholder="Name"
+              value={form.name}
+              onChange={updateForm('name')}
+              style={{ ...styles.input, ...(fieldErrors.name ? styles.inputInvalid : {}) }}
+            />
+            {fieldErrors.name && <span style={styles.fieldError}>{fieldErrors.name}</span>}
+          </label>
+          <label style={styles.field}>
+            <input
+              placeholder="Email (try not-an-email)"
+              value={form.email}
+              onChange={updateForm('email')}
+              style={{ ...styles.input, ...(fieldErrors.email ? styles.inputInvalid : {}) }}
+            />
+            {fieldErrors.email && <span style={styles.fieldError}>{fieldErrors.email}</span>}
+          </label>
+          <label style={styles.field}>
+            <select
+              value={form.role}
+              onChange={updateForm('role')}
+              style={{ ...styles.input, ...(fieldErrors.role ? styles.inputInvalid : {}) }}
+            >
+              {USER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              <option value="SuperAdmin">SuperAdmin (invalid)</option>
+            </select>
+            {fieldErrors.role && <span style={styles.fieldError}>{fieldErrors.role}</span>}
+          </label>
+          <button type="submit" disabled={creating} style={styles.button}>
+            {creating ? 'Creating...' : 'Create User'}
+          </button>
+        </form>
+        {renderErrorCode(createError)}
+        {!createError && created?.createUser && (
+          <div style={styles.success}>Created {created.createUser.name} ({created.createUser.role})</div>
+        )}
+      </div>
+
+      <div style={styles.section}>
+        <h3>Permission Error</h3>
+        <p>Admin users can&apos;t be deleted - the server answers with <code>FORBIDDEN</code>:</p>
+        <button onClick={() => deleteUser({ variables: { id: '1' } })} style={styles.button}>
+          Delete Admin (User 1)
+        </button>
+        {deleteError && (
+          <div style={styles.errorBox}>
+            <h4>{codeLabels[getErrorCode(deleteError)]?.title ?? 'Error'}:</h4>
+            {renderErrorCode(deleteError)}
+            <div>{deleteError.message}</div>
+            <button onClick={resetDelete} style={styles.button}>
+              Clear Error
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div style={styles.section}>
+        <h3>Network Errors and Retry</h3>
+        <p>
+          Turn on <strong>Offline</strong> or raise the <strong>Failure rate</strong> in the Network
+          Simulator (sidebar). Failed queries are attempted up to 3 times with backoff.
+        </p>
+        <div style={styles.codeRow}>
+          <span>Offline: {faultConfig.offline ? 'on' : 'off'}</span>
+          <span>Failure rate: {Math.round(faultConfig.failureRate * 100)}%</span>
+          <span>Timeout: {faultConfig.timeout ? `${faultConfig.timeout}ms` : 'off'}</span>
+        </div>
+        <button onClick={handleNetworkFetch} disabled={networkLoading} style={styles.button}>
+          {networkLoading ? 'Fetching...' : 'Fetch Users (network-only)'}
+        </button>
+
+        {attempts.length > 0 && (
+          <ol style={styles.attempts}>
+            {attempts.map(entry => (
+              <li key={`${entry.at}-${entry.outcome}`}>
+                {entry.outcome === 'ok' ? '✅ succeeded' : `❌ ${entry.outcome}`}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {networkError && !networkLoading && (
+          <div style={styles.errorBox}>
+            <h4>Network Error (after retries):</h4>
+            <div><strong>Message:</strong> {networkError.networkError?.message}</div>
+            <div><strong>Status:</strong> {networkError.networkError?.statusCode ?? 'n/a'}</div>
+            <div><strong>GraphQL Errors:</strong> {networkError.graphQLErrors.length}</div>
+            <button onClick={handleNetworkFetch} style={styles.button}>
+              Retry
+            </button>
+          </div>
+        )}
+        {networkData && !networkError && !networkLoading && (
+          <div style={styles.success}>Loaded {networkData.users.length} users</div>
+        )}
+      </div>
+
       <div style={styles.info}>
+        <h3>Error Codes (extensions.code):</h3>
+        <ul>
+          <li><code>NOT_FOUND</code>: The requested record doesn&apos;t exist</li>
+          <li><code>BAD_USER_INPUT</code>: Validation failed - <code>extensions.fields</code> lists each invalid field</li>
+          <li><code>FORBIDDEN</code>: The operation isn&apos;t allowed</li>
+        </ul>
+
         <h3>Error Policies:</h3>
         <ul>
           <li><code>none</code> (default): Throw error, don't return data</li>
@@ -90,7 +270,7 @@ export default function ErrorHandling() {
         <h3>Error Types:</h3>
         <ul>
           <li><strong>GraphQL Errors:</strong> Server-side validation/logic errors</li>
-          <li><strong>Network Errors:</strong> Connection issues</li>
+          <li><strong>Network Errors:</strong> Connection issues, timeouts, HTTP 5xx (in <code>error.networkError</code>)</li>
           <li><strong>Client Errors:</strong> Invalid queries, cache issues</li>
         </ul>
 
@@ -114,5 +294,13 @@ const styles = {
   errorBox: { backgroundColor: '#fee', color: '#c33', padding: '20px', borderRadius: '8px', marginTop: '15px', border: '1px solid #fcc' },
   success: { backgroundColor: '#d4edda', color: '#155724', padding: '20px', borderRadius: '8px', marginTop: '15px' },
   button: { padding: '10px 20px', backgroundColor: '#007bff', color: '#fff', border: 'none', borderRadius: '6px', cursor: 'pointer', marginTop: '10px' },
+  form: { display: 'flex', flexDirection: 'column', gap: '10px' },
+  field: { display: 'flex', flexDirection: 'column', gap: '4px' },
+  input: { padding: '10px', border: '1px solid #ddd', borderRadius: '6px' },
+  inputInvalid: { borderColor: '#dc3545', backgroundColor: '#fff8f8' },
+  fieldError: { color: '#c33', fontSize: '13px' },
+  codeRow: { display: 'flex', alignItems: 'center', gap: '10px', margin: '10px 0', fontSize: '14px' },
+  attempts: { margin: '15px 0 0 0', fontFamily: 'monospace', fontSize: '13px', lineHeight: '1.8' },
+  codeBadge: { backgroundColor: '#c33', color: '#fff', padding: '2px 8px', borderRadius: '4px', fontFamily: 'monospace', fontSize: '12px' },
   info: { backgroundColor: '#fff3cd', padding: '20px', borderRadius: '8px' },
 };
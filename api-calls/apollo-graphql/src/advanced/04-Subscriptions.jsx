@@ -0,0 +1,167 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useSubscription } from '@apollo/client';
+import { GET_POSTS } from '../graphql/queries';
+import { LIKE_POST, CREATE_POST } from '../graphql/mutations';
+import { POST_LIKED_SUBSCRIPTION, POST_CREATED_SUBSCRIPTION } from '../graphql/subscriptions';
+
+const MAX_FEED_ITEMS = 20;
+
+export default function Subscriptions() {
+  const [feed, setFeed] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [title, setTitle] = useState('');
+
+  const { loading, data } = useQuery(GET_POSTS, {
+    variables: { page: 1, limit: 5 },
+  });
+
+  const addToFeed = (type, post) => {
+    setFeed(prev => [
+      { key: `${type}-${post.id}-${Date.now()}`, type, post, at: new Date().toLocaleTimeString() },
+      ...prev,
+    ].slice(0, MAX_FEED_ITEMS));
+  };
+
+  // Each subscription result is also written to the normalized cache,
+  // so the like counts in the post list below update on their own
+  const { data: likedData } = useSubscription(POST_LIKED_SUBSCRIPTION, {
+    skip: paused,
+    onData: ({ data: { data } }) => addToFeed('liked', data.postLiked),
+  });
+
+  useSubscription(POST_CREATED_SUBSCRIPTION, {
+    skip: paused,
+    onData: ({ data: { data } }) => addToFeed('created', data.postCreated),
+  });
+
+  const [likePost] = useMutation(LIKE_POST);
+  const [createPost, { loading: creating }] = useMutation(CREATE_POST, {
+    onCompleted: () => setTitle(''),
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (title) {
+      createPost({
+        variables: { title, body: 'Created from the subscriptions demo.', authorId: '1' },
+      });
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h2>Subscriptions Example</h2>
+      <p style={styles.description}>
+        Subscriptions push events from the server to the client. Liking or creating
+        a post publishes an event that every active subscriber receives instantly.
+      </p>
+
+      <div style={styles.grid}>
+        <div style={styles.section}>
+          <h3>Trigger Events</h3>
+          <form onSubmit={handleCreate} style={styles.form}>
+            <input
+              type="text"
+              placeholder="New post title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              style={styles.input}
+            />
+            <button type="submit" disabled={creating} style={styles.button}>
+              {creating ? 'Creating...' : 'Create Post'}
+            </button>
+          </form>
+
+          {loading && <div style={styles.loading}>Loading posts...</div>}
+          {data?.posts.posts.map(post => (
+            <div key={post.id} style={styles.postRow}>
+              <span>{post.title}</span>
+              <button
+                onClick={() => likePost({ variables: { id: post.id } })}
+                style={styles.likeButton}
+              >
+                ❤️ {post.likes}
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div style={styles.section}>
+          <div style={styles.feedHeader}>
+            <h3>Live Feed</h3>
+            <div style={styles.feedControls}>
+              <button onClick={() => setPaused(p => !p)} style={styles.smallButton}>
+                {paused ? '▶ Resume' : '⏸ Pause'}
+              </button>
+              <button onClick={() => setFeed([])} style={styles.smallButton}>
+                Clear
+              </button>
+            </div>
+          </div>
+
+          <div style={styles.status}>
+            <span style={{ ...styles.dot, backgroundColor: paused ? '#999' : '#28a745' }} />
+            {paused ? 'Unsubscribed' : 'Listening for postLiked and postCreated'}
+          </div>
+
+          {likedData && (
+            <div style={styles.latest}>
+              Latest like: <strong>{likedData.postLiked.title}</strong> ({likedData.postLiked.likes} likes)
+            </div>
+          )}
+
+          {feed.length === 0 ? (
+            <div style={styles.empty}>No events yet. Like or create a post.</div>
+          ) : (
+            feed.map(event => (
+              <div key={event.key} style={styles.feedItem}>
+                <span>{event.type === 'liked' ? '❤️' : '📝'}</span>
+                <span style={styles.feedText}>
+                  {event.type === 'liked'
+                    ? `${event.post.title} now has ${event.post.likes} likes`
+                    : `${event.post.author.name} created "${event.post.title}"`}
+                </span>
+                <span style={styles.time}>{event.at}</span>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      <div style={styles.info}>
+        <h3>Key Concepts:</h3>
+        <ul>
+          <li><strong>useSubscription:</strong> Opens a stream of results for a subscription operation</li>
+          <li><strong>onData:</strong> Called for every event pushed by the server</li>
+          <li><strong>split():</strong> Routes subscriptions to a streaming link and queries/mutations to another</li>
+          <li><strong>skip:</strong> Unsubscribes while true, resubscribes when false</li>
+          <li><strong>Cache updates:</strong> Events with <code>__typename</code> and <code>id</code> update normalized entities</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: { padding: '20px', maxWidth: '900px', margin: '0 auto' },
+  description: { backgroundColor: '#e3f2fd', padding: '15px', borderRadius: '8px', marginBottom: '20px' },
+  grid: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px', marginBottom: '20px' },
+  section: { backgroundColor: '#f9f9f9', padding: '20px', borderRadius: '8px' },
+  form: { display: 'flex', gap: '10px', marginBottom: '15px' },
+  input: { flex: 1, padding: '10px', border: '1px solid #ddd', borderRadius: '6px' },
+  button: { padding: '10px 20px', backgroundColor: '#007bff', color: '#fff', border: 'none', borderRadius: '6px', cursor: 'pointer' },
+  loading: { padding: '20px', textAlign: 'center', color: '#666' },
+  postRow: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', backgroundColor: '#fff', border: '1px solid #ddd', borderRadius: '6px', padding: '10px', marginBottom: '8px' },
+  likeButton: { padding: '6px 12px', backgroundColor: '#fff', border: '2px solid #dc3545', borderRadius: '20px', cursor: 'pointer' },
+  feedHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
+  feedControls: { display: 'flex', gap: '8px' },
+  smallButton: { padding: '6px 12px', backgroundColor: '#6c757d', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '13px' },
+  status: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#666', marginBottom: '15px' },
+  dot: { width: '10px', height: '10px', borderRadius: '50%', display: 'inline-block' },
+  latest: { backgroundColor: '#d4edda', color: '#155724', padding: '10px', borderRadius: '6px', marginBottom: '15px', fontSize: '14px' },
+  empty: { padding: '20px', textAlign: 'center', color: '#999' },
+  feedItem: { display: 'flex', alignItems: 'center', gap: '10px', backgroundColor: '#fff', borderLeft: '3px solid #007bff', padding: '10px', marginBottom: '8px', fontSize: '14px' },
+  feedText: { flex: 1 },
+  time: { color: '#999', fontSize: '12px' },
+  info: { backgroundColor: '#fff3cd', padding: '20px', borderRadius: '8px' },
+};
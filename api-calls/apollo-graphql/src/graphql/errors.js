@@ -0,0 +1,28 @@
+import { GraphQLError } from 'graphql';
+
+// Error codes sent in `extensions.code` - clients branch on these,
+// never on the human-readable message
+export const ErrorCode = {
+  NOT_FOUND: 'NOT_FOUND',
+  BAD_USER_INPUT: 'BAD_USER_INPUT',
+  FORBIDDEN: 'FORBIDDEN',
+};
+
+export const notFoundError = (type, id) => {
+  return new GraphQLError(`${type} not found`, {
+    extensions: { code: ErrorCode.NOT_FOUND, type, id },
+  });
+};
+
+// `fields` maps argument names to messages, e.g. { email: 'Must be a valid email address' }
+export const badUserInputError = (message, fields = {}) => {
+  return new GraphQLError(message, {
+    extensions: { code: ErrorCode.BAD_USER_INPUT, fields },
+  });
+};
+
+export const forbiddenError = (message) => {
+  return new GraphQLError(message, {
+    extensions: { code: ErrorCode.FORBIDDEN },
+  });
+};
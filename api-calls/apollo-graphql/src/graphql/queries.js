@@ -12,6 +12,17 @@ export const GET_USERS = gql`
   }
 `;
 
+export const GET_FILTERED_USERS = gql`
+  query GetFilteredUsers($filter: UserFilter, $orderBy: UserOrderBy) {
+    users(filter: $filter, orderBy: $orderBy) {
+      id
+      name
+      email
+      role
+    }
+  }
+`;
+
 export const GET_USER = gql`
   query GetUser($id: ID!) {
     user(id: $id) {
@@ -61,6 +72,52 @@ export const GET_POSTS = gql`
   }
 `;
 
+export const GET_FILTERED_POSTS = gql`
+  query GetFilteredPosts($page: Int, $limit: Int, $filter: PostFilter, $orderBy: PostOrderBy) {
+    posts(page: $page, limit: $limit, filter: $filter, orderBy: $orderBy) {
+      posts {
+        id
+        title
+        likes
+        author {
+          id
+          name
+        }
+      }
+      total
+      page
+      hasMore
+    }
+  }
+`;
+
+export const GET_POSTS_CONNECTION = gql`
+  query GetPostsConnection($first: Int, $after: String, $last: Int, $before: String) {
+    postsConnection(first: $first, after: $after, last: $last, before: $before) {
+      edges {
+        cursor
+        node {
+          id
+          title
+          body
+          likes
+          author {
+            id
+            name
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        startCursor
+        endCursor
+      }
+      totalCount
+    }
+  }
+`;
+
 export const GET_POST = gql`
   query GetPost($id: ID!) {
     post(id: $id) {
@@ -101,8 +158,8 @@ export const GET_POST_WITH_COMMENTS = gql`
 
 // Search Query
 export const SEARCH_POSTS = gql`
-  query SearchPosts($query: String!) {
-    searchPosts(query: $query) {
+  query SearchPosts($query: String!, $filter: PostFilter, $orderBy: PostOrderBy) {
+    searchPosts(query: $query, filter: $filter, orderBy: $orderBy) {
       id
       title
       body
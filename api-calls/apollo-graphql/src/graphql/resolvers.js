@@ -0,0 +1,205 @@
+import {
+  users,
+  posts,
+  getPaginatedPosts,
+  filterUsers,
+  sortBy,
+  getPostsConnection,
+  getCommentsForPost,
+  searchPosts,
+  nextUserId,
+  nextPostId,
+  nextFrontSortKey,
+} from '../utils/mockData.js';
+import { pubsub, POST_LIKED, POST_CREATED } from '../utils/pubsub.js';
+import { notFoundError, badUserInputError, forbiddenError } from './errors.js';
+import { validateUserInput, validatePostInput } from './validation.js';
+
+// Mock resolvers - simulates a GraphQL server
+// Shared by the in-browser SchemaLink and the local Express server (server/index.js)
+export const resolvers = {
+  Query: {
+    users: (_, { filter, orderBy }) => {
+      return new Promise((resolve) => {
+        setTimeout(() => resolve(sortBy(filterUsers(users, filter), orderBy)), 500);
+      });
+    },
+    user: (_, { id }) => {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const user = users.find(u => u.id === id);
+          if (user) resolve(user);
+          else reject(notFoundError('User', id));
+        }, 500);
+      });
+    },
+    posts: (_, { page = 1, limit = 10, filter, orderBy }) => {
+      return new Promise((resolve) => {
+        setTimeout(() => resolve(getPaginatedPosts(page, limit, filter, orderBy)), 800);
+      });
+    },
+    postsConnection: (_, args) => {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          try {
+            resolve(getPostsConnection(args));
+          } catch (error) {
+            reject(badUserInputError(error.message));
+          }
+        }, 800);
+      });
+    },
+    post: (_, { id }) => {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const post = posts.find(p => p.id === id);
+          if (post) resolve(post);
+          else reject(notFoundError('Post', id));
+        }, 500);
+      });
+    },
+    comments: (_, { postId }) => {
+      return new Promise((resolve) => {
+        setTimeout(() => resolve(getCommentsForPost(postId)), 600);
+      });
+    },
+    searchPosts: (_, { query, filter, orderBy }) => {
+      return new Promise((resolve) => {
+        setTimeout(() => resolve(searchPosts(query, filter, orderBy)), 700);
+      });
+    },
+  },
+  Mutation: {
+    createUser: (_, { name, email, role }) => {
+      validateUserInput({ name, email, role });
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          const newUser = {
+            id: nextUserId(),
+            name,
+            email,
+            role,
+            __typename: 'User',
+          };
+          users.push(newUser);
+          resolve(newUser);
+        }, 800);
+      });
+    },
+    updateUser: (_, { id, name, email, role }) => {
+      validateUserInput({ name, email, role }, { partial: true });
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const user = users.find(u => u.id === id);
+          if (user) {
+            if (name !== undefined) user.name = name;
+            if (email !== undefined) user.email = email;
+            if (role !== undefined) user.role = role;
+            resolve(user);
+          } else {
+            reject(notFoundError('User', id));
+          }
+        }, 700);
+      });
+    },
+    deleteUser: (_, { id }) => {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const index = users.findIndex(u => u.id === id);
+          if (index !== -1 && users[index].role === 'Admin') {
+            reject(forbiddenError('Admin users cannot be deleted'));
+          } else if (index !== -1) {
+            users.splice(index, 1);
+            resolve({ success: true, message: 'User deleted', __typename: 'DeleteResponse' });
+          } else {
+            reject(notFoundError('User', id));
+          }
+        }, 600);
+      });
+    },
+    createPost: (_, { title, body, authorId }) => {
+      validatePostInput({ title, body });
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const author = users.find(u => u.id === authorId);
+          if (!author) {
+            reject(badUserInputError('Author not found', { authorId: `No user with id ${authorId}` }));
+            return;
+          }
+          const newPost = {
+            id: nextPostId(),
+            title,
+            body,
+            likes: 0,
+            author,
+            sortKey: nextFrontSortKey(),
+            __typename: 'Post',
+          };
+          posts.unshift(newPost);
+          pubsub.publish(POST_CREATED, { postCreated: newPost });
+          resolve(newPost);
+        }, 900);
+      });
+    },
+    updatePost: (_, { id, title, body }) => {
+      validatePostInput({ title, body }, { partial: true });
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const post = posts.find(p => p.id === id);
+          if (post) {
+            if (title !== undefined) post.title = title;
+            if (body !== undefined) post.body = body;
+            resolve(post);
+          } else {
+            reject(notFoundError('Post', id));
+          }
+        }, 700);
+      });
+    },
+    likePost: (_, { id }) => {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const post = posts.find(p => p.id === id);
+          if (post) {
+            post.likes += 1;
+            pubsub.publish(POST_LIKED, { postLiked: post });
+            resolve(post);
+          } else {
+            reject(notFoundError('Post', id));
+          }
+        }, 300);
+      });
+    },
+    deletePost: (_, { id }) => {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const index = posts.findIndex(p => p.id === id);
+          if (index !== -1) {
+            posts.splice(index, 1);
+            resolve({ success: true, message: 'Post deleted', __typename: 'DeleteResponse' });
+          } else {
+            reject(notFoundError('Post', id));
+          }
+        }, 600);
+      });
+    },
+  },
+  Subscription: {
+    postLiked: {
+      subscribe: () => pubsub.asyncIterator(POST_LIKED),
+    },
+    postCreated: {
+      subscribe: () => pubsub.asyncIterator(POST_CREATED),
+    },
+  },
+  User: {
+    posts: (user) => {
+      return posts.filter(p => p.author.id === user.id);
+    },
+  },
+  Post: {
+    comments: (post) => {
+      return getCommentsForPost(post.id);
+    },
+  },
+};
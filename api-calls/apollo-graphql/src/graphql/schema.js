@@ -1,7 +1,7 @@
-import { gql } from '@apollo/client';
+import { gql } from 'graphql-tag';
 
-// Type Definitions (for reference - not used in Apollo Client directly)
-// In a real app, these would be on your GraphQL server
+// Type Definitions - used by SchemaLink in the browser and by the local server
+// graphql-tag (re-exported by Apollo as `gql`) is imported directly so Node can load this file
 
 export const typeDefs = gql`
   type User {
@@ -28,13 +28,52 @@ export const typeDefs = gql`
     post: Post!
   }
 
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  enum UserSortField {
+    ID
+    NAME
+  }
+
+  enum PostSortField {
+    ID
+    LIKES
+  }
+
+  # Text filters are case-insensitive substring matches
+  input UserFilter {
+    role: String
+    search: String
+  }
+
+  input UserOrderBy {
+    field: UserSortField!
+    direction: SortDirection = ASC
+  }
+
+  input PostFilter {
+    authorId: ID
+    minLikes: Int
+    maxLikes: Int
+    search: String
+  }
+
+  input PostOrderBy {
+    field: PostSortField!
+    direction: SortDirection = ASC
+  }
+
   type Query {
-    users: [User!]!
+    users(filter: UserFilter, orderBy: UserOrderBy): [User!]!
     user(id: ID!): User
-    posts(page: Int, limit: Int): PostConnection!
+    posts(page: Int, limit: Int, filter: PostFilter, orderBy: PostOrderBy): PostConnection!
+    postsConnection(first: Int, after: String, last: Int, before: String): PostCursorConnection!
     post(id: ID!): Post
     comments(postId: ID!): [Comment!]!
-    searchPosts(query: String!): [Post!]!
+    searchPosts(query: String!, filter: PostFilter, orderBy: PostOrderBy): [Post!]!
   }
 
   type PostConnection {
@@ -44,6 +83,25 @@ export const typeDefs = gql`
     hasMore: Boolean!
   }
 
+  # Relay-style cursor connection
+  type PostCursorConnection {
+    edges: [PostEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type PostEdge {
+    cursor: String!
+    node: Post!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
   type Mutation {
     createUser(name: String!, email: String!, role: String!): User!
     updateUser(id: ID!, name: String, email: String, role: String): User!
@@ -0,0 +1,44 @@
+import { badUserInputError } from './errors.js';
+
+export const USER_ROLES = ['Admin', 'Moderator', 'User'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) => typeof value !== 'string' || value.trim() === '';
+
+// Each validator collects every problem instead of stopping at the first,
+// so the client can show all field errors at once.
+// With `partial`, only the fields that were passed are checked (for updates).
+
+export const validateUserInput = ({ name, email, role }, { partial = false } = {}) => {
+  const fields = {};
+
+  if ((!partial || name !== undefined) && isBlank(name)) {
+    fields.name = 'Name is required';
+  }
+  if ((!partial || email !== undefined) && !EMAIL_PATTERN.test(email ?? '')) {
+    fields.email = 'Must be a valid email address';
+  }
+  if ((!partial || role !== undefined) && !USER_ROLES.includes(role)) {
+    fields.role = `Role must be one of: ${USER_ROLES.join(', ')}`;
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw badUserInputError('Invalid user input', fields);
+  }
+};
+
+export const validatePostInput = ({ title, body }, { partial = false } = {}) => {
+  const fields = {};
+
+  if ((!partial || title !== undefined) && isBlank(title)) {
+    fields.title = 'Title must not be empty';
+  }
+  if ((!partial || body !== undefined) && isBlank(body)) {
+    fields.body = 'Body must not be empty';
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw badUserInputError('Invalid post input', fields);
+  }
+};
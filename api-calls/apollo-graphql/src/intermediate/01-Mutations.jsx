@@ -35,10 +35,12 @@ export default function Mutations() {
   );
 
   // Delete user mutation
-  const [deleteUser, { loading: deleting }] = useMutation(
+  const [deleteUser, { loading: deleting, error: deleteError }] = useMutation(
     DELETE_USER,
     {
       refetchQueries: [{ query: GET_USERS }],
+      // Deleting an Admin is rejected by the server (FORBIDDEN)
+      onError: () => {},
     }
   );
 
@@ -76,6 +78,10 @@ export default function Mutations() {
         id: user.id,
         role: newRole,
       },
+      // Shows the new role right away, even if the mutation is queued offline
+      optimisticResponse: {
+        updateUser: { ...user, role: newRole },
+      },
     });
   };
 
@@ -141,6 +147,11 @@ export default function Mutations() {
       {/* Users List */}
       <div style={styles.usersSection}>
         <h3>Users ({data.users.length})</h3>
+        {deleteError && (
+          <div style={styles.error}>
+            Error: {deleteError.message}
+          </div>
+        )}
         <div style={styles.userList}>
           {data.users.map(user => (
             <div key={user.id} style={styles.userCard}>
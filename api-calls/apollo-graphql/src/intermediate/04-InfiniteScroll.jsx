@@ -0,0 +1,175 @@
+import { useEffect, useRef, useState } from 'react';
+import { useQuery, useMutation, NetworkStatus } from '@apollo/client';
+import { GET_POSTS_CONNECTION } from '../graphql/queries';
+import { CREATE_POST, DELETE_POST } from '../graphql/mutations';
+
+const PAGE_SIZE = 10;
+
+export default function InfiniteScroll() {
+  const [title, setTitle] = useState('');
+  const scrollRef = useRef(null);
+  const sentinelRef = useRef(null);
+
+  const { error, data, fetchMore, networkStatus } = useQuery(GET_POSTS_CONNECTION, {
+    variables: { first: PAGE_SIZE },
+    notifyOnNetworkStatusChange: true,
+  });
+
+  const connection = data?.postsConnection;
+  const pageInfo = connection?.pageInfo;
+  const hasData = Boolean(connection);
+  const isFetchingMore = networkStatus === NetworkStatus.fetchMore;
+
+  // relayStylePagination appends edges fetched with `after`...
+  const loadOlder = () => {
+    if (!pageInfo?.hasNextPage || isFetchingMore) return;
+    fetchMore({ variables: { after: pageInfo.endCursor } });
+  };
+
+  // ...and prepends edges fetched with `before`
+  const loadNewer = () => {
+    if (!pageInfo?.startCursor) return;
+    fetchMore({ variables: { first: null, last: PAGE_SIZE, before: pageInfo.startCursor } });
+  };
+
+  const loadOlderRef = useRef(loadOlder);
+  useEffect(() => {
+    loadOlderRef.current = loadOlder;
+  });
+
+  // Load the next page when the sentinel at the bottom scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadOlderRef.current();
+      },
+      { root: scrollRef.current, rootMargin: '100px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasData]);
+
+  const [createPost, { loading: creating }] = useMutation(CREATE_POST, {
+    onCompleted: () => {
+      setTitle('');
+      // The new post sorts before startCursor; loaded edges keep their cursors
+      loadNewer();
+    },
+  });
+
+  const [deletePost] = useMutation(DELETE_POST);
+
+  const handleDelete = (id) => {
+    deletePost({
+      variables: { id },
+      update: (cache) => {
+        // The read function of relayStylePagination skips dangling edges
+        cache.evict({ id: cache.identify({ __typename: 'Post', id }) });
+        cache.gc();
+      },
+    });
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (title) {
+      createPost({
+        variables: { title, body: 'Inserted at the top of the feed.', authorId: '1' },
+      });
+    }
+  };
+
+  if (networkStatus === NetworkStatus.loading && !data) {
+    return <div style={styles.loading}>Loading posts...</div>;
+  }
+
+  if (error && !data) {
+    return <div style={styles.error}>Error: {error.message}</div>;
+  }
+
+  return (
+    <div style={styles.container}>
+      <h2>Infinite Scroll (Cursor Pagination)</h2>
+      <p style={styles.description}>
+        Relay-style cursor pagination with <code>postsConnection</code>. Scroll to the bottom
+        to load more. Inserting or deleting posts doesn&apos;t shift what&apos;s already loaded,
+        because each cursor points at a post&apos;s position rather than an offset.
+      </p>
+
+      <form onSubmit={handleCreate} style={styles.form}>
+        <input
+          type="text"
+          placeholder="Insert a post at the top"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          style={styles.input}
+        />
+        <button type="submit" disabled={creating} style={styles.button}>
+          {creating ? 'Inserting...' : 'Insert Post'}
+        </button>
+      </form>
+
+      <div style={styles.stats}>
+        <div><strong>Loaded:</strong> {connection.edges.length} of {connection.totalCount}</div>
+        <div><strong>Has Next Page:</strong> {pageInfo.hasNextPage ? 'Yes' : 'No'}</div>
+        <div><strong>End Cursor:</strong> <code>{pageInfo.endCursor}</code></div>
+      </div>
+
+      <div ref={scrollRef} style={styles.scrollArea}>
+        {connection.edges.map(({ cursor, node: post }) => (
+          <div key={cursor} style={styles.postCard}>
+            <div style={styles.postHeader}>
+              <h4 style={styles.postTitle}>{post.title}</h4>
+              <button onClick={() => handleDelete(post.id)} style={styles.deleteButton}>
+                Delete
+              </button>
+            </div>
+            <p>{post.body}</p>
+            <div style={styles.postFooter}>
+              <span>❤️ {post.likes}</span>
+              <span>By {post.author.name}</span>
+            </div>
+          </div>
+        ))}
+
+        <div ref={sentinelRef} style={styles.sentinel}>
+          {isFetchingMore && 'Loading more...'}
+          {!isFetchingMore && !pageInfo.hasNextPage && 'You reached the end 🎉'}
+        </div>
+      </div>
+
+      <div style={styles.info}>
+        <h3>Key Concepts:</h3>
+        <ul>
+          <li><strong>edges / pageInfo:</strong> Relay connection shape with a cursor per edge</li>
+          <li><strong>relayStylePagination():</strong> Field policy that merges pages by cursor</li>
+          <li><strong>fetchMore with after:</strong> Appends the next page</li>
+          <li><strong>fetchMore with before:</strong> Prepends newer items</li>
+          <li><strong>cache.evict():</strong> Removes a post; dangling edges are skipped on read</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: { padding: '20px', maxWidth: '900px', margin: '0 auto' },
+  description: { backgroundColor: '#e3f2fd', padding: '15px', borderRadius: '8px', marginBottom: '20px' },
+  form: { display: 'flex', gap: '10px', marginBottom: '20px' },
+  input: { flex: 1, padding: '10px', border: '1px solid #ddd', borderRadius: '6px' },
+  button: { padding: '10px 20px', backgroundColor: '#007bff', color: '#fff', border: 'none', borderRadius: '6px', cursor: 'pointer' },
+  stats: { display: 'flex', justifyContent: 'space-around', backgroundColor: '#f5f5f5', padding: '20px', borderRadius: '8px', marginBottom: '20px', fontSize: '14px' },
+  loading: { textAlign: 'center', padding: '40px', color: '#666' },
+  error: { backgroundColor: '#fee', color: '#c33', padding: '20px', borderRadius: '8px' },
+  scrollArea: { height: '500px', overflowY: 'auto', border: '1px solid #ddd', borderRadius: '8px', padding: '15px', marginBottom: '20px' },
+  postCard: { backgroundColor: '#fff', border: '1px solid #ddd', borderRadius: '8px', padding: '15px', marginBottom: '15px' },
+  postHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
+  postTitle: { margin: 0 },
+  deleteButton: { padding: '6px 12px', backgroundColor: '#dc3545', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '13px' },
+  postFooter: { display: 'flex', justifyContent: 'space-between', marginTop: '10px', paddingTop: '10px', borderTop: '1px solid #eee', color: '#666', fontSize: '14px' },
+  sentinel: { textAlign: 'center', padding: '20px', color: '#666' },
+  info: { backgroundColor: '#fff3cd', padding: '20px', borderRadius: '8px' },
+};
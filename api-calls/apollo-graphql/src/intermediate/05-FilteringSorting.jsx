@@ -0,0 +1,235 @@
+import { useState } from 'react';
+import { useQuery, useApolloClient } from '@apollo/client';
+import { GET_FILTERED_POSTS, GET_FILTERED_USERS, GET_USERS } from '../graphql/queries';
+
+/**
+ * INTERMEDIATE EXAMPLE 5: Filtering and Sorting
+ *
+ * Learn how to:
+ * - Pass input objects (PostFilter, PostOrderBy) as query variables
+ * - Build variables from a form without creating needless cache entries
+ * - Check whether a set of variables is already in the cache
+ */
+
+const ROLES = ['Admin', 'Moderator', 'User'];
+
+const initialPostForm = { search: '', authorId: '', minLikes: '', maxLikes: '', field: 'ID', direction: 'ASC' };
+const initialUserForm = { search: '', role: '', field: 'ID', direction: 'ASC' };
+
+// Drop empty fields so that an untouched input and a cleared one produce
+// the same variables - and therefore hit the same cache entry
+const compact = (object) => {
+  const entries = Object.entries(object).filter(([, value]) => value !== '' && value != null);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+};
+
+const toInt = (value) => (value === '' ? undefined : Number.parseInt(value, 10));
+
+const buildPostVariables = (form) => ({
+  page: 1,
+  limit: 20,
+  filter: compact({
+    search: form.search.trim(),
+    authorId: form.authorId,
+    minLikes: toInt(form.minLikes),
+    maxLikes: toInt(form.maxLikes),
+  }),
+  orderBy: { field: form.field, direction: form.direction },
+});
+
+const buildUserVariables = (form) => ({
+  filter: compact({ search: form.search.trim(), role: form.role }),
+  orderBy: { field: form.field, direction: form.direction },
+});
+
+export default function FilteringSorting() {
+  const client = useApolloClient();
+  const [entity, setEntity] = useState('posts');
+  const [postForm, setPostForm] = useState(initialPostForm);
+  const [userForm, setUserForm] = useState(initialUserForm);
+
+  const isPosts = entity === 'posts';
+  const query = isPosts ? GET_FILTERED_POSTS : GET_FILTERED_USERS;
+  const variables = isPosts ? buildPostVariables(postForm) : buildUserVariables(userForm);
+
+  // Checked before the query runs, so it reflects the cache for these exact variables
+  const isCached = client.readQuery({ query, variables }) !== null;
+
+  const { data: authorsData } = useQuery(GET_USERS);
+  const { loading, error, data, previousData } = useQuery(query, {
+    variables,
+    fetchPolicy: 'cache-first',
+  });
+
+  const displayData = data || previousData;
+
+  const updatePostForm = (field) => (e) => setPostForm(form => ({ ...form, [field]: e.target.value }));
+  const updateUserForm = (field) => (e) => setUserForm(form => ({ ...form, [field]: e.target.value }));
+
+  return (
+    <div style={styles.container}>
+      <h2>Filtering and Sorting Example</h2>
+      <p style={styles.description}>
+        The server filters and sorts using typed <code>filter</code> and <code>orderBy</code> input
+        objects. Change the form and switch back - variables you&apos;ve already used are served from the cache.
+      </p>
+
+      <div style={styles.tabs}>
+        {['posts', 'users'].map(tab => (
+          <button
+            key={tab}
+            onClick={() => setEntity(tab)}
+            style={{ ...styles.tab, ...(entity === tab ? styles.activeTab : {}) }}
+          >
+            {tab === 'posts' ? 'Posts' : 'Users'}
+          </button>
+        ))}
+      </div>
+
+      <div style={styles.form}>
+        {isPosts ? (
+          <>
+            <input
+              placeholder="Search title or body"
+              value={postForm.search}
+              onChange={updatePostForm('search')}
+              style={styles.input}
+            />
+            <select value={postForm.authorId} onChange={updatePostForm('authorId')} style={styles.input}>
+              <option value="">Any author</option>
+              {authorsData?.users.map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              placeholder="Min likes"
+              value={postForm.minLikes}
+              onChange={updatePostForm('minLikes')}
+              style={styles.input}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Max likes"
+              value={postForm.maxLikes}
+              onChange={updatePostForm('maxLikes')}
+              style={styles.input}
+            />
+            <select value={postForm.field} onChange={updatePostForm('field')} style={styles.input}>
+              <option value="ID">Sort by ID</option>
+              <option value="LIKES">Sort by likes</option>
+            </select>
+            <select value={postForm.direction} onChange={updatePostForm('direction')} style={styles.input}>
+              <option value="ASC">Ascending</option>
+              <option value="DESC">Descending</option>
+            </select>
+            <button onClick={() => setPostForm(initialPostForm)} style={styles.resetButton}>
+              Reset
+            </button>
+          </>
+        ) : (
+          <>
+            <input
+              placeholder="Search name or email"
+              value={userForm.search}
+              onChange={updateUserForm('search')}
+              style={styles.input}
+            />
+            <select value={userForm.role} onChange={updateUserForm('role')} style={styles.input}>
+              <option value="">Any role</option>
+              {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+            </select>
+            <select value={userForm.field} onChange={updateUserForm('field')} style={styles.input}>
+              <option value="ID">Sort by ID</option>
+              <option value="NAME">Sort by name</option>
+            </select>
+            <select value={userForm.direction} onChange={updateUserForm('direction')} style={styles.input}>
+              <option value="ASC">Ascending</option>
+              <option value="DESC">Descending</option>
+            </select>
+            <button onClick={() => setUserForm(initialUserForm)} style={styles.resetButton}>
+              Reset
+            </button>
+          </>
+        )}
+      </div>
+
+      <div style={styles.queryBox}>
+        <div style={styles.queryHeader}>
+          <h4 style={styles.queryTitle}>Variables</h4>
+          <span style={{ ...styles.badge, backgroundColor: isCached ? '#28a745' : '#ffc107' }}>
+            {isCached ? 'Cached' : 'Not cached yet'}
+          </span>
+        </div>
+        <pre style={styles.code}>{JSON.stringify(variables, null, 2)}</pre>
+      </div>
+
+      {error && <div style={styles.error}>Error: {error.message}</div>}
+
+      {!displayData && loading && <div style={styles.loading}>Loading...</div>}
+
+      {displayData && (
+        <div style={{ ...styles.results, opacity: loading ? 0.5 : 1 }}>
+          {isPosts && displayData.posts ? (
+            <>
+              <div style={styles.resultCount}>{displayData.posts.total} matching posts</div>
+              {displayData.posts.posts.map(post => (
+                <div key={post.id} style={styles.row}>
+                  <span><strong>#{post.id}</strong> {post.title}</span>
+                  <span style={styles.meta}>❤️ {post.likes} · {post.author.name}</span>
+                </div>
+              ))}
+            </>
+          ) : null}
+          {!isPosts && displayData.users ? (
+            <>
+              <div style={styles.resultCount}>{displayData.users.length} matching users</div>
+              {displayData.users.map(user => (
+                <div key={user.id} style={styles.row}>
+                  <span><strong>#{user.id}</strong> {user.name}</span>
+                  <span style={styles.meta}>{user.email} · {user.role}</span>
+                </div>
+              ))}
+            </>
+          ) : null}
+        </div>
+      )}
+
+      <div style={styles.info}>
+        <h3>Key Concepts:</h3>
+        <ul>
+          <li><strong>Input types:</strong> <code>PostFilter</code>, <code>PostOrderBy</code> and <code>UserFilter</code> group related arguments</li>
+          <li><strong>Enums:</strong> <code>SortDirection</code> and sort fields are validated by the schema</li>
+          <li><strong>keyArgs:</strong> <code>posts</code> is cached per page, limit, filter and orderBy</li>
+          <li><strong>Compact variables:</strong> Empty fields are omitted so equal filters share a cache entry</li>
+          <li><strong>cache-first:</strong> Revisiting a filter skips the network entirely</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: { padding: '20px', maxWidth: '900px', margin: '0 auto' },
+  description: { backgroundColor: '#e3f2fd', padding: '15px', borderRadius: '8px', marginBottom: '20px' },
+  tabs: { display: 'flex', gap: '10px', marginBottom: '15px' },
+  tab: { padding: '10px 20px', backgroundColor: '#f5f5f5', border: '1px solid #ddd', borderRadius: '6px', cursor: 'pointer' },
+  activeTab: { backgroundColor: '#007bff', color: '#fff', borderColor: '#007bff' },
+  form: { display: 'flex', flexWrap: 'wrap', gap: '10px', backgroundColor: '#f9f9f9', padding: '20px', borderRadius: '8px', marginBottom: '20px' },
+  input: { flex: '1 1 150px', padding: '10px', border: '1px solid #ddd', borderRadius: '6px' },
+  resetButton: { padding: '10px 20px', backgroundColor: '#6c757d', color: '#fff', border: 'none', borderRadius: '6px', cursor: 'pointer' },
+  queryBox: { backgroundColor: '#f5f5f5', padding: '15px', borderRadius: '8px', marginBottom: '20px' },
+  queryHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
+  queryTitle: { margin: 0 },
+  badge: { padding: '4px 10px', borderRadius: '12px', color: '#fff', fontSize: '12px', fontWeight: 'bold' },
+  code: { backgroundColor: '#282c34', color: '#abb2bf', padding: '15px', borderRadius: '6px', overflow: 'auto', fontSize: '13px' },
+  loading: { textAlign: 'center', padding: '40px', color: '#666' },
+  error: { backgroundColor: '#fee', color: '#c33', padding: '20px', borderRadius: '8px', marginBottom: '20px' },
+  results: { marginBottom: '20px', transition: 'opacity 0.2s' },
+  resultCount: { color: '#666', fontSize: '14px', marginBottom: '10px' },
+  row: { display: 'flex', justifyContent: 'space-between', backgroundColor: '#fff', border: '1px solid #ddd', borderRadius: '6px', padding: '10px 15px', marginBottom: '8px' },
+  meta: { color: '#666', fontSize: '14px' },
+  info: { backgroundColor: '#fff3cd', padding: '20px', borderRadius: '8px' },
+};
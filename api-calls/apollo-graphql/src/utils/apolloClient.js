@@ -1,169 +1,16 @@
-import { ApolloClient, InMemoryCache, ApolloLink } from '@apollo/client';
+import { ApolloClient, InMemoryCache, ApolloLink, HttpLink, Observable, split } from '@apollo/client';
 import { SchemaLink } from '@apollo/client/link/schema';
+import { BatchHttpLink } from '@apollo/client/link/batch-http';
+import { RetryLink } from '@apollo/client/link/retry';
+import { getMainDefinition, relayStylePagination } from '@apollo/client/utilities';
 import { makeExecutableSchema } from '@graphql-tools/schema';
-import { typeDefs } from '../graphql/schema';
-import { users, posts, comments, getPaginatedPosts, getCommentsForPost, searchPosts } from './mockData';
+import { typeDefs } from '../graphql/schema.js';
+import { resolvers } from '../graphql/resolvers.js';
+import { SchemaSubscriptionLink } from './subscriptionLink';
+import { FaultInjectionLink } from './faultInjectionLink';
 
-// Mock resolvers - simulates a GraphQL server
-// In a real app, you would use HttpLink to connect to your GraphQL server
-const resolvers = {
-  Query: {
-    users: () => {
-      return new Promise((resolve) => {
-        setTimeout(() => resolve([...users]), 500);
-      });
-    },
-    user: (_, { id }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const user = users.find(u => u.id === id);
-          if (user) resolve(user);
-          else reject(new Error('User not found'));
-        }, 500);
-      });
-    },
-    posts: (_, { page = 1, limit = 10 }) => {
-      return new Promise((resolve) => {
-        setTimeout(() => resolve(getPaginatedPosts(page, limit)), 800);
-      });
-    },
-    post: (_, { id }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const post = posts.find(p => p.id === id);
-          if (post) resolve(post);
-          else reject(new Error('Post not found'));
-        }, 500);
-      });
-    },
-    comments: (_, { postId }) => {
-      return new Promise((resolve) => {
-        setTimeout(() => resolve(getCommentsForPost(postId)), 600);
-      });
-    },
-    searchPosts: (_, { query }) => {
-      return new Promise((resolve) => {
-        setTimeout(() => resolve(searchPosts(query)), 700);
-      });
-    },
-  },
-  Mutation: {
-    createUser: (_, { name, email, role }) => {
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          const newUser = {
-            id: String(users.length + 1),
-            name,
-            email,
-            role,
-            __typename: 'User',
-          };
-          users.push(newUser);
-          resolve(newUser);
-        }, 800);
-      });
-    },
-    updateUser: (_, { id, name, email, role }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const user = users.find(u => u.id === id);
-          if (user) {
-            if (name !== undefined) user.name = name;
-            if (email !== undefined) user.email = email;
-            if (role !== undefined) user.role = role;
-            resolve(user);
-          } else {
-            reject(new Error('User not found'));
-          }
-        }, 700);
-      });
-    },
-    deleteUser: (_, { id }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const index = users.findIndex(u => u.id === id);
-          if (index !== -1) {
-            users.splice(index, 1);
-            resolve({ success: true, message: 'User deleted', __typename: 'DeleteResponse' });
-          } else {
-            reject(new Error('User not found'));
-          }
-        }, 600);
-      });
-    },
-    createPost: (_, { title, body, authorId }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const author = users.find(u => u.id === authorId);
-          if (!author) {
-            reject(new Error('Author not found'));
-            return;
-          }
-          const newPost = {
-            id: String(posts.length + 1),
-            title,
-            body,
-            likes: 0,
-            author,
-            __typename: 'Post',
-          };
-          posts.unshift(newPost);
-          resolve(newPost);
-        }, 900);
-      });
-    },
-    updatePost: (_, { id, title, body }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const post = posts.find(p => p.id === id);
-          if (post) {
-            if (title !== undefined) post.title = title;
-            if (body !== undefined) post.body = body;
-            resolve(post);
-          } else {
-            reject(new Error('Post not found'));
-          }
-        }, 700);
-      });
-    },
-    likePost: (_, { id }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const post = posts.find(p => p.id === id);
-          if (post) {
-            post.likes += 1;
-            resolve(post);
-          } else {
-            reject(new Error('Post not found'));
-          }
-        }, 300);
-      });
-    },
-    deletePost: (_, { id }) => {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          const index = posts.findIndex(p => p.id === id);
-          if (index !== -1) {
-            posts.splice(index, 1);
-            resolve({ success: true, message: 'Post deleted', __typename: 'DeleteResponse' });
-          } else {
-            reject(new Error('Post not found'));
-          }
-        }, 600);
-      });
-    },
-  },
-  User: {
-    posts: (user) => {
-      return posts.filter(p => p.author.id === user.id);
-    },
-  },
-  Post: {
-    comments: (post) => {
-      return getCommentsForPost(post.id);
-    },
-  },
-};
+// Default address of the local Express server (npm run server)
+export const LOCAL_SERVER_URI = 'http://localhost:4000/graphql';
 
 // Create executable schema
 const schema = makeExecutableSchema({
@@ -171,22 +18,106 @@ const schema = makeExecutableSchema({
   resolvers,
 });
 
-// Create Apollo Client with SchemaLink for local testing
-// In production, replace SchemaLink with HttpLink pointing to your GraphQL server
-export const createApolloClient = () => {
-  return new ApolloClient({
-    link: new SchemaLink({ schema }),
-    cache: new InMemoryCache({
-      typePolicies: {
-        Query: {
-          fields: {
-            posts: {
-              keyArgs: ['page', 'limit'],
-            },
+const getOperationType = ({ query }) => {
+  const definition = getMainDefinition(query);
+  return definition.kind === 'OperationDefinition' ? definition.operation : null;
+};
+
+const isSubscription = (operation) => getOperationType(operation) === 'subscription';
+
+// Retry queries on network errors with backoff. Mutations are not retried,
+// so a failed optimistic mutation rolls back instead of being sent twice.
+const retryLink = new RetryLink({
+  delay: { initial: 300, max: 2000, jitter: true },
+  attempts: {
+    max: 3,
+    retryIf: (error, operation) => !!error && getOperationType(operation) === 'query',
+  },
+});
+
+// Subscriptions are delivered by the in-process pub/sub, which only exists
+// in the browser when the schema runs there
+const unsupportedSubscriptionLink = new ApolloLink(() => {
+  return new Observable((observer) => {
+    observer.error(new Error('Subscriptions are only available with the "schema" transport'));
+  });
+});
+
+const createHttpLink = ({ uri, headers, batch }) => {
+  const httpLink = batch
+    ? new BatchHttpLink({ uri, headers, batchMax: 10, batchInterval: 20 })
+    : new HttpLink({ uri, headers });
+
+  return split(isSubscription, unsupportedSubscriptionLink, httpLink);
+};
+
+// Transports:
+// - 'schema': run the schema in the browser (SchemaLink), no network at all
+// - 'local':  HTTP to the local Express server that shares the same schema
+// - 'http':   HTTP to any GraphQL endpoint given by `uri`
+const createTransportLink = ({ transport, uri, headers, batch }) => {
+  switch (transport) {
+    case 'schema':
+      // Send subscriptions to the pub/sub-backed link, everything else to SchemaLink
+      return split(
+        isSubscription,
+        new SchemaSubscriptionLink({ schema }),
+        new SchemaLink({ schema }),
+      );
+    case 'local':
+      return createHttpLink({ uri: uri || LOCAL_SERVER_URI, headers, batch });
+    case 'http':
+      if (!uri) {
+        throw new Error('The "http" transport requires a `uri` option');
+      }
+      return createHttpLink({ uri, headers, batch });
+    default:
+      throw new Error(`Unknown transport "${transport}". Use "schema", "local" or "http".`);
+  }
+};
+
+// Create the cache separately so it can be persisted before the client uses it
+export const createCache = () => {
+  return new InMemoryCache({
+    typePolicies: {
+      Query: {
+        fields: {
+          posts: {
+            keyArgs: ['page', 'limit', 'filter', 'orderBy'],
           },
+          // Merges edges by cursor across first/after and last/before pages
+          postsConnection: relayStylePagination(),
         },
       },
-    }),
+    },
+  });
+};
+
+// Create Apollo Client with SchemaLink for local testing by default
+// Pass { transport: 'local' } or { transport: 'http', uri } to go over the network
+export const createApolloClient = ({
+  transport = 'schema',
+  uri,
+  headers = {},
+  batch = false,
+  cache = createCache(),
+  offlineQueue = null,
+} = {}) => {
+  const links = [
+    retryLink,
+    // Simulated latency, failures, timeouts and offline mode (see the sidebar panel)
+    new FaultInjectionLink(),
+    createTransportLink({ transport, uri, headers, batch }),
+  ];
+
+  // Queued mutations must be held before retries and fault injection see them
+  if (offlineQueue) {
+    links.unshift(offlineQueue.link);
+  }
+
+  return new ApolloClient({
+    link: ApolloLink.from(links),
+    cache,
     defaultOptions: {
       watchQuery: {
         fetchPolicy: 'cache-and-network',
@@ -194,17 +125,3 @@ export const createApolloClient = () => {
     },
   });
 };
-
-// For production use with a real GraphQL server:
-// import { HttpLink } from '@apollo/client';
-//
-// const httpLink = new HttpLink({
-//   uri: 'https://your-graphql-api.com/graphql',
-// });
-//
-// export const createApolloClient = () => {
-//   return new ApolloClient({
-//     link: httpLink,
-//     cache: new InMemoryCache(),
-//   });
-// };
@@ -0,0 +1,94 @@
+import { CachePersistor, LocalStorageWrapper } from 'apollo3-cache-persist';
+import { print } from 'graphql';
+import { typeDefs } from '../graphql/schema.js';
+
+// Bump when the shape of cached data changes in a way the schema hash can't
+// see (e.g. new typePolicies or keyFields)
+export const CACHE_VERSION = 1;
+
+const KEY_PREFIX = 'apollo-cache';
+const ACTIVE_KEY = `${KEY_PREFIX}:active`;
+
+// Small non-cryptographic hash (djb2) - only used to detect schema changes
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// e.g. "apollo-cache:v1:1x9k2c" - a cache written for another version or
+// schema is never restored
+export const cacheStorageKey = `${KEY_PREFIX}:v${CACHE_VERSION}:${hashString(print(typeDefs))}`;
+
+// Minimal key/value store on top of IndexedDB with the getItem/setItem/removeItem
+// interface apollo3-cache-persist expects. Use it for caches too big for localStorage.
+export class IndexedDBStorage {
+  constructor(dbName = 'apollo-graphql-examples', storeName = 'keyval') {
+    this.storeName = storeName;
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async run(mode, action) {
+    const db = await this.db;
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  getItem(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  async setItem(key, value) {
+    await this.run('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+}
+
+const createStorage = (storage) => {
+  switch (storage) {
+    case 'localStorage':
+      return new LocalStorageWrapper(window.localStorage);
+    case 'indexedDB':
+      return new IndexedDBStorage();
+    default:
+      throw new Error(`Unknown cache storage "${storage}". Use "localStorage" or "indexedDB".`);
+  }
+};
+
+// CachePersistor that only restores data saved under the current version and
+// schema key, and deletes data left behind by an older one
+export class VersionedCachePersistor extends CachePersistor {
+  constructor({ cache, storage = 'localStorage' }) {
+    const persistentStorage = createStorage(storage);
+    super({
+      cache,
+      storage: persistentStorage,
+      key: cacheStorageKey,
+      debounce: 500,
+      maxSize: storage === 'localStorage' ? 2 * 1024 * 1024 : false,
+    });
+    this.persistentStorage = persistentStorage;
+  }
+
+  async restore() {
+    const previousKey = await this.persistentStorage.getItem(ACTIVE_KEY);
+    if (previousKey && previousKey !== cacheStorageKey) {
+      await this.persistentStorage.removeItem(previousKey);
+    }
+    await this.persistentStorage.setItem(ACTIVE_KEY, cacheStorageKey);
+    await super.restore();
+  }
+}
@@ -0,0 +1,108 @@
+import { ApolloLink, Observable, makeVar } from '@apollo/client';
+import { getMainDefinition } from '@apollo/client/utilities';
+
+// Fault injection for the demo - simulates a flaky network in front of any transport.
+// Failures raised here are network errors (error.networkError), unlike the
+// GraphQL errors returned by resolvers (error.graphQLErrors).
+
+export const defaultFaultConfig = {
+  latency: 0, // extra delay in ms before the request is sent
+  jitter: 0, // random 0..jitter ms added to latency
+  failureRate: 0, // 0..1 chance that a request fails
+  timeout: 0, // abort after this many ms (0 = no timeout)
+  offline: false, // fail every request immediately
+};
+
+// Reactive variables so the control panel and the link share one source of truth
+export const faultConfigVar = makeVar(defaultFaultConfig);
+
+// Most recent outcomes, newest first - shown in the panel and error examples
+export const faultLogVar = makeVar([]);
+
+const MAX_LOG_ENTRIES = 20;
+
+const logFault = (operation, outcome) => {
+  faultLogVar([
+    { operationName: operation.operationName || 'anonymous', outcome, at: Date.now() },
+    ...faultLogVar(),
+  ].slice(0, MAX_LOG_ENTRIES));
+};
+
+const networkError = (message, statusCode) => {
+  const error = new Error(message);
+  error.name = 'SimulatedNetworkError';
+  if (statusCode) error.statusCode = statusCode;
+  return error;
+};
+
+const isSubscription = (operation) => {
+  const definition = getMainDefinition(operation.query);
+  return definition.kind === 'OperationDefinition' && definition.operation === 'subscription';
+};
+
+export class FaultInjectionLink extends ApolloLink {
+  constructor(configVar = faultConfigVar) {
+    super();
+    this.configVar = configVar;
+  }
+
+  request(operation, forward) {
+    // Long-lived streams would always hit the timeout, so let them through
+    if (isSubscription(operation)) {
+      return forward(operation);
+    }
+
+    const { latency, jitter, failureRate, timeout, offline } = this.configVar();
+
+    return new Observable((observer) => {
+      let subscription = null;
+      let delayId = null;
+      let timeoutId = null;
+
+      const fail = (outcome, error) => {
+        logFault(operation, outcome);
+        observer.error(error);
+      };
+
+      if (offline) {
+        fail('offline', networkError('Failed to fetch (simulated offline mode)'));
+        return;
+      }
+
+      if (timeout > 0) {
+        timeoutId = setTimeout(() => {
+          subscription?.unsubscribe();
+          clearTimeout(delayId);
+          fail('timeout', networkError(`Request timed out after ${timeout}ms (simulated)`, 408));
+        }, timeout);
+      }
+
+      delayId = setTimeout(() => {
+        if (Math.random() < failureRate) {
+          clearTimeout(timeoutId);
+          fail('failure', networkError('Service unavailable (simulated failure)', 503));
+          return;
+        }
+
+        subscription = forward(operation).subscribe({
+          next: (result) => observer.next(result),
+          error: (error) => {
+            clearTimeout(timeoutId);
+            observer.error(error);
+          },
+          complete: () => {
+            clearTimeout(timeoutId);
+            logFault(operation, 'ok');
+            observer.complete();
+          },
+        });
+      }, latency + Math.random() * jitter);
+
+      return () => {
+        clearTimeout(delayId);
+        clearTimeout(timeoutId);
+        subscription?.unsubscribe();
+      };
+    });
+  }
+}
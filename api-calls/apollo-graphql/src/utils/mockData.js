@@ -15,6 +15,8 @@ export const posts = Array.from({ length: 50 }, (_, i) => ({
   body: `This is the content of post ${i + 1}. Lorem ipsum dolor sit amet, consectetur adipiscing elit.`,
   likes: Math.floor(Math.random() * 100),
   author: users[(i % 5)],
+  // Stable position used by cursor pagination (see getPostsConnection)
+  sortKey: i,
   __typename: 'Post',
 }));
 
@@ -26,28 +28,145 @@ export const comments = Array.from({ length: 200 }, (_, i) => ({
   __typename: 'Comment',
 }));
 
+// Helpers to filter and sort - mirror the UserFilter/PostFilter and
+// UserOrderBy/PostOrderBy input types in the schema
+const matchesText = (values, search) => {
+  const needle = search.trim().toLowerCase();
+  return needle === '' || values.some(value => value.toLowerCase().includes(needle));
+};
+
+export const filterUsers = (list, filter) => {
+  const { role, search } = filter ?? {};
+  return list.filter(user =>
+    (role == null || user.role === role) &&
+    (search == null || matchesText([user.name, user.email], search))
+  );
+};
+
+export const filterPosts = (list, filter) => {
+  const { authorId, minLikes, maxLikes, search } = filter ?? {};
+  return list.filter(post =>
+    (authorId == null || post.author.id === authorId) &&
+    (minLikes == null || post.likes >= minLikes) &&
+    (maxLikes == null || post.likes <= maxLikes) &&
+    (search == null || matchesText([post.title, post.body], search))
+  );
+};
+
+const sortValue = {
+  ID: item => Number(item.id),
+  NAME: item => item.name.toLowerCase(),
+  LIKES: item => item.likes,
+};
+
+// Returns the list unchanged (feed order) when no orderBy is given
+export const sortBy = (list, orderBy) => {
+  if (!orderBy) return list;
+  const getValue = sortValue[orderBy.field];
+  const direction = orderBy.direction === 'DESC' ? -1 : 1;
+  return [...list].sort((a, b) => {
+    const left = getValue(a);
+    const right = getValue(b);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return Number(a.id) - Number(b.id);
+  });
+};
+
 // Helper to get posts with pagination
-export const getPaginatedPosts = (page = 1, limit = 10) => {
+export const getPaginatedPosts = (page = 1, limit = 10, filter, orderBy) => {
+  const matching = sortBy(filterPosts(posts, filter), orderBy);
   const start = (page - 1) * limit;
   const end = start + limit;
   return {
-    posts: posts.slice(start, end),
-    total: posts.length,
+    posts: matching.slice(start, end),
+    total: matching.length,
     page,
-    hasMore: end < posts.length,
+    hasMore: end < matching.length,
     __typename: 'PostConnection',
   };
 };
 
+// Ids are never reused, even after a user or post is deleted - the Apollo
+// cache would otherwise merge the new record into the deleted one's entry.
+let lastUserId = users.length;
+
+export const nextUserId = () => String(++lastUserId);
+
+// Helpers for creating posts
+// New posts go first, so they get a sortKey below every existing one.
+let lastPostId = posts.length;
+
+export const nextPostId = () => String(++lastPostId);
+
+export const nextFrontSortKey = () => {
+  return posts.reduce((min, post) => Math.min(min, post.sortKey), 0) - 1;
+};
+
+// Cursors encode the post's sortKey rather than an offset or id, so a cursor
+// keeps pointing at the same place when posts are inserted or deleted
+export const encodeCursor = (post) => btoa(`Post:${post.sortKey}`);
+
+export const decodeCursor = (cursor) => {
+  const [type, sortKey] = atob(cursor).split(':');
+  if (type !== 'Post' || sortKey === undefined || Number.isNaN(Number(sortKey))) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  return Number(sortKey);
+};
+
+// Helper to get posts with Relay-style cursor pagination
+export const getPostsConnection = ({ first, after, last, before } = {}) => {
+  if ((first != null && first < 0) || (last != null && last < 0)) {
+    throw new Error('first and last must be non-negative');
+  }
+
+  const ordered = [...posts].sort((a, b) => a.sortKey - b.sortKey);
+  let page = ordered;
+
+  if (after != null) {
+    const afterKey = decodeCursor(after);
+    page = page.filter(post => post.sortKey > afterKey);
+  }
+  if (before != null) {
+    const beforeKey = decodeCursor(before);
+    page = page.filter(post => post.sortKey < beforeKey);
+  }
+  if (first != null) {
+    page = page.slice(0, first);
+  }
+  if (last != null) {
+    page = page.slice(Math.max(page.length - last, 0));
+  }
+
+  const edges = page.map(post => ({
+    cursor: encodeCursor(post),
+    node: post,
+    __typename: 'PostEdge',
+  }));
+  const firstKey = page[0]?.sortKey;
+  const lastKey = page[page.length - 1]?.sortKey;
+
+  return {
+    edges,
+    pageInfo: {
+      startCursor: edges[0]?.cursor ?? null,
+      endCursor: edges[edges.length - 1]?.cursor ?? null,
+      hasNextPage: lastKey !== undefined && ordered.some(post => post.sortKey > lastKey),
+      hasPreviousPage: firstKey !== undefined && ordered.some(post => post.sortKey < firstKey),
+      __typename: 'PageInfo',
+    },
+    totalCount: posts.length,
+    __typename: 'PostCursorConnection',
+  };
+};
+
 // Helper to get comments for a post
 export const getCommentsForPost = (postId) => {
   return comments.filter(c => c.postId === postId);
 };
 
-// Helper to search posts
-export const searchPosts = (query) => {
-  return posts.filter(post =>
-    post.title.toLowerCase().includes(query.toLowerCase()) ||
-    post.body.toLowerCase().includes(query.toLowerCase())
-  );
+// Helper to search posts - the query is combined with any other filters
+export const searchPosts = (query, filter, orderBy) => {
+  return sortBy(filterPosts(posts, { ...filter, search: query }), orderBy);
 };
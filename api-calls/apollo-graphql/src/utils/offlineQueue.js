@@ -0,0 +1,189 @@
+import { ApolloLink, Observable, makeVar } from '@apollo/client';
+import { LIKE_POST, CREATE_POST, UPDATE_USER } from '../graphql/mutations';
+import { faultConfigVar } from './faultInjectionLink';
+
+// Mutations that can be made while offline, by operation name. The documents
+// are needed to replay entries restored from storage after a reload.
+const QUEUEABLE_MUTATIONS = {
+  LikePost: LIKE_POST,
+  CreatePost: CREATE_POST,
+  UpdateUser: UPDATE_USER,
+};
+
+// Queued entries, oldest first: { id, operationName, variables, queuedAt }
+export const offlineQueueVar = makeVar([]);
+
+// Entries the server rejected on replay: { id, operationName, variables, code, message, at }
+export const offlineConflictsVar = makeVar([]);
+
+// Offline is either the browser's own status or the Network Simulator switch
+export const isOnline = () => navigator.onLine && !faultConfigVar().offline;
+
+const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export class OfflineMutationQueue {
+  constructor({ storageKey = 'apollo-offline-queue' } = {}) {
+    this.storageKey = storageKey;
+    this.client = null;
+    this.replaying = false;
+    // Mutations queued in this session still have a component waiting for
+    // the result (and an optimistic response on screen): id -> { operation, forward, observer }
+    this.live = new Map();
+
+    offlineQueueVar(this.load());
+    this.link = new ApolloLink((operation, forward) => this.request(operation, forward));
+  }
+
+  load() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.storageKey)) ?? [];
+    } catch {
+      return [];
+    }
+  }
+
+  save(entries) {
+    offlineQueueVar(entries);
+    window.localStorage.setItem(this.storageKey, JSON.stringify(entries));
+  }
+
+  // Starts replaying whenever connectivity comes back. Returns a cleanup function.
+  attach(client) {
+    this.client = client;
+    let attached = true;
+
+    const replayIfOnline = () => {
+      if (isOnline()) this.replay();
+    };
+
+    const watchSimulator = () => {
+      faultConfigVar.onNextChange(() => {
+        if (!attached) return;
+        replayIfOnline();
+        watchSimulator();
+      });
+    };
+
+    window.addEventListener('online', replayIfOnline);
+    watchSimulator();
+    replayIfOnline();
+
+    return () => {
+      attached = false;
+      window.removeEventListener('online', replayIfOnline);
+    };
+  }
+
+  request(operation, forward) {
+    const { skipOfflineQueue } = operation.getContext();
+    const queueable = Boolean(QUEUEABLE_MUTATIONS[operation.operationName]);
+
+    // While anything is queued, new mutations wait behind it to keep the order
+    if (skipOfflineQueue || !queueable || (isOnline() && offlineQueueVar().length === 0)) {
+      return forward(operation);
+    }
+
+    return new Observable((observer) => {
+      const entry = {
+        id: createId(),
+        operationName: operation.operationName,
+        variables: operation.variables,
+        queuedAt: Date.now(),
+      };
+      this.live.set(entry.id, { operation, forward, observer });
+      this.save([...offlineQueueVar(), entry]);
+
+      if (isOnline()) this.replay();
+    });
+  }
+
+  // Sends queued mutations one at a time, in the order they were made.
+  // Stops at the first network error and leaves the rest queued.
+  async replay() {
+    if (this.replaying || !this.client) return;
+    this.replaying = true;
+    let replayedAny = false;
+
+    try {
+      while (offlineQueueVar().length > 0 && isOnline()) {
+        const [entry] = offlineQueueVar();
+        const sent = await this.replayEntry(entry);
+        if (!sent) break;
+
+        replayedAny = true;
+        this.save(offlineQueueVar().filter(queued => queued.id !== entry.id));
+      }
+    } finally {
+      this.replaying = false;
+    }
+
+    // Entries restored after a reload have no update functions of their own,
+    // so bring lists on screen back in line with the server
+    if (replayedAny) {
+      this.client.refetchQueries({ include: 'active' });
+    }
+  }
+
+  // Resolves true once the server has answered (successfully or with a
+  // conflict), false on a network error
+  replayEntry(entry) {
+    const live = this.live.get(entry.id);
+
+    if (!live) {
+      return this.client
+        .mutate({
+          mutation: QUEUEABLE_MUTATIONS[entry.operationName],
+          variables: entry.variables,
+          errorPolicy: 'all',
+          context: { skipOfflineQueue: true },
+        })
+        .then(({ errors }) => {
+          if (errors?.length) this.reportConflict(entry, errors[0]);
+          return true;
+        })
+        .catch(() => false);
+    }
+
+    return new Promise((resolve) => {
+      live.forward(live.operation).subscribe({
+        next: (result) => {
+          if (result.errors?.length) this.reportConflict(entry, result.errors[0]);
+          live.observer.next(result);
+        },
+        error: () => resolve(false),
+        complete: () => {
+          this.live.delete(entry.id);
+          live.observer.complete();
+          resolve(true);
+        },
+      });
+    });
+  }
+
+  reportConflict(entry, error) {
+    offlineConflictsVar([
+      ...offlineConflictsVar(),
+      {
+        id: entry.id,
+        operationName: entry.operationName,
+        variables: entry.variables,
+        code: error.extensions?.code ?? 'UNKNOWN',
+        message: error.message,
+        at: Date.now(),
+      },
+    ]);
+  }
+
+  dismissConflicts() {
+    offlineConflictsVar([]);
+  }
+
+  // Drops everything queued; waiting mutations fail and roll back
+  clear() {
+    this.live.forEach(({ observer }) => {
+      observer.error(new Error('Queued mutation was discarded'));
+    });
+    this.live.clear();
+    this.save([]);
+  }
+}
@@ -0,0 +1,76 @@
+// Minimal in-process pub/sub for GraphQL subscriptions
+// In a real app, this would be backed by Redis, Kafka, etc. on your server
+
+export const POST_LIKED = 'POST_LIKED';
+export const POST_CREATED = 'POST_CREATED';
+
+export class PubSub {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  publish(topic, payload) {
+    const listeners = this.listeners.get(topic);
+    if (listeners) {
+      [...listeners].forEach(listener => listener(payload));
+    }
+  }
+
+  subscribe(topic, listener) {
+    if (!this.listeners.has(topic)) {
+      this.listeners.set(topic, new Set());
+    }
+    this.listeners.get(topic).add(listener);
+
+    return () => {
+      this.listeners.get(topic)?.delete(listener);
+    };
+  }
+
+  // Returns an AsyncIterator that graphql-js `subscribe()` can consume.
+  // Events published before anyone calls next() are buffered in order.
+  asyncIterator(topic) {
+    const buffered = [];
+    const waiting = [];
+    let done = false;
+
+    const unsubscribe = this.subscribe(topic, (payload) => {
+      if (waiting.length > 0) {
+        waiting.shift()({ value: payload, done: false });
+      } else {
+        buffered.push(payload);
+      }
+    });
+
+    const finish = () => {
+      if (!done) {
+        done = true;
+        unsubscribe();
+        waiting.forEach(resolve => resolve({ value: undefined, done: true }));
+        waiting.length = 0;
+        buffered.length = 0;
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    };
+
+    return {
+      next() {
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        if (buffered.length > 0) {
+          return Promise.resolve({ value: buffered.shift(), done: false });
+        }
+        return new Promise(resolve => waiting.push(resolve));
+      },
+      return: finish,
+      throw(error) {
+        finish();
+        return Promise.reject(error);
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+}
+
+export const pubsub = new PubSub();
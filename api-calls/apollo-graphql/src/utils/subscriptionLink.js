@@ -0,0 +1,55 @@
+import { ApolloLink, Observable } from '@apollo/client';
+import { subscribe } from 'graphql';
+
+// Terminating link that runs subscription operations against a local schema.
+// SchemaLink only supports request/response, so it can't deliver a stream;
+// this link consumes the AsyncIterator returned by graphql-js `subscribe()`
+// and forwards every event to Apollo as a separate result.
+export class SchemaSubscriptionLink extends ApolloLink {
+  constructor({ schema, context = {} }) {
+    super();
+    this.schema = schema;
+    this.context = context;
+  }
+
+  request(operation) {
+    return new Observable((observer) => {
+      let iterator = null;
+      let closed = false;
+
+      subscribe({
+        schema: this.schema,
+        document: operation.query,
+        variableValues: operation.variables,
+        operationName: operation.operationName,
+        contextValue: this.context,
+      })
+        .then(async (result) => {
+          // A non-iterable result means the subscription failed to start
+          // (e.g. validation errors) - deliver it once and complete
+          if (!result || typeof result[Symbol.asyncIterator] !== 'function') {
+            observer.next(result);
+            observer.complete();
+            return;
+          }
+
+          iterator = result;
+          if (closed) {
+            iterator.return?.();
+            return;
+          }
+
+          for await (const event of iterator) {
+            observer.next(event);
+          }
+          observer.complete();
+        })
+        .catch(error => observer.error(error));
+
+      return () => {
+        closed = true;
+        iterator?.return?.();
+      };
+    });
+  }
+}
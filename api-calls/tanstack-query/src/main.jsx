@@ -1,8 +1,19 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import { backend } from './utils/mockApi'
+import { installFetchInterceptor } from './utils/fetchInterceptor'
 import './index.css'
 
+// Serve fetch('/api/...') from the mock backend. Open the app with ?seed=7
+// for a different (but still reproducible) data set.
+const seed = new URLSearchParams(window.location.search).get('seed')
+if (seed !== null) backend.reset(Number(seed))
+installFetchInterceptor(backend, { target: window })
+
+// Lets Cypress reset, snapshot or reconfigure the backend from the test
+if (import.meta.env.DEV) window.mockBackend = backend
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
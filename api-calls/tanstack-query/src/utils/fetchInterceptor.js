@@ -0,0 +1,104 @@
+// HTTP front for the mock backend - answers fetch() calls to `/api/...` with
+// real Response objects, so code written against a REST API (or a Cypress
+// test) can run against the same deterministic data as the examples.
+//
+//   GET    /api/users                 PATCH  /api/users/:id
+//   GET    /api/users/:id             DELETE /api/users/:id
+//   POST   /api/users
+//   GET    /api/posts?page=&limit=    PATCH  /api/posts/:id
+//   GET    /api/posts/infinite?cursor=  POST /api/posts/:id/like
+//   GET    /api/posts/:id             DELETE /api/posts/:id
+//   POST   /api/posts                 GET    /api/posts/:id/comments
+//   GET    /api/search?q=
+
+const json = (body, status = 200) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
+
+const routes = [
+  ['GET', /^\/users$/, (api) => api.getUsers()],
+  ['POST', /^\/users$/, (api, params, body) => api.createUser(body)],
+  ['GET', /^\/users\/(\d+)$/, (api, [id]) => api.getUser(id)],
+  ['PATCH', /^\/users\/(\d+)$/, (api, [id], body) => api.updateUser(id, body)],
+  ['DELETE', /^\/users\/(\d+)$/, (api, [id]) => api.deleteUser(id)],
+
+  ['GET', /^\/posts$/, (api, params, body, query) => api.getPosts({
+    page: Number(query.get('page') ?? 1),
+    limit: Number(query.get('limit') ?? 10),
+  })],
+  ['GET', /^\/posts\/infinite$/, (api, params, body, query) => api.getInfinitePosts({
+    pageParam: Number(query.get('cursor') ?? 0),
+  })],
+  ['POST', /^\/posts$/, (api, params, body) => api.createPost(body)],
+  ['GET', /^\/posts\/(\d+)$/, (api, [id]) => api.getPost(id)],
+  ['PATCH', /^\/posts\/(\d+)$/, (api, [id], body) => api.updatePost(id, body)],
+  ['DELETE', /^\/posts\/(\d+)$/, (api, [id]) => api.deletePost(id)],
+  ['POST', /^\/posts\/(\d+)\/like$/, (api, [id]) => api.likePost(id)],
+  ['GET', /^\/posts\/(\d+)\/comments$/, (api, [id]) => api.getComments(id)],
+
+  ['GET', /^\/search$/, (api, params, body, query) => api.searchPosts(query.get('q') ?? '')],
+];
+
+/**
+ * Create a fetch-compatible handler for a backend created with createMockBackend().
+ * Resolves to a Response, or null when the URL is not under `baseUrl`.
+ */
+export const createFetchHandler = (backend, { baseUrl = '/api' } = {}) => {
+  return async (input, init = {}) => {
+    // Relative URLs resolve against the page (or localhost outside a browser)
+    const origin = globalThis.location?.href ?? 'http://localhost';
+    const url = new URL(input instanceof Request ? input.url : String(input), origin);
+    const isMockUrl = url.origin === new URL(origin).origin &&
+      (url.pathname === baseUrl || url.pathname.startsWith(`${baseUrl}/`));
+    // Anything else goes on to the real fetch, so its body must stay unread
+    if (!isMockUrl) return null;
+
+    const request = new Request(input instanceof Request ? input : url, init);
+    const path = url.pathname.slice(baseUrl.length) || '/';
+    const method = request.method.toUpperCase();
+
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = routeMethod === method && path.match(pattern);
+      if (!match) continue;
+
+      const text = await request.text();
+      let body;
+      try {
+        body = text ? JSON.parse(text) : undefined;
+      } catch {
+        return json({ message: 'Invalid JSON body' }, 400);
+      }
+
+      try {
+        const result = await handler(backend.api, match.slice(1), body, url.searchParams);
+        return json(result, method === 'POST' && !path.endsWith('/like') ? 201 : 200);
+      } catch (error) {
+        return json({ message: error.message }, error.status ?? 500);
+      }
+    }
+
+    return json({ message: `No route for ${method} ${url.pathname}` }, 404);
+  };
+};
+
+/**
+ * Patch `target.fetch` (window or globalThis) to answer `/api` requests from
+ * the mock backend. Other requests go to the original fetch.
+ * Returns a function that restores the original.
+ */
+export const installFetchInterceptor = (backend, { baseUrl = '/api', target = globalThis } = {}) => {
+  const originalFetch = target.fetch;
+  const handle = createFetchHandler(backend, { baseUrl });
+
+  target.fetch = async (input, init) => {
+    const response = await handle(input, init);
+    return response ?? originalFetch.call(target, input, init);
+  };
+
+  return () => {
+    target.fetch = originalFetch;
+  };
+};
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockBackend } from './mockApi.js';
+import { createFetchHandler, installFetchInterceptor } from './fetchInterceptor.js';
+
+const setup = (options) => {
+  const backend = createMockBackend({ latency: 0, errors: [], ...options });
+  return { backend, handle: createFetchHandler(backend) };
+};
+
+test('the same seed gives the same data, another seed different data', async () => {
+  const likes = async (seed) => {
+    const { handle } = setup({ seed });
+    const response = await handle('/api/posts?page=1&limit=5');
+    return (await response.json()).data.map(post => post.likes);
+  };
+
+  assert.deepEqual(await likes(7), await likes(7));
+  assert.notDeepEqual(await likes(7), await likes(8));
+});
+
+test('scheduled errors and missing records come back as HTTP errors', async () => {
+  const { handle } = setup({ errors: [{ method: 'getUsers', calls: [2], message: 'Users down', status: 503 }] });
+
+  assert.equal((await handle('/api/users')).status, 200);
+  const failed = await handle('/api/users');
+  assert.equal(failed.status, 503);
+  assert.deepEqual(await failed.json(), { message: 'Users down' });
+  assert.equal((await handle('/api/users')).status, 200);
+
+  assert.equal((await handle('/api/users/99')).status, 404);
+  assert.equal((await handle('/api/nope')).status, 404);
+  const invalid = await handle('/api/users', { method: 'POST', body: '{"name":' });
+  assert.equal(invalid.status, 400);
+});
+
+test('each method waits for its configured latency', async () => {
+  const { handle } = setup({ latency: { getUser: 60, getPost: 0 } });
+
+  let started = performance.now();
+  await handle('/api/users/1');
+  assert.ok(performance.now() - started >= 55);
+
+  started = performance.now();
+  await handle('/api/posts/1');
+  assert.ok(performance.now() - started < 50);
+});
+
+test('requests outside /api reach the original fetch with their body unread', async () => {
+  const target = { fetch: async (input) => new Response(`echo: ${await input.text()}`) };
+  const uninstall = installFetchInterceptor(createMockBackend({ latency: 0 }), { target });
+
+  const request = new Request('https://example.com/upload', { method: 'POST', body: 'payload' });
+  assert.equal(await (await target.fetch(request)).text(), 'echo: payload');
+
+  const created = await target.fetch(new Request('http://localhost/api/users', {
+    method: 'POST',
+    body: JSON.stringify({ name: 'Dana' }),
+  }));
+  assert.equal(created.status, 201);
+  assert.equal((await created.json()).name, 'Dana');
+
+  uninstall();
+});
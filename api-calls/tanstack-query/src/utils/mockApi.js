@@ -1,156 +1,290 @@
 // Mock API to simulate real API calls
 // In a real app, you'd use fetch or axios to call actual APIs
+//
+// The backend is deterministic: all "random" values come from a seeded
+// generator, latency and failures follow an explicit configuration, and the
+// whole state can be reset or snapshotted. That makes the examples
+// reproducible and lets unit tests and Cypress drive the same code.
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Mock data
-const users = [
-  { id: 1, name: 'John Doe', email: 'john@example.com', role: 'Admin' },
-  { id: 2, name: 'Jane Smith', email: 'jane@example.com', role: 'User' },
-  { id: 3, name: 'Bob Johnson', email: 'bob@example.com', role: 'User' },
-  { id: 4, name: 'Alice Williams', email: 'alice@example.com', role: 'Moderator' },
-  { id: 5, name: 'Charlie Brown', email: 'charlie@example.com', role: 'User' },
+// mulberry32 - tiny seeded PRNG, returns floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  random.setState = (value) => { state = value >>> 0; };
+  return random;
+};
+
+// Default latency per method in ms - same values the examples were built around
+export const DEFAULT_LATENCY = {
+  getUsers: 800,
+  getUser: 500,
+  createUser: 1000,
+  updateUser: 800,
+  deleteUser: 700,
+  getPosts: 1000,
+  getPost: 600,
+  createPost: 1000,
+  updatePost: 800,
+  likePost: 300,
+  deletePost: 700,
+  getComments: 600,
+  getInfinitePosts: 1000,
+  searchPosts: 800,
+};
+
+// Default error schedule: every 10th getUsers call fails, so the error
+// states in the examples are still reachable - but predictably
+export const DEFAULT_ERRORS = [
+  { method: 'getUsers', every: 10, message: 'Failed to fetch users' },
 ];
 
-const posts = Array.from({ length: 50 }, (_, i) => ({
-  id: i + 1,
-  title: `Post ${i + 1}`,
-  body: `This is the content of post ${i + 1}. Lorem ipsum dolor sit amet.`,
-  userId: (i % 5) + 1,
-  likes: Math.floor(Math.random() * 100),
-}));
-
-const comments = Array.from({ length: 200 }, (_, i) => ({
-  id: i + 1,
-  postId: Math.floor(i / 4) + 1,
-  text: `Comment ${i + 1} text`,
-  author: users[i % 5].name,
-}));
-
-// Simulate API error occasionally
-const shouldSimulateError = () => Math.random() < 0.1;
-
-export const api = {
-  // Users
-  getUsers: async () => {
-    await delay(800);
-    if (shouldSimulateError()) throw new Error('Failed to fetch users');
-    return users;
-  },
-
-  getUser: async (id) => {
-    await delay(500);
-    const user = users.find(u => u.id === parseInt(id));
-    if (!user) throw new Error('User not found');
-    return user;
-  },
-
-  createUser: async (userData) => {
-    await delay(1000);
-    const newUser = {
-      id: users.length + 1,
-      ...userData,
-    };
-    users.push(newUser);
-    return newUser;
-  },
-
-  updateUser: async (id, userData) => {
-    await delay(800);
-    const index = users.findIndex(u => u.id === parseInt(id));
-    if (index === -1) throw new Error('User not found');
-    users[index] = { ...users[index], ...userData };
-    return users[index];
-  },
-
-  deleteUser: async (id) => {
-    await delay(700);
-    const index = users.findIndex(u => u.id === parseInt(id));
-    if (index === -1) throw new Error('User not found');
-    users.splice(index, 1);
-    return { success: true };
-  },
-
-  // Posts
-  getPosts: async ({ page = 1, limit = 10 } = {}) => {
-    await delay(1000);
-    const start = (page - 1) * limit;
-    const end = start + limit;
-    return {
-      data: posts.slice(start, end),
-      total: posts.length,
-      page,
-      hasMore: end < posts.length,
-    };
-  },
-
-  getPost: async (id) => {
-    await delay(600);
-    const post = posts.find(p => p.id === parseInt(id));
-    if (!post) throw new Error('Post not found');
-    return post;
-  },
-
-  createPost: async (postData) => {
-    await delay(1000);
-    const newPost = {
-      id: posts.length + 1,
-      likes: 0,
-      ...postData,
-    };
-    posts.unshift(newPost);
-    return newPost;
-  },
-
-  updatePost: async (id, postData) => {
-    await delay(800);
-    const index = posts.findIndex(p => p.id === parseInt(id));
-    if (index === -1) throw new Error('Post not found');
-    posts[index] = { ...posts[index], ...postData };
-    return posts[index];
-  },
-
-  likePost: async (id) => {
-    await delay(300);
-    const post = posts.find(p => p.id === parseInt(id));
-    if (!post) throw new Error('Post not found');
-    post.likes += 1;
-    return post;
-  },
-
-  deletePost: async (id) => {
-    await delay(700);
-    const index = posts.findIndex(p => p.id === parseInt(id));
-    if (index === -1) throw new Error('Post not found');
-    posts.splice(index, 1);
-    return { success: true };
-  },
-
-  // Comments
-  getComments: async (postId) => {
-    await delay(600);
-    return comments.filter(c => c.postId === parseInt(postId));
-  },
-
-  // Infinite scroll
-  getInfinitePosts: async ({ pageParam = 0 }) => {
-    await delay(1000);
-    const limit = 10;
-    const start = pageParam * limit;
-    const end = start + limit;
-
-    return {
-      posts: posts.slice(start, end),
-      nextCursor: end < posts.length ? pageParam + 1 : undefined,
+// Errors thrown by the backend carry an HTTP-like status
+export class MockApiError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'MockApiError';
+    this.status = status;
+  }
+}
+
+const notFound = (type) => new MockApiError(`${type} not found`, 404);
+
+const seedData = (random) => {
+  const users = [
+    { id: 1, name: 'John Doe', email: 'john@example.com', role: 'Admin' },
+    { id: 2, name: 'Jane Smith', email: 'jane@example.com', role: 'User' },
+    { id: 3, name: 'Bob Johnson', email: 'bob@example.com', role: 'User' },
+    { id: 4, name: 'Alice Williams', email: 'alice@example.com', role: 'Moderator' },
+    { id: 5, name: 'Charlie Brown', email: 'charlie@example.com', role: 'User' },
+  ];
+
+  const posts = Array.from({ length: 50 }, (_, i) => ({
+    id: i + 1,
+    title: `Post ${i + 1}`,
+    body: `This is the content of post ${i + 1}. Lorem ipsum dolor sit amet.`,
+    userId: (i % 5) + 1,
+    likes: Math.floor(random() * 100),
+  }));
+
+  const comments = Array.from({ length: 200 }, (_, i) => ({
+    id: i + 1,
+    postId: Math.floor(i / 4) + 1,
+    text: `Comment ${i + 1} text`,
+    author: users[i % 5].name,
+  }));
+
+  return {
+    users,
+    posts,
+    comments,
+    nextUserId: users.length + 1,
+    nextPostId: posts.length + 1,
+  };
+};
+
+// Returned objects are copies, so callers can never mutate backend state
+const copy = (value) => structuredClone(value);
+
+/**
+ * Create an in-memory backend.
+ *
+ * options.seed     - seed for generated data and `rate` error rules
+ * options.latency  - ms for every method, or { [method]: ms }, merged over DEFAULT_LATENCY
+ * options.errors   - error schedule, a list of rules:
+ *                    { method, calls: [2, 5] }  fail the 2nd and 5th call
+ *                    { method, every: 10 }      fail every 10th call
+ *                    { method, rate: 0.1 }      fail 10% of calls (seeded)
+ *                    optional: message, status
+ */
+export const createMockBackend = ({
+  seed = 42,
+  latency = DEFAULT_LATENCY,
+  errors = DEFAULT_ERRORS,
+} = {}) => {
+  let config = {};
+  let random;
+  let db;
+  let callCounts;
+
+  const configure = (options = {}) => {
+    const nextLatency = options.latency ?? config.latency ?? DEFAULT_LATENCY;
+    config = {
+      latency: typeof nextLatency === 'number'
+        ? Object.fromEntries(Object.keys(DEFAULT_LATENCY).map(method => [method, nextLatency]))
+        : { ...DEFAULT_LATENCY, ...nextLatency },
+      errors: options.errors ?? config.errors ?? DEFAULT_ERRORS,
     };
-  },
-
-  // Search
-  searchPosts: async (query) => {
-    await delay(800);
-    return posts.filter(post =>
-      post.title.toLowerCase().includes(query.toLowerCase()) ||
-      post.body.toLowerCase().includes(query.toLowerCase())
-    );
-  },
+  };
+
+  const reset = (nextSeed = seed) => {
+    seed = nextSeed;
+    random = createRandom(seed);
+    db = seedData(random);
+    callCounts = {};
+  };
+
+  const snapshot = () => copy({ db, callCounts, randomState: random.getState(), seed });
+
+  const restore = (saved) => {
+    const state = copy(saved);
+    seed = state.seed;
+    db = state.db;
+    callCounts = state.callCounts;
+    random = createRandom(seed);
+    random.setState(state.randomState);
+  };
+
+  const shouldFail = (method, call) => {
+    return config.errors.find(rule => {
+      if (rule.method !== method && rule.method !== '*') return false;
+      if (rule.calls) return rule.calls.includes(call);
+      if (rule.every) return call % rule.every === 0;
+      if (rule.rate) return random() < rule.rate;
+      return false;
+    });
+  };
+
+  // Wraps a handler with call counting, latency and scheduled failures
+  const endpoint = (method, handler) => async (...args) => {
+    const call = (callCounts[method] ?? 0) + 1;
+    callCounts[method] = call;
+
+    const ms = config.latency[method] ?? 0;
+    if (ms > 0) await delay(ms);
+
+    const failure = shouldFail(method, call);
+    if (failure) {
+      throw new MockApiError(failure.message ?? `${method} failed`, failure.status ?? 500);
+    }
+
+    return copy(handler(...args));
+  };
+
+  const findIndexById = (list, id) => list.findIndex(item => item.id === parseInt(id));
+
+  const api = {
+    // Users
+    getUsers: endpoint('getUsers', () => db.users),
+
+    getUser: endpoint('getUser', (id) => {
+      const user = db.users.find(u => u.id === parseInt(id));
+      if (!user) throw notFound('User');
+      return user;
+    }),
+
+    createUser: endpoint('createUser', (userData) => {
+      const newUser = { id: db.nextUserId++, ...userData };
+      db.users.push(newUser);
+      return newUser;
+    }),
+
+    updateUser: endpoint('updateUser', (id, userData) => {
+      const index = findIndexById(db.users, id);
+      if (index === -1) throw notFound('User');
+      db.users[index] = { ...db.users[index], ...userData };
+      return db.users[index];
+    }),
+
+    deleteUser: endpoint('deleteUser', (id) => {
+      const index = findIndexById(db.users, id);
+      if (index === -1) throw notFound('User');
+      db.users.splice(index, 1);
+      return { success: true };
+    }),
+
+    // Posts
+    getPosts: endpoint('getPosts', ({ page = 1, limit = 10 } = {}) => {
+      const start = (page - 1) * limit;
+      const end = start + limit;
+      return {
+        data: db.posts.slice(start, end),
+        total: db.posts.length,
+        page,
+        hasMore: end < db.posts.length,
+      };
+    }),
+
+    getPost: endpoint('getPost', (id) => {
+      const post = db.posts.find(p => p.id === parseInt(id));
+      if (!post) throw notFound('Post');
+      return post;
+    }),
+
+    createPost: endpoint('createPost', (postData) => {
+      const newPost = { id: db.nextPostId++, likes: 0, ...postData };
+      db.posts.unshift(newPost);
+      return newPost;
+    }),
+
+    updatePost: endpoint('updatePost', (id, postData) => {
+      const index = findIndexById(db.posts, id);
+      if (index === -1) throw notFound('Post');
+      db.posts[index] = { ...db.posts[index], ...postData };
+      return db.posts[index];
+    }),
+
+    likePost: endpoint('likePost', (id) => {
+      const post = db.posts.find(p => p.id === parseInt(id));
+      if (!post) throw notFound('Post');
+      post.likes += 1;
+      return post;
+    }),
+
+    deletePost: endpoint('deletePost', (id) => {
+      const index = findIndexById(db.posts, id);
+      if (index === -1) throw notFound('Post');
+      db.posts.splice(index, 1);
+      return { success: true };
+    }),
+
+    // Comments
+    getComments: endpoint('getComments', (postId) => {
+      return db.comments.filter(c => c.postId === parseInt(postId));
+    }),
+
+    // Infinite scroll
+    getInfinitePosts: endpoint('getInfinitePosts', ({ pageParam = 0 } = {}) => {
+      const limit = 10;
+      const start = pageParam * limit;
+      const end = start + limit;
+      return {
+        posts: db.posts.slice(start, end),
+        nextCursor: end < db.posts.length ? pageParam + 1 : undefined,
+      };
+    }),
+
+    // Search
+    searchPosts: endpoint('searchPosts', (query) => {
+      return db.posts.filter(post =>
+        post.title.toLowerCase().includes(query.toLowerCase()) ||
+        post.body.toLowerCase().includes(query.toLowerCase())
+      );
+    }),
+  };
+
+  configure({ latency, errors });
+  reset(seed);
+
+  return {
+    api,
+    configure,
+    reset,
+    snapshot,
+    restore,
+    getCallCount: (method) => callCounts[method] ?? 0,
+  };
 };
+
+// Shared backend used by the examples
+export const backend = createMockBackend();
+
+export const api = backend.api;
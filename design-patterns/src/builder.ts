@@ -18,6 +18,9 @@
  * - Creating game characters with multiple attributes
  */
 
+import * as http from 'http';
+import { AddressInfo } from 'net';
+
 // Product class
 class Computer {
   constructor(
@@ -113,49 +116,214 @@ class ComputerBuilder {
 }
 
 // Practical Example 2: HTTP Request Builder
-class HttpRequest {
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE' | 'HEAD' | 'OPTIONS';
+
+export type QueryValue = string | number | boolean | null | undefined | Array<string | number | boolean>;
+
+// What request interceptors see and may change, once per attempt
+export interface PreparedRequest {
+  url: string;              // including the query string
+  method: HttpMethod;
+  headers: Record<string, string>;
+  body?: string;
+}
+
+export interface HttpResponse<T = unknown> {
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  data: T;                  // parsed JSON for JSON responses, otherwise text
+  attempts: number;
+  durationMs: number;
+  request: PreparedRequest;
+}
+
+export type RequestInterceptor = (request: PreparedRequest) => PreparedRequest | Promise<PreparedRequest>;
+export type ResponseInterceptor = (response: HttpResponse) => HttpResponse | Promise<HttpResponse>;
+
+export interface RetryOptions {
+  retryOn?: number[];       // status codes worth another attempt
+  backoffMs?: number;       // doubles after every attempt
+  maxBackoffMs?: number;
+}
+
+export interface HttpRequestOptions {
+  url: string;
+  method: HttpMethod;
+  headers: Record<string, string>;
+  query: Array<[string, string]>;
+  body?: string;
+  timeout?: number;         // per attempt
+  retries: number;
+  retry: Required<RetryOptions>;
+  requestInterceptors: RequestInterceptor[];
+  responseInterceptors: ResponseInterceptor[];
+  fetch: typeof fetch;
+}
+
+// Thrown for non-2xx responses (after any retries), timeouts and network errors
+export class HttpError extends Error {
   constructor(
-    public url: string,
-    public method: string,
-    public headers: Record<string, string> = {},
-    public body?: any,
-    public timeout?: number,
-    public retries?: number
-  ) {}
+    message: string,
+    public readonly request: PreparedRequest,
+    public readonly attempts: number,
+    public readonly response?: HttpResponse,
+    public readonly timedOut: boolean = false
+  ) {
+    super(message);
+    this.name = 'HttpError';
+  }
 
-  execute(): void {
-    console.log('\n🌐 HTTP Request:');
-    console.log(`  Method: ${this.method}`);
-    console.log(`  URL: ${this.url}`);
-    if (Object.keys(this.headers).length > 0) {
-      console.log('  Headers:', this.headers);
-    }
-    if (this.body) {
-      console.log('  Body:', this.body);
-    }
-    if (this.timeout) {
-      console.log(`  Timeout: ${this.timeout}ms`);
+  get status(): number | undefined {
+    return this.response?.status;
+  }
+}
+
+const DEFAULT_RETRY: Required<RetryOptions> = {
+  retryOn: [408, 429, 500, 502, 503, 504],
+  backoffMs: 200,
+  maxBackoffMs: 5000
+};
+
+const sleep = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
+
+const hasHeader = (headers: Record<string, string>, name: string): boolean =>
+  Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+
+// Seconds or an HTTP date, as servers send with 429/503
+const parseRetryAfter = (value: string | undefined): number | undefined => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+export class HttpRequest {
+  constructor(public readonly options: HttpRequestOptions) {}
+
+  get url(): string {
+    const url = new URL(this.options.url);
+    this.options.query.forEach(([key, value]) => url.searchParams.append(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Sends the request, retrying timeouts, network errors and `retryOn`
+   * statuses up to `retries` more times with exponential backoff (or the
+   * server's Retry-After). Only enable retries for requests that are safe to
+   * repeat. Resolves with a 2xx response, otherwise throws an HttpError.
+   */
+  async execute<T = unknown>(): Promise<HttpResponse<T>> {
+    const { retries, retry } = this.options;
+    const startTime = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      let request: PreparedRequest = {
+        url: this.url,
+        method: this.options.method,
+        headers: { ...this.options.headers },
+        body: this.options.body
+      };
+      for (const interceptor of this.options.requestInterceptors) {
+        request = await interceptor(request);
+      }
+
+      let response: HttpResponse;
+      try {
+        response = await this.send(request, attempt, startTime);
+      } catch (error) {
+        if (!(error instanceof HttpError) || attempt > retries) throw error;
+        await sleep(this.backoff(attempt));
+        continue;
+      }
+
+      for (const interceptor of this.options.responseInterceptors) {
+        response = await interceptor(response);
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        return response as HttpResponse<T>;
+      }
+      if (attempt > retries || !retry.retryOn.includes(response.status)) {
+        throw new HttpError(
+          `${request.method} ${request.url} failed with ${response.status} ${response.statusText}`,
+          request,
+          attempt,
+          response
+        );
+      }
+      await sleep(this.backoff(attempt, parseRetryAfter(response.headers['retry-after'])));
     }
-    if (this.retries) {
-      console.log(`  Retries: ${this.retries}`);
+  }
+
+  private async send(request: PreparedRequest, attempt: number, startTime: number): Promise<HttpResponse> {
+    const controller = new AbortController();
+    const timer = this.options.timeout !== undefined
+      ? setTimeout(() => controller.abort(), this.options.timeout)
+      : undefined;
+
+    try {
+      const response = await this.options.fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: controller.signal
+      });
+      // Reading the body counts towards the timeout too
+      const text = await response.text();
+      const headers: Record<string, string> = {};
+      response.headers.forEach((value, key) => { headers[key] = value; });
+      const isJson = (headers['content-type'] ?? '').includes('json');
+
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        data: isJson && text ? JSON.parse(text) : text,
+        attempts: attempt,
+        durationMs: Date.now() - startTime,
+        request
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new HttpError(`${request.method} ${request.url} timed out after ${this.options.timeout}ms`, request, attempt, undefined, true);
+      }
+      if (error instanceof SyntaxError) throw error;
+      // fetch() keeps the useful part ("connect ECONNREFUSED ...") in `cause`
+      const { message, cause } = error as Error & { cause?: Error };
+      const reason = cause?.message ? `${message} (${cause.message})` : message;
+      throw new HttpError(`${request.method} ${request.url} failed: ${reason}`, request, attempt);
+    } finally {
+      clearTimeout(timer);
     }
   }
+
+  private backoff(attempt: number, retryAfterMs?: number): number {
+    const { backoffMs, maxBackoffMs } = this.options.retry;
+    return Math.min(retryAfterMs ?? backoffMs * 2 ** (attempt - 1), maxBackoffMs);
+  }
 }
 
-class HttpRequestBuilder {
+export class HttpRequestBuilder {
   private url: string = '';
-  private method: string = 'GET';
+  private method: HttpMethod = 'GET';
   private headers: Record<string, string> = {};
-  private body?: any;
+  private query: Array<[string, string]> = [];
+  private body?: string;
   private timeout?: number;
-  private retries?: number;
+  private retries: number = 0;
+  private retry: Required<RetryOptions> = DEFAULT_RETRY;
+  private requestInterceptors: RequestInterceptor[] = [];
+  private responseInterceptors: ResponseInterceptor[] = [];
+  private fetchImpl?: typeof fetch;
 
   setUrl(url: string): HttpRequestBuilder {
     this.url = url;
     return this;
   }
 
-  setMethod(method: string): HttpRequestBuilder {
+  setMethod(method: HttpMethod): HttpRequestBuilder {
     this.method = method;
     return this;
   }
@@ -165,18 +333,59 @@ class HttpRequestBuilder {
     return this;
   }
 
-  setBody(body: any): HttpRequestBuilder {
-    this.body = body;
+  // Arrays repeat the key (?tag=a&tag=b); null and undefined are left out
+  addQueryParam(key: string, value: QueryValue): HttpRequestBuilder {
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+      if (item !== null && item !== undefined) this.query.push([key, String(item)]);
+    }
+    return this;
+  }
+
+  setQuery(params: Record<string, QueryValue>): HttpRequestBuilder {
+    Object.entries(params).forEach(([key, value]) => this.addQueryParam(key, value));
     return this;
   }
 
+  // Strings are sent as they are; anything else as JSON
+  setBody(body: unknown): HttpRequestBuilder {
+    return typeof body === 'string' ? this.setRawBody(body) : this.setJsonBody(body);
+  }
+
+  setJsonBody(data: unknown): HttpRequestBuilder {
+    return this.setRawBody(JSON.stringify(data), 'application/json');
+  }
+
+  setFormBody(fields: Record<string, string | number | boolean>): HttpRequestBuilder {
+    const form = new URLSearchParams();
+    Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+    return this.setRawBody(form.toString(), 'application/x-www-form-urlencoded');
+  }
+
   setTimeout(timeout: number): HttpRequestBuilder {
     this.timeout = timeout;
     return this;
   }
 
-  setRetries(retries: number): HttpRequestBuilder {
+  setRetries(retries: number, options: RetryOptions = {}): HttpRequestBuilder {
     this.retries = retries;
+    this.retry = { ...DEFAULT_RETRY, ...options };
+    return this;
+  }
+
+  addRequestInterceptor(interceptor: RequestInterceptor): HttpRequestBuilder {
+    this.requestInterceptors.push(interceptor);
+    return this;
+  }
+
+  addResponseInterceptor(interceptor: ResponseInterceptor): HttpRequestBuilder {
+    this.responseInterceptors.push(interceptor);
+    return this;
+  }
+
+  // Swap in another fetch, e.g. a mock in tests
+  setFetch(fetchImpl: typeof fetch): HttpRequestBuilder {
+    this.fetchImpl = fetchImpl;
     return this;
   }
 
@@ -184,14 +393,35 @@ class HttpRequestBuilder {
     if (!this.url) {
       throw new Error('URL is required');
     }
-    return new HttpRequest(
-      this.url,
-      this.method,
-      this.headers,
-      this.body,
-      this.timeout,
-      this.retries
-    );
+    try {
+      new URL(this.url);
+    } catch {
+      throw new Error(`Invalid URL: ${this.url}`);
+    }
+    if (this.body !== undefined && (this.method === 'GET' || this.method === 'HEAD')) {
+      throw new Error(`${this.method} requests can't have a body`);
+    }
+    return new HttpRequest({
+      url: this.url,
+      method: this.method,
+      headers: { ...this.headers },
+      query: [...this.query],
+      body: this.body,
+      timeout: this.timeout,
+      retries: this.retries,
+      retry: this.retry,
+      requestInterceptors: [...this.requestInterceptors],
+      responseInterceptors: [...this.responseInterceptors],
+      fetch: this.fetchImpl ?? globalThis.fetch
+    });
+  }
+
+  private setRawBody(body: string, contentType?: string): HttpRequestBuilder {
+    this.body = body;
+    if (contentType && !hasHeader(this.headers, 'Content-Type')) {
+      this.headers['Content-Type'] = contentType;
+    }
+    return this;
   }
 }
 
@@ -292,7 +522,7 @@ class EmailBuilder {
 }
 
 // Demo function
-export function demoBuilder(): void {
+export async function demoBuilder(): Promise<void> {
   console.log('\n=== BUILDER PATTERN DEMO ===\n');
 
   // Example 1: Building a Gaming Computer
@@ -324,17 +554,83 @@ export function demoBuilder(): void {
 
   // Example 3: Building an HTTP Request
   console.log('\n--- Building HTTP Request ---');
-  const request = new HttpRequestBuilder()
-    .setUrl('https://api.example.com/users')
-    .setMethod('POST')
-    .addHeader('Content-Type', 'application/json')
-    .addHeader('Authorization', 'Bearer token123')
-    .setBody({ name: 'John Doe', email: 'john@example.com' })
-    .setTimeout(5000)
-    .setRetries(3)
-    .build();
-
-  request.execute();
+  // A local server stands in for the API, so the demo needs no network
+  let reportCalls = 0;
+  const handle = (req: http.IncomingMessage, body: string, res: http.ServerResponse): void => {
+    const json = (status: number, data: unknown, headers: Record<string, string> = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(data));
+    };
+    const { pathname, searchParams } = new URL(req.url ?? '/', 'http://localhost');
+
+    if (req.method === 'POST' && pathname === '/users') {
+      json(201, { id: 42, ...JSON.parse(body), requestId: req.headers['x-request-id'] });
+    } else if (pathname === '/reports') {
+      // Unavailable for the first two calls
+      reportCalls++;
+      if (reportCalls <= 2) json(503, { error: 'warming up' }, { 'Retry-After': '0' });
+      else json(200, { year: searchParams.get('year'), tags: searchParams.getAll('tag') });
+    } else if (pathname === '/slow') {
+      setTimeout(() => json(200, { done: true }), 300);
+    } else if (pathname === '/login') {
+      json(401, { error: `wrong password for ${new URLSearchParams(body).get('username')}` });
+    } else {
+      json(404, { error: 'not found' });
+    }
+  };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handle(req, body, res));
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  // Every request gets an id; every response is logged
+  const api = (path: string) => new HttpRequestBuilder()
+    .setUrl(`${baseUrl}${path}`)
+    .addRequestInterceptor(request => ({
+      ...request,
+      headers: { ...request.headers, 'X-Request-Id': `req-${Math.random().toString(36).slice(2, 8)}` }
+    }))
+    .addResponseInterceptor(response => {
+      console.log(`🌐 ${response.request.method} ${response.request.url.replace(baseUrl, '')} → ${response.status} (attempt ${response.attempts})`);
+      return response;
+    });
+
+  try {
+    const created = await api('/users')
+      .setMethod('POST')
+      .addHeader('Authorization', 'Bearer token123')
+      .setJsonBody({ name: 'John Doe', email: 'john@example.com' })
+      .setTimeout(5000)
+      .build()
+      .execute();
+    console.log('Created user:', created.data);
+
+    const report = await api('/reports')
+      .setQuery({ year: 2024, tag: ['q4', 'finance'], draft: undefined })
+      .setRetries(3, { backoffMs: 50 })
+      .build()
+      .execute<{ year: string; tags: string[] }>();
+    console.log(`Report after ${report.attempts} attempts:`, report.data);
+
+    for (const request of [
+      api('/slow').setTimeout(100).build(),
+      api('/login').setMethod('POST').setFormBody({ username: 'john', password: 'wrong' }).setRetries(2).build()
+    ]) {
+      try {
+        await request.execute();
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        console.log(`❌ ${error.message}`, error.timedOut ? '(timed out)' : error.response?.data);
+      }
+    }
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
 
   // Example 4: Building an Email
   console.log('\n--- Building Email ---');
@@ -19,14 +19,38 @@
  * - Macro recording
  */
 
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
 // Command Interface
-interface Command {
+export interface Command {
   execute(): void;
   undo(): void;
 }
 
+// A command as plain JSON - enough to rebuild it against an editor, including
+// whatever its undo needs (e.g. the text a delete removed)
+export interface SerializedCommand {
+  type: string;
+  [field: string]: unknown;
+}
+
+export interface SerializableCommand extends Command {
+  toJSON(): SerializedCommand;
+  // Absorb `next` (already executed) so a single undo reverts both
+  mergeWith?(next: SerializableCommand, windowMs: number): boolean;
+}
+
+const isSerializable = (command: Command): command is SerializableCommand =>
+  typeof (command as SerializableCommand).toJSON === 'function';
+
+export interface EditorSnapshot {
+  text: string;
+}
+
 // Receiver: Text Editor
-class TextEditor {
+export class TextEditor {
   private text: string = '';
 
   getText(): string {
@@ -45,16 +69,25 @@ class TextEditor {
     this.text = '';
   }
 
+  createSnapshot(): EditorSnapshot {
+    return { text: this.text };
+  }
+
+  restoreSnapshot(snapshot: EditorSnapshot): void {
+    this.text = snapshot.text;
+  }
+
   display(): void {
     console.log(`📝 Editor content: "${this.text}"`);
   }
 }
 
 // Concrete Commands
-class WriteCommand implements Command {
+export class WriteCommand implements SerializableCommand {
   constructor(
     private editor: TextEditor,
-    private textToWrite: string
+    private textToWrite: string,
+    private writtenAt: number = Date.now()
   ) {}
 
   execute(): void {
@@ -66,14 +99,27 @@ class WriteCommand implements Command {
     this.editor.deleteText(this.textToWrite.length);
     console.log(`↩️ Undone write: "${this.textToWrite}"`);
   }
-}
 
-class DeleteCommand implements Command {
-  private deletedText: string = '';
+  // Typing in quick succession becomes one undo step
+  mergeWith(next: SerializableCommand, windowMs: number): boolean {
+    if (!(next instanceof WriteCommand) || next.editor !== this.editor) return false;
+    if (next.writtenAt - this.writtenAt > windowMs) return false;
 
+    this.textToWrite += next.textToWrite;
+    this.writtenAt = next.writtenAt;
+    return true;
+  }
+
+  toJSON(): SerializedCommand {
+    return { type: 'write', text: this.textToWrite, writtenAt: this.writtenAt };
+  }
+}
+
+export class DeleteCommand implements SerializableCommand {
   constructor(
     private editor: TextEditor,
-    private length: number
+    private length: number,
+    private deletedText: string = ''
   ) {}
 
   execute(): void {
@@ -87,12 +133,17 @@ class DeleteCommand implements Command {
     this.editor.write(this.deletedText);
     console.log(`↩️ Undone delete: "${this.deletedText}"`);
   }
-}
 
-class ClearCommand implements Command {
-  private previousText: string = '';
+  toJSON(): SerializedCommand {
+    return { type: 'delete', length: this.length, deletedText: this.deletedText };
+  }
+}
 
-  constructor(private editor: TextEditor) {}
+export class ClearCommand implements SerializableCommand {
+  constructor(
+    private editor: TextEditor,
+    private previousText: string = ''
+  ) {}
 
   execute(): void {
     this.previousText = this.editor.getText();
@@ -104,20 +155,200 @@ class ClearCommand implements Command {
     this.editor.write(this.previousText);
     console.log(`↩️ Restored: "${this.previousText}"`);
   }
+
+  toJSON(): SerializedCommand {
+    return { type: 'clear', previousText: this.previousText };
+  }
+}
+
+// Composite: runs its commands in order and undoes them in reverse, as one step
+export class MacroCommand implements SerializableCommand {
+  constructor(
+    private name: string,
+    private commands: SerializableCommand[]
+  ) {}
+
+  execute(): void {
+    console.log(`🎬 Running macro "${this.name}"`);
+    this.commands.forEach(command => command.execute());
+  }
+
+  undo(): void {
+    console.log(`↩️ Undoing macro "${this.name}"`);
+    [...this.commands].reverse().forEach(command => command.undo());
+  }
+
+  toJSON(): SerializedCommand {
+    return { type: 'macro', name: this.name, commands: this.commands.map(command => command.toJSON()) };
+  }
+}
+
+// Rebuilds commands from JSON, by their `type`
+type CommandFactory = (data: SerializedCommand, editor: TextEditor, registry: CommandRegistry) => SerializableCommand;
+
+export class CommandRegistry {
+  private factories: Map<string, CommandFactory> = new Map();
+
+  register(type: string, factory: CommandFactory): this {
+    this.factories.set(type, factory);
+    return this;
+  }
+
+  deserialize(data: SerializedCommand, editor: TextEditor): SerializableCommand {
+    const factory = this.factories.get(data.type);
+    if (!factory) {
+      throw new Error(`Command type "${data.type}" is not registered`);
+    }
+    return factory(data, editor, this);
+  }
+}
+
+export const editorCommands = new CommandRegistry()
+  .register('write', (data, editor) => new WriteCommand(editor, data.text as string, data.writtenAt as number))
+  .register('delete', (data, editor) => new DeleteCommand(editor, data.length as number, data.deletedText as string))
+  .register('clear', (data, editor) => new ClearCommand(editor, data.previousText as string))
+  .register('macro', (data, editor, registry) => new MacroCommand(
+    data.name as string,
+    (data.commands as SerializedCommand[]).map(command => registry.deserialize(command, editor))
+  ));
+
+// Event log: everything the CommandManager did, in order. Replaying it from
+// the latest snapshot rebuilds both the editor and its undo/redo history.
+export interface HistorySnapshot {
+  editor: EditorSnapshot;
+  history: SerializedCommand[];
+  currentIndex: number;
+}
+
+export type LogEntry =
+  | { kind: 'execute'; command: SerializedCommand; merged: boolean }
+  | { kind: 'undo' }
+  | { kind: 'redo' }
+  | { kind: 'snapshot'; snapshot: HistorySnapshot };
+
+export interface CommandLog {
+  append(entry: LogEntry): void;
+  entries(): LogEntry[];
+  // Drop everything before the latest snapshot
+  compact(): void;
+}
+
+const latestSnapshotIndex = (entries: LogEntry[]): number => {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].kind === 'snapshot') return i;
+  }
+  return -1;
+};
+
+export class MemoryCommandLog implements CommandLog {
+  private log: LogEntry[] = [];
+
+  append(entry: LogEntry): void {
+    this.log.push(entry);
+  }
+
+  entries(): LogEntry[] {
+    return [...this.log];
+  }
+
+  compact(): void {
+    this.log = this.log.slice(Math.max(latestSnapshotIndex(this.log), 0));
+  }
+}
+
+// JSON Lines file, appended synchronously - a crash loses at most the entry
+// being written. Its partial line is skipped when the log is read back and cut
+// off before the next append, so the next entry doesn't land on the same line.
+export class FileCommandLog implements CommandLog {
+  private tailChecked = false;
+
+  constructor(private filePath: string) {}
+
+  append(entry: LogEntry): void {
+    if (!this.tailChecked) {
+      this.dropTornLine();
+      this.tailChecked = true;
+    }
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+
+  entries(): LogEntry[] {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim() !== '');
+    const entries: LogEntry[] = [];
+    lines.forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        if (index < lines.length - 1) {
+          throw new Error(`Command log ${this.filePath} is corrupt at line ${index + 1}`);
+        }
+      }
+    });
+    return entries;
+  }
+
+  // Everything after the last newline is an entry that was never finished
+  private dropTornLine(): void {
+    if (!fs.existsSync(this.filePath)) return;
+    const content = fs.readFileSync(this.filePath);
+    if (content.length === 0 || content[content.length - 1] === 0x0a) return;
+    fs.truncateSync(this.filePath, content.lastIndexOf(0x0a) + 1);
+  }
+
+  compact(): void {
+    const entries = this.entries();
+    const kept = entries.slice(Math.max(latestSnapshotIndex(entries), 0));
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+export interface CommandManagerOptions {
+  editor?: TextEditor;      // needed for snapshots
+  log?: CommandLog;         // every execute/undo/redo is appended here
+  maxHistory?: number;      // oldest undo steps are dropped beyond this
+  mergeWindowMs?: number;   // merge consecutive mergeable commands this close together; 0 = never
+  snapshotEvery?: number;   // log entries between automatic snapshots; 0 = never
 }
 
 // Invoker
-class CommandManager {
+export class CommandManager {
   private history: Command[] = [];
   private currentIndex: number = -1;
+  private entriesSinceSnapshot: number = 0;
+  private replaying: boolean = false;
+
+  constructor(private options: CommandManagerOptions = {}) {}
+
+  /**
+   * Rebuild an editor and its undo/redo history from `log`: restore the
+   * latest snapshot, then replay the entries after it.
+   */
+  static restore(
+    editor: TextEditor,
+    log: CommandLog,
+    options: Omit<CommandManagerOptions, 'editor' | 'log'> = {},
+    registry: CommandRegistry = editorCommands
+  ): CommandManager {
+    const manager = new CommandManager({ ...options, editor, log });
+    const entries = log.entries();
+    const start = Math.max(latestSnapshotIndex(entries), 0);
+
+    manager.replaying = true;
+    try {
+      entries.slice(start).forEach(entry => manager.replay(entry, editor, registry));
+    } finally {
+      manager.replaying = false;
+    }
+    manager.entriesSinceSnapshot = entries.length - start;
+    return manager;
+  }
 
   executeCommand(command: Command): void {
-    // Remove any commands after current index (for new commands after undo)
-    this.history = this.history.slice(0, this.currentIndex + 1);
-
-    command.execute();
-    this.history.push(command);
-    this.currentIndex++;
+    this.run(command);
   }
 
   undo(): void {
@@ -129,6 +360,7 @@ class CommandManager {
     const command = this.history[this.currentIndex];
     command.undo();
     this.currentIndex--;
+    this.record({ kind: 'undo' });
   }
 
   redo(): void {
@@ -140,6 +372,98 @@ class CommandManager {
     this.currentIndex++;
     const command = this.history[this.currentIndex];
     command.execute();
+    this.record({ kind: 'redo' });
+  }
+
+  canUndo(): boolean {
+    return this.currentIndex >= 0;
+  }
+
+  canRedo(): boolean {
+    return this.currentIndex < this.history.length - 1;
+  }
+
+  // Append the editor and full history to the log, so replay can start here
+  snapshot(): void {
+    const { editor, log } = this.options;
+    if (!editor || !log) {
+      throw new Error('Snapshots need both an editor and a log');
+    }
+
+    log.append({
+      kind: 'snapshot',
+      snapshot: {
+        editor: editor.createSnapshot(),
+        history: this.history.map(command => (command as SerializableCommand).toJSON()),
+        currentIndex: this.currentIndex,
+      },
+    });
+    this.entriesSinceSnapshot = 0;
+  }
+
+  // `merge` is decided here for new commands, and taken from the log on replay
+  private run(command: Command, merge?: boolean): void {
+    if (this.options.log && !isSerializable(command)) {
+      throw new Error('Only serializable commands can be logged');
+    }
+
+    // Remove any commands after current index (for new commands after undo)
+    this.history = this.history.slice(0, this.currentIndex + 1);
+    command.execute();
+
+    const previous = this.history[this.currentIndex];
+    const merged = previous !== undefined && this.merge(previous, command, merge);
+    if (!merged) {
+      this.history.push(command);
+      this.currentIndex++;
+      if (this.history.length > (this.options.maxHistory ?? Infinity)) {
+        this.history.shift();
+        this.currentIndex--;
+      }
+    }
+
+    if (isSerializable(command)) {
+      this.record({ kind: 'execute', command: command.toJSON(), merged });
+    }
+  }
+
+  private merge(previous: Command, next: Command, decided?: boolean): boolean {
+    if (decided === false || !isSerializable(previous) || !isSerializable(next) || !previous.mergeWith) {
+      return false;
+    }
+    // On replay the log already says they merged, whatever the window
+    const windowMs = decided ? Infinity : this.options.mergeWindowMs ?? 0;
+    return windowMs > 0 && previous.mergeWith(next, windowMs);
+  }
+
+  private replay(entry: LogEntry, editor: TextEditor, registry: CommandRegistry): void {
+    switch (entry.kind) {
+      case 'snapshot':
+        editor.restoreSnapshot(entry.snapshot.editor);
+        this.history = entry.snapshot.history.map(command => registry.deserialize(command, editor));
+        this.currentIndex = entry.snapshot.currentIndex;
+        break;
+      case 'execute':
+        this.run(registry.deserialize(entry.command, editor), entry.merged);
+        break;
+      case 'undo':
+        this.undo();
+        break;
+      case 'redo':
+        this.redo();
+        break;
+    }
+  }
+
+  private record(entry: LogEntry): void {
+    const { log, snapshotEvery = 0 } = this.options;
+    if (!log || this.replaying) return;
+
+    log.append(entry);
+    this.entriesSinceSnapshot++;
+    if (snapshotEvery > 0 && this.entriesSinceSnapshot >= snapshotEvery) {
+      this.snapshot();
+    }
   }
 }
 
@@ -254,110 +578,413 @@ class RemoteControl {
   }
 }
 
-// Practical Example 3: Task Queue
-interface Task {
-  execute(): void;
-  undo(): void;
+// Practical Example 3: Background Job Queue
+//
+// Tasks are commands that run asynchronously. The queue runs them by
+// priority with a concurrency limit, retries failures with exponential
+// backoff, moves tasks that keep failing to a dead-letter list, and keeps
+// everything that hasn't finished in a store so it survives a restart.
+
+export interface SerializedTask {
+  type: string;
+  [field: string]: unknown;
+}
+
+export interface Task {
+  execute(): Promise<void>;
+  undo(): Promise<void>;
   getDescription(): string;
+  toJSON(): SerializedTask;
 }
 
-class EmailTask implements Task {
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+export class EmailTask implements Task {
+  private attempts: number = 0;
+
   constructor(
     private recipient: string,
-    private subject: string
+    private subject: string,
+    private failFirstAttempts: number = 0   // simulates a flaky mail server
   ) {}
 
-  execute(): void {
-    console.log(`📧 Sending email to ${this.recipient}: ${this.subject}`);
+  async execute(): Promise<void> {
+    this.attempts++;
+    await sleep(50);
+    if (this.attempts <= this.failFirstAttempts) {
+      throw new Error(`SMTP timeout sending to ${this.recipient}`);
+    }
+    console.log(`📧 Sent email to ${this.recipient}: ${this.subject}`);
   }
 
-  undo(): void {
-    console.log(`↩️ Cancelled email to ${this.recipient}`);
+  async undo(): Promise<void> {
+    console.log(`↩️ Sent correction to ${this.recipient}`);
   }
 
   getDescription(): string {
     return `Email to ${this.recipient}`;
   }
+
+  toJSON(): SerializedTask {
+    return { type: 'email', recipient: this.recipient, subject: this.subject, failFirstAttempts: this.failFirstAttempts };
+  }
 }
 
-class DatabaseTask implements Task {
+export class DatabaseTask implements Task {
   constructor(
     private query: string,
-    private data: any
+    private data: Record<string, unknown>
   ) {}
 
-  execute(): void {
-    console.log(`💾 Executing DB query: ${this.query}`);
-    console.log(`   Data:`, this.data);
+  async execute(): Promise<void> {
+    await sleep(30);
+    console.log(`💾 Executed DB query: ${this.query}`, this.data);
   }
 
-  undo(): void {
-    console.log(`↩️ Rolling back DB query: ${this.query}`);
+  async undo(): Promise<void> {
+    console.log(`↩️ Rolled back DB query: ${this.query}`);
   }
 
   getDescription(): string {
     return `Database: ${this.query}`;
   }
+
+  toJSON(): SerializedTask {
+    return { type: 'database', query: this.query, data: this.data };
+  }
 }
 
-class FileTask implements Task {
+export class FileTask implements Task {
+  private previousContent: string | null = null;
+
   constructor(
     private filename: string,
-    private operation: 'create' | 'delete'
+    private operation: 'create' | 'delete',
+    private content: string = ''
   ) {}
 
-  execute(): void {
+  async execute(): Promise<void> {
     if (this.operation === 'create') {
-      console.log(`📁 Creating file: ${this.filename}`);
+      await fs.promises.writeFile(this.filename, this.content);
+      console.log(`📁 Created file: ${this.filename}`);
     } else {
-      console.log(`🗑️ Deleting file: ${this.filename}`);
+      this.previousContent = await fs.promises.readFile(this.filename, 'utf8');
+      await fs.promises.unlink(this.filename);
+      console.log(`🗑️ Deleted file: ${this.filename}`);
     }
   }
 
-  undo(): void {
+  async undo(): Promise<void> {
     if (this.operation === 'create') {
-      console.log(`↩️ Removing file: ${this.filename}`);
-    } else {
-      console.log(`↩️ Restoring file: ${this.filename}`);
+      await fs.promises.rm(this.filename, { force: true });
+      console.log(`↩️ Removed file: ${this.filename}`);
+    } else if (this.previousContent !== null) {
+      await fs.promises.writeFile(this.filename, this.previousContent);
+      console.log(`↩️ Restored file: ${this.filename}`);
     }
   }
 
   getDescription(): string {
     return `File ${this.operation}: ${this.filename}`;
   }
+
+  toJSON(): SerializedTask {
+    return { type: 'file', filename: this.filename, operation: this.operation, content: this.content };
+  }
 }
 
-class TaskQueue {
-  private queue: Task[] = [];
-  private executed: Task[] = [];
+// Rebuilds stored tasks, by their `type`
+export class TaskRegistry {
+  private factories: Map<string, (data: SerializedTask) => Task> = new Map();
 
-  addTask(task: Task): void {
-    this.queue.push(task);
-    console.log(`➕ Added task: ${task.getDescription()}`);
+  register(type: string, factory: (data: SerializedTask) => Task): this {
+    this.factories.set(type, factory);
+    return this;
   }
 
-  processQueue(): void {
-    console.log(`\n⚙️ Processing ${this.queue.length} tasks...`);
-    while (this.queue.length > 0) {
-      const task = this.queue.shift()!;
-      task.execute();
-      this.executed.push(task);
+  deserialize(data: SerializedTask): Task {
+    const factory = this.factories.get(data.type);
+    if (!factory) {
+      throw new Error(`Task type "${data.type}" is not registered`);
+    }
+    return factory(data);
+  }
+}
+
+export const defaultTasks = new TaskRegistry()
+  .register('email', data => new EmailTask(data.recipient as string, data.subject as string, data.failFirstAttempts as number))
+  .register('database', data => new DatabaseTask(data.query as string, data.data as Record<string, unknown>))
+  .register('file', data => new FileTask(data.filename as string, data.operation as 'create' | 'delete', data.content as string));
+
+export type TaskPriority = 'high' | 'normal' | 'low';
+
+const PRIORITIES: TaskPriority[] = ['high', 'normal', 'low'];
+
+export interface Job {
+  id: string;
+  task: SerializedTask;
+  priority: TaskPriority;
+  attempts: number;
+  runAt: number;            // not before this time (ms since epoch) - set by backoff
+  lastError?: string;
+}
+
+export interface DeadLetter {
+  job: Job;
+  error: string;
+  failedAt: number;
+}
+
+export interface QueueState {
+  pending: Job[];           // includes jobs that were running - they run again after a restart
+  deadLetters: DeadLetter[];
+}
+
+export interface JobStore {
+  load(): QueueState;
+  save(state: QueueState): void;
+}
+
+export class MemoryJobStore implements JobStore {
+  private state: QueueState = { pending: [], deadLetters: [] };
+
+  load(): QueueState {
+    return structuredClone(this.state);
+  }
+
+  save(state: QueueState): void {
+    this.state = structuredClone(state);
+  }
+}
+
+// One JSON file, replaced atomically (write to a temp file, then rename)
+export class FileJobStore implements JobStore {
+  constructor(private filePath: string) {}
+
+  load(): QueueState {
+    if (!fs.existsSync(this.filePath)) return { pending: [], deadLetters: [] };
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  save(state: QueueState): void {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+export interface TaskQueueOptions {
+  concurrency?: number;     // tasks running at once
+  maxAttempts?: number;     // then the job is dead-lettered
+  backoffMs?: number;       // delay before the first retry; doubles each time
+  maxBackoffMs?: number;
+  store?: JobStore;
+  registry?: TaskRegistry;
+}
+
+export class TaskQueue {
+  private lanes: Record<TaskPriority, Job[]> = { high: [], normal: [], low: [] };
+  private running: Map<string, Job> = new Map();
+  private deadLetters: DeadLetter[] = [];
+  private executed: Task[] = [];
+  private tasks: Map<string, Task> = new Map();     // one instance per job, across its retries
+  private waiters: (() => boolean)[] = [];
+  private timer: NodeJS.Timeout | null = null;
+  private started: boolean = false;
+  private nextId: number = 1;
+  private readonly options: Required<Omit<TaskQueueOptions, 'store'>> & { store: JobStore };
+
+  constructor(options: TaskQueueOptions = {}) {
+    this.options = {
+      concurrency: options.concurrency ?? 2,
+      maxAttempts: options.maxAttempts ?? 3,
+      backoffMs: options.backoffMs ?? 100,
+      maxBackoffMs: options.maxBackoffMs ?? 10_000,
+      store: options.store ?? new MemoryJobStore(),
+      registry: options.registry ?? defaultTasks,
+    };
+    // With no task allowed to run, nothing would ever start or drain (also NaN)
+    if (!(this.options.concurrency >= 1)) {
+      throw new Error('concurrency must be at least 1');
+    }
+
+    // Pick up whatever a previous process left unfinished
+    const { pending, deadLetters } = this.options.store.load();
+    pending.forEach(job => this.lanes[job.priority].push(job));
+    this.deadLetters = deadLetters;
+    this.nextId = pending.length + deadLetters.length + 1;
+    if (pending.length > 0) {
+      console.log(`♻️ Restored ${pending.length} pending task(s) from the store`);
     }
-    console.log('✅ All tasks processed');
   }
 
-  undoLastTask(): void {
+  addTask(task: Task, priority: TaskPriority = 'normal'): string {
+    const id = `${Date.now().toString(36)}-${this.nextId++}`;
+    this.lanes[priority].push({ id, task: task.toJSON(), priority, attempts: 0, runAt: 0 });
+    this.persist();
+    console.log(`➕ Added ${priority} priority task: ${task.getDescription()}`);
+    this.pump();
+    return id;
+  }
+
+  // Start running tasks, now and as they're added
+  start(): void {
+    this.started = true;
+    this.pump();
+  }
+
+  // Stop taking new tasks; resolves once the running ones finish
+  async stop(): Promise<void> {
+    this.started = false;
+    this.clearTimer();
+    await this.waitUntil(() => this.running.size === 0);
+  }
+
+  // Run everything that's queued, including retries, then stop
+  async processQueue(): Promise<void> {
+    console.log(`\n⚙️ Processing ${this.pendingCount()} tasks...`);
+    this.start();
+    await this.waitUntil(() => this.pendingCount() === 0 && this.running.size === 0);
+    await this.stop();
+    console.log(`✅ Queue drained (${this.deadLetters.length} dead-lettered)`);
+  }
+
+  async undoLastTask(): Promise<void> {
     const task = this.executed.pop();
     if (task) {
-      task.undo();
+      await task.undo();
     } else {
       console.log('❌ No task to undo');
     }
   }
+
+  getDeadLetters(): DeadLetter[] {
+    return [...this.deadLetters];
+  }
+
+  // Give a dead-lettered job a fresh set of attempts
+  retryDeadLetter(id: string): boolean {
+    const index = this.deadLetters.findIndex(letter => letter.job.id === id);
+    if (index === -1) return false;
+
+    const [{ job }] = this.deadLetters.splice(index, 1);
+    this.lanes[job.priority].push({ ...job, attempts: 0, runAt: 0 });
+    this.persist();
+    this.pump();
+    return true;
+  }
+
+  getStats(): { pending: number; running: number; deadLettered: number; executed: number } {
+    return {
+      pending: this.pendingCount(),
+      running: this.running.size,
+      deadLettered: this.deadLetters.length,
+      executed: this.executed.length,
+    };
+  }
+
+  private pendingCount(): number {
+    return PRIORITIES.reduce((count, priority) => count + this.lanes[priority].length, 0);
+  }
+
+  // Fill free slots with the highest-priority jobs that are due
+  private pump(): void {
+    this.clearTimer();
+
+    if (this.started) {
+      while (this.running.size < this.options.concurrency) {
+        const job = this.takeNextDue();
+        if (!job) break;
+        this.running.set(job.id, job);
+        void this.run(job);
+      }
+
+      // Nothing due right now - wake up when the next backoff ends
+      const nextRunAt = Math.min(...PRIORITIES.flatMap(priority => this.lanes[priority].map(job => job.runAt)));
+      if (this.running.size < this.options.concurrency && Number.isFinite(nextRunAt)) {
+        this.timer = setTimeout(() => this.pump(), Math.max(0, nextRunAt - Date.now()));
+      }
+    }
+
+    this.waiters = this.waiters.filter(check => !check());
+  }
+
+  private takeNextDue(): Job | undefined {
+    const now = Date.now();
+    for (const priority of PRIORITIES) {
+      const index = this.lanes[priority].findIndex(job => job.runAt <= now);
+      if (index !== -1) return this.lanes[priority].splice(index, 1)[0];
+    }
+    return undefined;
+  }
+
+  private async run(job: Job): Promise<void> {
+    job.attempts++;
+    try {
+      const task = this.tasks.get(job.id) ?? this.options.registry.deserialize(job.task);
+      this.tasks.set(job.id, task);
+      await task.execute();
+      this.tasks.delete(job.id);
+      this.executed.push(task);
+    } catch (error) {
+      this.fail(job, error instanceof Error ? error.message : String(error));
+    } finally {
+      this.running.delete(job.id);
+      // Nothing awaits run(), so a store that can't be written is reported
+      // here - and mustn't stop the queue from moving on
+      try {
+        this.persist();
+      } catch (error) {
+        console.error('❌ Could not save the queue:', error instanceof Error ? error.message : error);
+      }
+      this.pump();
+    }
+  }
+
+  private fail(job: Job, message: string): void {
+    job.lastError = message;
+    // A task that can't even be rebuilt won't do better next time
+    if (!this.tasks.has(job.id) || job.attempts >= this.options.maxAttempts) {
+      this.tasks.delete(job.id);
+      this.deadLetters.push({ job, error: message, failedAt: Date.now() });
+      console.log(`☠️ Dead-lettered after ${job.attempts} attempt(s): ${message}`);
+      return;
+    }
+
+    const delay = Math.min(this.options.backoffMs * 2 ** (job.attempts - 1), this.options.maxBackoffMs);
+    job.runAt = Date.now() + delay;
+    this.lanes[job.priority].push(job);
+    console.log(`🔁 Attempt ${job.attempts} failed (${message}) - retrying in ${delay}ms`);
+  }
+
+  private persist(): void {
+    this.options.store.save({
+      pending: [...this.running.values(), ...PRIORITIES.flatMap(priority => this.lanes[priority])],
+      deadLetters: this.deadLetters,
+    });
+  }
+
+  private waitUntil(condition: () => boolean): Promise<void> {
+    return new Promise(resolve => {
+      const check = () => {
+        if (!condition()) return false;
+        resolve();
+        return true;
+      };
+      if (!check()) this.waiters.push(check);
+    });
+  }
+
+  private clearTimer(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
 }
 
 // Demo function
-export function demoCommand(): void {
+export async function demoCommand(): Promise<void> {
   console.log('\n=== COMMAND PATTERN DEMO ===\n');
 
   // Example 1: Text Editor with Undo/Redo
@@ -394,10 +1021,46 @@ export function demoCommand(): void {
   commandManager.undo();
   editor.display();
 
+  // Example 1b: Persistent history - macros, merged typing, restore after restart
+  console.log('\n--- Persistent Editor History Example ---');
+  const logPath = path.join(os.tmpdir(), `command-log-${process.pid}.jsonl`);
+  const draft = new TextEditor();
+  const draftManager = new CommandManager({
+    editor: draft,
+    log: new FileCommandLog(logPath),
+    maxHistory: 50,
+    mergeWindowMs: 1000,
+    snapshotEvery: 5,
+  });
+
+  // Keystrokes 200ms apart merge into one undo step; the pause before "!" doesn't
+  draftManager.executeCommand(new WriteCommand(draft, 'Dear', 0));
+  draftManager.executeCommand(new WriteCommand(draft, ' team', 200));
+  draftManager.executeCommand(new WriteCommand(draft, '!', 5000));
+  draftManager.executeCommand(new MacroCommand('Sign off', [
+    new WriteCommand(draft, ' Thanks,', 6000),
+    new WriteCommand(draft, ' Alex', 6000),
+  ]));
+  draftManager.executeCommand(new DeleteCommand(draft, 5));
+  draftManager.undo();
+  draft.display();
+
+  console.log('\nRestarting - rebuilding the editor from the log:');
+  const restored = new TextEditor();
+  const restoredManager = CommandManager.restore(restored, new FileCommandLog(logPath), { maxHistory: 50, mergeWindowMs: 1000 });
+  restored.display();
+
+  console.log('\nUndo history survived the restart:');
+  restoredManager.undo(); // the sign-off macro
+  restoredManager.undo(); // "!"
+  restoredManager.undo(); // "Dear team", merged
+  restored.display();
+  fs.rmSync(logPath, { force: true });
+
   // Example 2: Smart Home Remote Control
   console.log('\n--- Smart Home Remote Control Example ---');
   const livingRoomLight = new Light();
-  const bedroom Light = new Light();
+  const bedroomLight = new Light();
   const thermostat = new Thermostat();
 
   const remote = new RemoteControl();
@@ -415,20 +1078,31 @@ export function demoCommand(): void {
   remote.pressUndo(); // Undo temperature change
   remote.pressUndo(); // Turn off bedroom light
 
-  // Example 3: Task Queue
+  // Example 3: Background Job Queue
   console.log('\n--- Task Queue Example ---');
-  const taskQueue = new TaskQueue();
+  const storePath = path.join(os.tmpdir(), `task-queue-${process.pid}.json`);
+  const reportPath = path.join(os.tmpdir(), `report-${process.pid}.txt`);
+  const queueOptions = { concurrency: 2, maxAttempts: 3, backoffMs: 100 };
 
-  taskQueue.addTask(new EmailTask('admin@example.com', 'System Alert'));
+  const taskQueue = new TaskQueue({ ...queueOptions, store: new FileJobStore(storePath) });
   taskQueue.addTask(new DatabaseTask('INSERT INTO users', { name: 'John', email: 'john@example.com' }));
-  taskQueue.addTask(new FileTask('report.pdf', 'create'));
-  taskQueue.addTask(new EmailTask('user@example.com', 'Welcome!'));
-
-  taskQueue.processQueue();
+  taskQueue.addTask(new FileTask(reportPath, 'create', 'Quarterly report'), 'low');
+  taskQueue.addTask(new EmailTask('admin@example.com', 'System Alert', 1), 'high'); // fails once
+  taskQueue.addTask(new EmailTask('user@example.com', 'Welcome!', 5));              // never gets through
+
+  // Nothing has run yet - a "restarted" process picks the tasks up from the store
+  const restartedQueue = new TaskQueue({ ...queueOptions, store: new FileJobStore(storePath) });
+  await restartedQueue.processQueue();
+  console.log('Stats:', restartedQueue.getStats());
+  restartedQueue.getDeadLetters().forEach(({ job, error }) => {
+    console.log(`   Dead letter ${job.task.type} after ${job.attempts} attempts: ${error}`);
+  });
 
   console.log('\nUndo last two tasks:');
-  taskQueue.undoLastTask();
-  taskQueue.undoLastTask();
+  await restartedQueue.undoLastTask();
+  await restartedQueue.undoLastTask();
+  fs.rmSync(storePath, { force: true });
+  fs.rmSync(reportPath, { force: true });
 
   console.log('\n✅ Command Pattern encapsulates requests as objects and supports undo/redo\n');
 }
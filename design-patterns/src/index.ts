@@ -27,7 +27,7 @@ function printSeparator(): void {
   console.log('\n' + '-'.repeat(60) + '\n');
 }
 
-function main(): void {
+async function main(): Promise<void> {
   console.clear();
 
   printHeader('DESIGN PATTERNS IN TYPESCRIPT');
@@ -59,7 +59,7 @@ function main(): void {
 
     if (pattern) {
       printHeader(`${pattern.name} (${pattern.category})`);
-      pattern.demo();
+      await pattern.demo();
     } else {
       console.log(`Pattern "${patternName}" not found.\n`);
       console.log('Available patterns:');
@@ -71,11 +71,12 @@ function main(): void {
     }
   } else {
     // Run all patterns
-    patterns.forEach((pattern, index) => {
+    // Some demos are async (e.g. the Command pattern's job queue) - run them one at a time
+    for (const [index, pattern] of patterns.entries()) {
       if (index > 0) printSeparator();
       printHeader(`${index + 1}. ${pattern.name} (${pattern.category})`);
-      pattern.demo();
-    });
+      await pattern.demo();
+    }
 
     printSeparator();
     console.log('✅ All design patterns demonstrated successfully!\n');
@@ -89,4 +90,7 @@ function main(): void {
 }
 
 // Run the demo
-main();
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
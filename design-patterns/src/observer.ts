@@ -30,52 +30,294 @@ interface Subject {
   notify(data: any): void;
 }
 
-// Practical Example 1: Stock Price Monitoring System
-class StockPrice implements Subject {
-  private observers: Observer[] = [];
-  private stockSymbol: string;
-  private price: number;
+// Typed Event Emitter
+//
+// The same one-to-many idea with typed payloads. Event names are dot-separated
+// topics ("price.up"); a listener can use "*" for one segment or "**" for any
+// number of them ("price.*", "**").
+
+type EventName<Events> = keyof Events & string;
+
+// "price.*" -> `price.${string}`, so a pattern's payload type is the union of
+// the events it can match
+type Glob<Pattern extends string> = Pattern extends `${infer Head}*${infer Tail}`
+  ? `${Head}${string}${Glob<Tail>}`
+  : Pattern;
+
+export type MatchingEvent<Events, Pattern extends string> = Extract<EventName<Events>, Glob<Pattern>>;
+
+// A pattern that can't match any event is a type error
+type ValidPattern<Events, Pattern extends string> =
+  [MatchingEvent<Events, Pattern>] extends [never] ? never : Pattern;
+
+export type Listener<Events, Pattern extends string> = (
+  payload: Events[MatchingEvent<Events, Pattern>],
+  event: MatchingEvent<Events, Pattern>
+) => void | Promise<void>;
+
+export interface ListenerOptions {
+  priority?: number;        // higher runs first; default 0
+  once?: boolean;
+}
 
-  constructor(symbol: string, initialPrice: number) {
-    this.stockSymbol = symbol;
-    this.price = initialPrice;
+export interface ListenerError {
+  event: string;
+  pattern: string;
+  error: unknown;
+}
+
+export interface EmitResult {
+  event: string;
+  delivered: number;        // listeners that ran without throwing
+  errors: ListenerError[];
+  dropped: boolean;         // pushed out of a full buffer, never delivered
+}
+
+export type OverflowPolicy = 'wait' | 'drop-oldest' | 'drop-newest';
+
+export interface EventEmitterOptions {
+  // Buffered mode: events are delivered one at a time, in order, and at most
+  // this many wait their turn. Without it every emit is delivered immediately.
+  bufferSize?: number;
+  // When the buffer is full: make emit() wait for room, or drop an event
+  overflow?: OverflowPolicy;
+  onError?: (error: ListenerError) => void;
+}
+
+interface Registration {
+  pattern: string;
+  segments: string[];
+  listener: (payload: any, event: any) => void | Promise<void>;
+  priority: number;
+  once: boolean;
+}
+
+interface QueuedEvent {
+  event: string;
+  payload: unknown;
+  resolve: (result: EmitResult) => void;
+}
+
+// "*" matches exactly one segment, "**" zero or more
+const matchSegments = (pattern: string[], event: string[]): boolean => {
+  if (pattern.length === 0) return event.length === 0;
+  const [head, ...rest] = pattern;
+  if (head === '**') {
+    return event.some((_, index) => matchSegments(rest, event.slice(index))) || matchSegments(rest, []);
   }
+  return event.length > 0 && (head === '*' || head === event[0]) && matchSegments(rest, event.slice(1));
+};
 
-  attach(observer: Observer): void {
-    const isExist = this.observers.includes(observer);
-    if (isExist) {
-      console.log('Observer already attached');
-      return;
+/**
+ * Listeners run in priority order: each priority level finishes (including
+ * async work) before the next starts, and listeners with the same priority
+ * run concurrently. A listener that throws or rejects is reported to
+ * `onError` and in the emit result; the other listeners still run.
+ */
+export class TypedEventEmitter<Events extends object> {
+  private registrations: Registration[] = [];
+  private queue: QueuedEvent[] = [];
+  private waitingForRoom: Array<() => void> = [];
+  private waitingForIdle: Array<() => void> = [];
+  private delivering: boolean = false;
+  private stats = { emitted: 0, dropped: 0, listenerErrors: 0 };
+  private readonly options: EventEmitterOptions;
+
+  constructor(options: EventEmitterOptions = {}) {
+    if (options.bufferSize !== undefined && options.bufferSize < 1) {
+      throw new Error('bufferSize must be at least 1');
     }
-    this.observers.push(observer);
-    console.log(`✅ Observer attached to ${this.stockSymbol}`);
+    this.options = options;
   }
 
-  detach(observer: Observer): void {
-    const observerIndex = this.observers.indexOf(observer);
-    if (observerIndex === -1) {
-      console.log('Observer not found');
-      return;
+  // Returns a function that removes the listener
+  on<Pattern extends string>(
+    pattern: ValidPattern<Events, Pattern>,
+    listener: Listener<Events, Pattern>,
+    options: ListenerOptions = {}
+  ): () => void {
+    const registration: Registration = {
+      pattern,
+      segments: pattern.split('.'),
+      listener,
+      priority: options.priority ?? 0,
+      once: options.once ?? false
+    };
+    // Keep sorted by priority; equal priorities stay in registration order
+    const index = this.registrations.findIndex(r => r.priority < registration.priority);
+    this.registrations.splice(index === -1 ? this.registrations.length : index, 0, registration);
+    return () => this.remove(registration);
+  }
+
+  once<Pattern extends string>(
+    pattern: ValidPattern<Events, Pattern>,
+    listener: Listener<Events, Pattern>,
+    options: Omit<ListenerOptions, 'once'> = {}
+  ): () => void {
+    return this.on(pattern, listener, { ...options, once: true });
+  }
+
+  off<Pattern extends string>(pattern: ValidPattern<Events, Pattern>, listener: Listener<Events, Pattern>): void {
+    const registration = this.registrations.find(r => r.pattern === pattern && r.listener === listener);
+    if (registration) this.remove(registration);
+  }
+
+  removeAllListeners(): void {
+    this.registrations = [];
+  }
+
+  listenerCount(event?: EventName<Events>): number {
+    if (event === undefined) return this.registrations.length;
+    const segments = event.split('.');
+    return this.registrations.filter(r => matchSegments(r.segments, segments)).length;
+  }
+
+  /**
+   * Resolves once every matching listener has finished - or, in buffered
+   * mode, with `dropped: true` if the event was pushed out of the buffer.
+   */
+  emit<Event extends EventName<Events>>(event: Event, payload: Events[Event]): Promise<EmitResult> {
+    this.stats.emitted++;
+    if (this.options.bufferSize === undefined) {
+      return this.deliver(event, payload);
     }
-    this.observers.splice(observerIndex, 1);
-    console.log(`❌ Observer detached from ${this.stockSymbol}`);
+    return this.enqueue(event, payload);
   }
 
-  notify(data: any): void {
-    console.log(`📢 Notifying ${this.observers.length} observers about ${this.stockSymbol}...`);
-    for (const observer of this.observers) {
-      observer.update(data);
+  // Resolves when the buffer is empty and nothing is being delivered
+  drain(): Promise<void> {
+    if (!this.delivering && this.queue.length === 0) return Promise.resolve();
+    return new Promise(resolve => this.waitingForIdle.push(resolve));
+  }
+
+  getStats(): { emitted: number; dropped: number; listenerErrors: number; buffered: number } {
+    return { ...this.stats, buffered: this.queue.length };
+  }
+
+  private remove(registration: Registration): void {
+    this.registrations = this.registrations.filter(r => r !== registration);
+  }
+
+  private async enqueue(event: string, payload: unknown): Promise<EmitResult> {
+    const bufferSize = this.options.bufferSize!;
+    const overflow = this.options.overflow ?? 'wait';
+
+    if (this.queue.length >= bufferSize) {
+      if (overflow === 'drop-newest') {
+        return this.dropped(event);
+      }
+      if (overflow === 'drop-oldest') {
+        const oldest = this.queue.shift()!;
+        oldest.resolve(this.dropped(oldest.event));
+      }
+      while (this.queue.length >= bufferSize) {
+        await new Promise<void>(resolve => this.waitingForRoom.push(resolve));
+      }
+    }
+
+    return new Promise(resolve => {
+      this.queue.push({ event, payload, resolve });
+      this.deliverQueued();
+    });
+  }
+
+  private async deliverQueued(): Promise<void> {
+    if (this.delivering) return;
+    this.delivering = true;
+    while (this.queue.length > 0) {
+      const next = this.queue.shift()!;
+      this.waitingForRoom.shift()?.();
+      next.resolve(await this.deliver(next.event, next.payload));
+    }
+    this.delivering = false;
+    this.waitingForIdle.splice(0).forEach(resolve => resolve());
+  }
+
+  private async deliver(event: string, payload: unknown): Promise<EmitResult> {
+    const segments = event.split('.');
+    const matching = this.registrations.filter(r => matchSegments(r.segments, segments));
+    matching.filter(r => r.once).forEach(r => this.remove(r));
+
+    const errors: ListenerError[] = [];
+    const run = async (registration: Registration): Promise<void> => {
+      try {
+        await registration.listener(payload, event);
+      } catch (error) {
+        const listenerError = { event, pattern: registration.pattern, error };
+        errors.push(listenerError);
+        this.stats.listenerErrors++;
+        this.reportError(listenerError);
+      }
+    };
+
+    for (let start = 0; start < matching.length;) {
+      const priority = matching[start].priority;
+      let end = start;
+      while (end < matching.length && matching[end].priority === priority) end++;
+      await Promise.all(matching.slice(start, end).map(run));
+      start = end;
+    }
+
+    return { event, delivered: matching.length - errors.length, errors, dropped: false };
+  }
+
+  private dropped(event: string): EmitResult {
+    this.stats.dropped++;
+    return { event, delivered: 0, errors: [], dropped: true };
+  }
+
+  private reportError(listenerError: ListenerError): void {
+    if (this.options.onError) {
+      this.options.onError(listenerError);
+      return;
     }
+    const { event, pattern, error } = listenerError;
+    console.error(`❌ Listener "${pattern}" failed on "${event}":`, error instanceof Error ? error.message : error);
   }
+}
 
-  setPrice(newPrice: number): void {
+// Practical Example 1: Stock Price Monitoring System
+export interface PriceChange {
+  symbol: string;
+  price: number;
+  previousPrice: number;
+  timestamp: Date;
+}
+
+export interface StockEvents {
+  'price.up': PriceChange;
+  'price.down': PriceChange;
+  'trading.halted': { symbol: string; reason: string };
+}
+
+export class StockPrice extends TypedEventEmitter<StockEvents> {
+  private stockSymbol: string;
+  private price: number;
+
+  constructor(symbol: string, initialPrice: number) {
+    super();
+    this.stockSymbol = symbol;
+    this.price = initialPrice;
+  }
+
+  async setPrice(newPrice: number): Promise<EmitResult> {
     console.log(`\n💹 ${this.stockSymbol} price changed: $${this.price} → $${newPrice}`);
-    this.price = newPrice;
-    this.notify({
+    const change: PriceChange = {
       symbol: this.stockSymbol,
       price: newPrice,
+      previousPrice: this.price,
       timestamp: new Date()
-    });
+    };
+    this.price = newPrice;
+    const result = await this.emit(newPrice >= change.previousPrice ? 'price.up' : 'price.down', change);
+    console.log(`📢 ${result.delivered} listeners notified about ${this.stockSymbol}` +
+      (result.errors.length > 0 ? `, ${result.errors.length} failed` : ''));
+    return result;
+  }
+
+  halt(reason: string): Promise<EmitResult> {
+    console.log(`\n⛔ ${this.stockSymbol} trading halted: ${reason}`);
+    return this.emit('trading.halted', { symbol: this.stockSymbol, reason });
   }
 
   getPrice(): number {
@@ -83,42 +325,44 @@ class StockPrice implements Subject {
   }
 }
 
-class MobileApp implements Observer {
+class MobileApp {
   private name: string;
 
   constructor(name: string) {
     this.name = name;
   }
 
-  update(data: any): void {
-    console.log(`📱 ${this.name}: Stock ${data.symbol} is now $${data.price}`);
+  update(change: PriceChange): void {
+    console.log(`📱 ${this.name}: Stock ${change.symbol} is now $${change.price}`);
   }
 }
 
-class EmailAlert implements Observer {
+class EmailAlert {
   private email: string;
 
   constructor(email: string) {
     this.email = email;
   }
 
-  update(data: any): void {
-    console.log(`📧 Email to ${this.email}: ${data.symbol} price alert - $${data.price}`);
+  // Sending takes a while; the emitter waits for it without blocking listeners of the same priority
+  async update(change: PriceChange): Promise<void> {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    console.log(`📧 Email to ${this.email}: ${change.symbol} price alert - $${change.price}`);
   }
 }
 
-class TradingBot implements Observer {
+class TradingBot {
   private threshold: number;
 
   constructor(threshold: number) {
     this.threshold = threshold;
   }
 
-  update(data: any): void {
-    if (data.price > this.threshold) {
-      console.log(`🤖 Trading Bot: Selling ${data.symbol} at $${data.price} (above threshold $${this.threshold})`);
+  update(change: PriceChange): void {
+    if (change.price > this.threshold) {
+      console.log(`🤖 Trading Bot: Selling ${change.symbol} at $${change.price} (above threshold $${this.threshold})`);
     } else {
-      console.log(`🤖 Trading Bot: Buying ${data.symbol} at $${data.price} (below threshold $${this.threshold})`);
+      console.log(`🤖 Trading Bot: Buying ${change.symbol} at $${change.price} (below threshold $${this.threshold})`);
     }
   }
 }
@@ -180,53 +424,61 @@ class SMSSubscriber implements Observer {
 }
 
 // Practical Example 3: Weather Station
-class WeatherStation implements Subject {
-  private observers: Observer[] = [];
+export interface Measurements {
+  temperature: number;
+  humidity: number;
+  pressure: number;
+  timestamp: Date;
+}
+
+export interface WeatherEvents {
+  'measurements': Measurements;
+  'alert.heat': Measurements;
+  'alert.storm': Measurements;
+}
+
+// Sensors can report faster than displays redraw, so readings go through a
+// small buffer. When it's full the oldest reading is dropped - only recent
+// weather matters.
+export class WeatherStation extends TypedEventEmitter<WeatherEvents> {
   private temperature: number = 0;
   private humidity: number = 0;
   private pressure: number = 0;
 
-  attach(observer: Observer): void {
-    this.observers.push(observer);
+  constructor(bufferSize: number = 3) {
+    super({ bufferSize, overflow: 'drop-oldest' });
   }
 
-  detach(observer: Observer): void {
-    const index = this.observers.indexOf(observer);
-    if (index !== -1) {
-      this.observers.splice(index, 1);
-    }
-  }
-
-  notify(data: any): void {
-    for (const observer of this.observers) {
-      observer.update(data);
-    }
-  }
-
-  setMeasurements(temperature: number, humidity: number, pressure: number): void {
+  // Resolves with the reading's result once any alerts it raised are through too
+  async setMeasurements(temperature: number, humidity: number, pressure: number): Promise<EmitResult> {
     console.log(`\n🌡️ Weather update: ${temperature}°C, ${humidity}% humidity, ${pressure} hPa`);
     this.temperature = temperature;
     this.humidity = humidity;
     this.pressure = pressure;
-    this.notify({
-      temperature,
-      humidity,
-      pressure,
-      timestamp: new Date()
-    });
+    const measurements: Measurements = { temperature, humidity, pressure, timestamp: new Date() };
+
+    const delivered = this.emit('measurements', measurements);
+    // Queued after the reading, so they're the last to be pushed out
+    const alerts: Promise<EmitResult>[] = [];
+    if (temperature >= 35) alerts.push(this.emit('alert.heat', measurements));
+    if (pressure < 990) alerts.push(this.emit('alert.storm', measurements));
+    const [result] = await Promise.all([delivered, ...alerts]);
+    return result;
   }
 }
 
-class CurrentConditionsDisplay implements Observer {
-  update(data: any): void {
+class CurrentConditionsDisplay {
+  // Redrawing is slow
+  async update(data: Measurements): Promise<void> {
+    await new Promise(resolve => setTimeout(resolve, 10));
     console.log(`📊 Current Conditions: ${data.temperature}°C, ${data.humidity}% humidity`);
   }
 }
 
-class StatisticsDisplay implements Observer {
+class StatisticsDisplay {
   private temperatures: number[] = [];
 
-  update(data: any): void {
+  update(data: Measurements): void {
     this.temperatures.push(data.temperature);
     const avg = this.temperatures.reduce((a, b) => a + b, 0) / this.temperatures.length;
     const max = Math.max(...this.temperatures);
@@ -236,7 +488,7 @@ class StatisticsDisplay implements Observer {
 }
 
 // Demo function
-export function demoObserver(): void {
+export async function demoObserver(): Promise<void> {
   console.log('\n=== OBSERVER PATTERN DEMO ===\n');
 
   // Example 1: Stock Price Monitoring
@@ -247,12 +499,25 @@ export function demoObserver(): void {
   const emailAlert = new EmailAlert('trader@example.com');
   const tradingBot = new TradingBot(175);
 
-  appleStock.attach(mobileApp);
-  appleStock.attach(emailAlert);
-  appleStock.attach(tradingBot);
-
-  appleStock.setPrice(165.50);
-  appleStock.setPrice(180.00);
+  // The bot trades before anyone is told the price; the rest run side by side
+  appleStock.on('price.*', change => tradingBot.update(change), { priority: 10 });
+  appleStock.on('price.*', change => mobileApp.update(change));
+  appleStock.on('price.*', change => emailAlert.update(change));
+  appleStock.on('price.down', () => {
+    throw new Error('Chart widget crashed');
+  });
+  appleStock.once('trading.halted', ({ symbol, reason }) => {
+    console.log(`🔕 ${symbol}: alerts paused (${reason})`);
+  });
+  // Audit trail for every event, after everyone else
+  appleStock.on('**', (_payload, event) => console.log(`🗂️ Audit: ${event}`), { priority: -10 });
+  console.log(`✅ ${appleStock.listenerCount()} listeners attached to AAPL`);
+
+  await appleStock.setPrice(165.50);
+  await appleStock.setPrice(180.00);
+  await appleStock.setPrice(172.25);
+  await appleStock.halt('Volatility pause');
+  await appleStock.halt('Volatility pause'); // the once listener is gone
 
   // Example 2: Newsletter System
   console.log('\n--- Newsletter System ---');
@@ -278,12 +543,22 @@ export function demoObserver(): void {
   const currentDisplay = new CurrentConditionsDisplay();
   const statsDisplay = new StatisticsDisplay();
 
-  weatherStation.attach(currentDisplay);
-  weatherStation.attach(statsDisplay);
-
-  weatherStation.setMeasurements(25, 65, 1013);
-  weatherStation.setMeasurements(27, 70, 1012);
-  weatherStation.setMeasurements(23, 60, 1014);
+  weatherStation.on('measurements', data => currentDisplay.update(data));
+  weatherStation.on('measurements', data => statsDisplay.update(data));
+  weatherStation.on('alert.*', (data, event) => {
+    console.log(`🚨 ${event === 'alert.heat' ? 'Heat' : 'Storm'} warning: ${data.temperature}°C, ${data.pressure} hPa`);
+  });
+
+  // Readings arrive faster than the displays keep up
+  const readings = [
+    weatherStation.setMeasurements(25, 65, 1013),
+    weatherStation.setMeasurements(27, 70, 1012),
+    weatherStation.setMeasurements(23, 60, 1014),
+    weatherStation.setMeasurements(36, 40, 985)
+  ];
+  const results = await Promise.all(readings);
+  await weatherStation.drain();
+  console.log(`\n🌡️ Readings displayed: ${results.filter(r => !r.dropped).length} of ${results.length}`, weatherStation.getStats());
 
   console.log('\n✅ Observer Pattern allows objects to be notified of state changes automatically\n');
 }
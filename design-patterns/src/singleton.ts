@@ -22,6 +22,11 @@
  * as an alternative when possible.
  */
 
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
 // Example 1: Database Connection Singleton
 class DatabaseConnection {
   private static instance: DatabaseConnection;
@@ -122,35 +127,74 @@ class ConfigurationManager {
 }
 
 // Example 3: Logger Singleton
-enum LogLevel {
+export enum LogLevel {
   DEBUG = 'DEBUG',
   INFO = 'INFO',
   WARN = 'WARN',
   ERROR = 'ERROR'
 }
 
-class Logger {
-  private static instance: Logger;
-  private logs: Array<{ level: LogLevel; message: string; timestamp: Date }> = [];
+const LEVEL_ORDER: Record<LogLevel, number> = {
+  [LogLevel.DEBUG]: 10,
+  [LogLevel.INFO]: 20,
+  [LogLevel.WARN]: 30,
+  [LogLevel.ERROR]: 40
+};
 
-  private constructor() {
-    console.log('📝 Logger initialized');
-  }
+const isAtLeast = (level: LogLevel, minimum: LogLevel): boolean =>
+  LEVEL_ORDER[level] >= LEVEL_ORDER[minimum];
 
-  public static getInstance(): Logger {
-    if (!Logger.instance) {
-      Logger.instance = new Logger();
-    }
-    return Logger.instance;
+export type LogContext = Record<string, unknown>;
+
+export interface LogEntry {
+  level: LogLevel;
+  message: string;
+  timestamp: Date;
+  context: LogContext;      // already redacted
+}
+
+// Where entries go. `level` lets one transport be stricter than the logger,
+// e.g. a file that keeps everything but a console that only shows warnings.
+export interface LogTransport {
+  level?: LogLevel;
+  write(entry: LogEntry): void;
+  close?(): void | Promise<void>;
+}
+
+// One JSON object per line: timestamp, level, message, then the context fields
+const toJsonLine = (entry: LogEntry): string =>
+  JSON.stringify({
+    ...entry.context,
+    timestamp: entry.timestamp.toISOString(),
+    level: entry.level,
+    message: entry.message
+  }) + '\n';
+
+interface SerializedError {
+  name: string;
+  message: string;
+  stack?: string;
+}
+
+const isSerializedError = (value: unknown): value is SerializedError =>
+  typeof value === 'object' && value !== null && (value as SerializedError).stack !== undefined &&
+  typeof (value as SerializedError).message === 'string';
+
+export class ConsoleTransport implements LogTransport {
+  public readonly level?: LogLevel;
+  private readonly pretty: boolean;
+
+  constructor(options: { level?: LogLevel; pretty?: boolean } = {}) {
+    this.level = options.level;
+    this.pretty = options.pretty ?? true;
   }
 
-  private log(level: LogLevel, message: string): void {
-    const logEntry = {
-      level,
-      message,
-      timestamp: new Date()
-    };
-    this.logs.push(logEntry);
+  public write(entry: LogEntry): void {
+    const output = entry.level === LogLevel.ERROR ? console.error : console.log;
+    if (!this.pretty) {
+      output(toJsonLine(entry).trimEnd());
+      return;
+    }
 
     const emoji = {
       [LogLevel.DEBUG]: '🐛',
@@ -158,119 +202,635 @@ class Logger {
       [LogLevel.WARN]: '⚠️',
       [LogLevel.ERROR]: '❌'
     };
+    // Errors show as "name: message" inline, with their stacks underneath
+    const stacks: string[] = [];
+    const fields = Object.entries(entry.context)
+      .map(([key, value]) => {
+        if (isSerializedError(value)) {
+          if (value.stack) stacks.push(value.stack);
+          return `${key}=${value.name}: ${value.message}`;
+        }
+        return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+      })
+      .join(' ');
 
-    console.log(
-      `${emoji[level]} [${level}] ${logEntry.timestamp.toISOString()} - ${message}`
+    output(
+      `${emoji[entry.level]} [${entry.level}] ${entry.timestamp.toISOString()} - ${entry.message}${fields ? ` ${fields}` : ''}` +
+      stacks.map(stack => `\n${stack}`).join('')
     );
   }
+}
+
+// JSON Lines appended to a file. Lines go through a write stream, so logging
+// doesn't wait for the disk; close() resolves once they've all been written.
+export class JsonFileTransport implements LogTransport {
+  public readonly level?: LogLevel;
+  protected stream: fs.WriteStream;
 
-  public debug(message: string): void {
-    this.log(LogLevel.DEBUG, message);
+  constructor(protected readonly filePath: string, options: { level?: LogLevel } = {}) {
+    this.level = options.level;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = this.open();
   }
 
-  public info(message: string): void {
-    this.log(LogLevel.INFO, message);
+  public write(entry: LogEntry): void {
+    this.stream.write(toJsonLine(entry));
   }
 
-  public warn(message: string): void {
-    this.log(LogLevel.WARN, message);
+  public close(): Promise<void> {
+    return new Promise(resolve => this.stream.end(() => resolve()));
   }
 
-  public error(message: string): void {
-    this.log(LogLevel.ERROR, message);
+  // The file is opened right away, so it exists (or a bad path throws) before
+  // the first line is written
+  protected open(): fs.WriteStream {
+    const stream = fs.createWriteStream(this.filePath, { fd: fs.openSync(this.filePath, 'a') });
+    stream.on('error', error => console.error(`❌ Log file ${this.filePath} failed:`, error));
+    return stream;
   }
+}
 
-  public getLogs(): typeof this.logs {
-    return [...this.logs];
+// JSON Lines that roll over to app.log.1, app.log.2, ... once the file would
+// pass `maxBytes`. Only the newest `maxFiles` rotated files are kept.
+export class RotatingFileTransport extends JsonFileTransport {
+  private readonly maxBytes: number;
+  private readonly maxFiles: number;
+  private currentSize: number;
+
+  constructor(filePath: string, options: { level?: LogLevel; maxBytes?: number; maxFiles?: number } = {}) {
+    super(filePath, options);
+    this.maxBytes = options.maxBytes ?? 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+    this.currentSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  public write(entry: LogEntry): void {
+    const line = toJsonLine(entry);
+    const size = Buffer.byteLength(line);
+    if (this.currentSize > 0 && this.currentSize + size > this.maxBytes) {
+      this.rotate();
+    }
+    this.stream.write(line);
+    this.currentSize += size;
+  }
+
+  // Lines still buffered for the old file end up in app.log.1: the stream
+  // keeps writing to the file it opened, whatever it's renamed to
+  private rotate(): void {
+    const previous = this.stream;
+    fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${index + 1}`);
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.rmSync(this.filePath, { force: true });
+    }
+    previous.end();
+    this.stream = this.open();
+    this.currentSize = 0;
+  }
+}
+
+// Keeps the last `capacity` entries, e.g. to attach recent logs to an error report
+export class MemoryTransport implements LogTransport {
+  public readonly level?: LogLevel;
+  private buffer: LogEntry[] = [];
+  private next: number = 0;
+
+  constructor(private readonly capacity: number = 1000, options: { level?: LogLevel } = {}) {
+    if (!(capacity >= 1)) {
+      throw new Error('capacity must be at least 1');
+    }
+    this.level = options.level;
+  }
+
+  public write(entry: LogEntry): void {
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(entry);
+    } else {
+      this.buffer[this.next] = entry;
+    }
+    this.next = (this.next + 1) % this.capacity;
+  }
+
+  // Oldest first
+  public getEntries(): LogEntry[] {
+    if (this.buffer.length < this.capacity) return [...this.buffer];
+    return [...this.buffer.slice(this.next), ...this.buffer.slice(0, this.next)];
+  }
+
+  public clear(): void {
+    this.buffer = [];
+    this.next = 0;
+  }
+}
+
+export const DEFAULT_REDACT_KEYS = ['password', 'secret', 'token', 'apiKey', 'authorization', 'cookie'];
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  transports?: LogTransport[];
+  redact?: string[];        // context keys to mask at any depth, case-insensitive
+  context?: LogContext;     // fields added to every entry, e.g. service name
+}
+
+// Shared by a logger and all of its children
+interface LoggerSettings {
+  level: LogLevel;
+  transports: LogTransport[];
+  redact: Set<string>;
+}
+
+export class Logger {
+  private static instance: Logger;
+
+  private constructor(
+    private readonly settings: LoggerSettings,
+    private readonly context: LogContext
+  ) {}
+
+  // Options only apply when the instance is created
+  public static getInstance(options: LoggerOptions = {}): Logger {
+    if (!Logger.instance) {
+      const settings: LoggerSettings = {
+        level: options.level ?? LogLevel.INFO,
+        transports: options.transports ?? [new ConsoleTransport(), new MemoryTransport()],
+        redact: new Set((options.redact ?? DEFAULT_REDACT_KEYS).map(key => key.toLowerCase()))
+      };
+      Logger.instance = new Logger(settings, {}).child(options.context ?? {});
+      console.log('📝 Logger initialized');
+    }
+    return Logger.instance;
+  }
+
+  /**
+   * A logger that adds `context` to everything it logs. It shares the
+   * parent's level and transports, so changing either affects both.
+   */
+  public child(context: LogContext): Logger {
+    return new Logger(this.settings, { ...this.context, ...this.redact(context, new WeakSet()) as LogContext });
+  }
+
+  public setLevel(level: LogLevel): void {
+    this.settings.level = level;
+  }
+
+  public isLevelEnabled(level: LogLevel): boolean {
+    return isAtLeast(level, this.settings.level);
+  }
+
+  public addTransport(transport: LogTransport): void {
+    this.settings.transports.push(transport);
+  }
+
+  public debug(message: string, context?: LogContext): void {
+    this.log(LogLevel.DEBUG, message, context);
+  }
+
+  public info(message: string, context?: LogContext): void {
+    this.log(LogLevel.INFO, message, context);
+  }
+
+  public warn(message: string, context?: LogContext): void {
+    this.log(LogLevel.WARN, message, context);
+  }
+
+  public error(message: string, context?: LogContext): void {
+    this.log(LogLevel.ERROR, message, context);
+  }
+
+  // Entries held by in-memory transports
+  public getLogs(): LogEntry[] {
+    return this.memoryTransports().flatMap(transport => transport.getEntries());
   }
 
   public clearLogs(): void {
-    this.logs = [];
+    this.memoryTransports().forEach(transport => transport.clear());
     console.log('🗑️ Logs cleared');
   }
+
+  // Resolves once every transport has written out what it was given
+  public async close(): Promise<void> {
+    await Promise.all(this.settings.transports.map(transport => transport.close?.()));
+  }
+
+  private log(level: LogLevel, message: string, context: LogContext = {}): void {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry: LogEntry = {
+      level,
+      message,
+      timestamp: new Date(),
+      context: { ...this.context, ...this.redact(context, new WeakSet()) as LogContext }
+    };
+
+    for (const transport of this.settings.transports) {
+      if (transport.level && !isAtLeast(level, transport.level)) continue;
+      // A broken transport mustn't take the others (or the caller) down
+      try {
+        transport.write(entry);
+      } catch (error) {
+        console.error(`❌ Log transport ${transport.constructor.name} failed:`, error);
+      }
+    }
+  }
+
+  // Copies the value with sensitive keys masked, errors made serializable
+  // and circular references cut
+  private redact(value: unknown, seen: WeakSet<object>): unknown {
+    if (value instanceof Error) {
+      const serialized: SerializedError = { name: value.name, message: value.message, stack: value.stack };
+      return serialized;
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+      return value;
+    }
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    const result = Array.isArray(value)
+      ? value.map(item => this.redact(item, seen))
+      : Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [
+            key,
+            this.settings.redact.has(key.toLowerCase()) ? '[REDACTED]' : this.redact(item, seen)
+          ])
+        );
+    seen.delete(value);
+    return result;
+  }
+
+  private memoryTransports(): MemoryTransport[] {
+    return this.settings.transports.filter(
+      (transport): transport is MemoryTransport => transport instanceof MemoryTransport
+    );
+  }
 }
 
 // Example 4: Cache Manager Singleton
-class CacheManager {
-  private static instance: CacheManager;
-  private cache: Map<string, { value: any; expiresAt: number }> = new Map();
+export type EvictionPolicy = 'lru' | 'lfu';
 
-  private constructor() {
+export interface CacheEntry<T = unknown> {
+  value: T;
+  expiresAt: number;
+  size: number;             // approximate bytes: key + JSON of the value
+}
+
+// Where entries live. The CacheManager keeps eviction bookkeeping itself, so
+// a store only needs to hold entries.
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): boolean;
+  clear(): void;
+  entries(): Array<[string, CacheEntry]>;
+}
+
+export class MemoryCacheStore implements CacheStore {
+  private data: Map<string, CacheEntry> = new Map();
+
+  get(key: string): CacheEntry | undefined {
+    return this.data.get(key);
+  }
+
+  set(key: string, entry: CacheEntry): void {
+    this.data.set(key, entry);
+  }
+
+  delete(key: string): boolean {
+    return this.data.delete(key);
+  }
+
+  clear(): void {
+    this.data.clear();
+  }
+
+  entries(): Array<[string, CacheEntry]> {
+    return [...this.data.entries()];
+  }
+}
+
+// One JSON file per key in `directory`, so the cache survives restarts.
+// Values must be JSON-serializable.
+export class FileCacheStore implements CacheStore {
+  constructor(private directory: string) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  get(key: string): CacheEntry | undefined {
+    return this.read(this.fileFor(key))?.entry;
+  }
+
+  set(key: string, entry: CacheEntry): void {
+    const file = this.fileFor(key);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ key, entry }));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  delete(key: string): boolean {
+    const file = this.fileFor(key);
+    if (!fs.existsSync(file)) return false;
+    fs.rmSync(file);
+    return true;
+  }
+
+  clear(): void {
+    this.files().forEach(file => fs.rmSync(file, { force: true }));
+  }
+
+  entries(): Array<[string, CacheEntry]> {
+    return this.files().flatMap(file => {
+      const record = this.read(file);
+      return record ? [[record.key, record.entry] as [string, CacheEntry]] : [];
+    });
+  }
+
+  private fileFor(key: string): string {
+    return path.join(this.directory, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  private files(): string[] {
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(this.directory, name));
+  }
+
+  private read(file: string): { key: string; entry: CacheEntry } | undefined {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+      // A half-written or corrupt file is just a miss
+      fs.rmSync(file, { force: true });
+      return undefined;
+    }
+  }
+}
+
+export interface CacheOptions {
+  maxEntries?: number;
+  maxBytes?: number;                // approximate, see CacheEntry.size
+  evictionPolicy?: EvictionPolicy;
+  defaultTtl?: number;              // ms
+  cleanupIntervalMs?: number;       // sweep for expired entries; 0 = no timer
+  store?: CacheStore;
+  verbose?: boolean;                // log every hit, miss and eviction
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  evictions: number;
+  expirations: number;
+  coalesced: number;                // getOrSet calls that joined an in-flight load
+  entries: number;
+  bytes: number;
+  hitRate: number;
+}
+
+export class CacheManager {
+  private static instance: CacheManager | null = null;
+  private readonly options: Required<Omit<CacheOptions, 'store'>>;
+  private readonly store: CacheStore;
+  // Eviction bookkeeping, in least-recently-used-first order
+  private usage: Map<string, { size: number; expiresAt: number; hits: number }> = new Map();
+  private bytes: number = 0;
+  private inFlight: Map<string, Promise<unknown>> = new Map();
+  private counters = { hits: 0, misses: 0, evictions: 0, expirations: 0, coalesced: 0 };
+  private cleanupTimer: NodeJS.Timeout | null = null;
+
+  private constructor(options: CacheOptions) {
     console.log('💾 Cache Manager initialized');
-    this.startCleanupInterval();
+    this.options = {
+      maxEntries: options.maxEntries ?? Infinity,
+      maxBytes: options.maxBytes ?? Infinity,
+      evictionPolicy: options.evictionPolicy ?? 'lru',
+      defaultTtl: options.defaultTtl ?? 60000,
+      cleanupIntervalMs: options.cleanupIntervalMs ?? 60000,
+      verbose: options.verbose ?? false,
+    };
+    this.store = options.store ?? new MemoryCacheStore();
+
+    // A persistent store may already hold entries
+    for (const [key, entry] of this.store.entries()) {
+      this.track(key, entry);
+    }
+    this.evictIfNeeded();
+
+    if (this.options.cleanupIntervalMs > 0) {
+      this.startCleanup(this.options.cleanupIntervalMs);
+    }
   }
 
-  public static getInstance(): CacheManager {
+  // Options only apply when the instance is created
+  public static getInstance(options: CacheOptions = {}): CacheManager {
     if (!CacheManager.instance) {
-      CacheManager.instance = new CacheManager();
+      CacheManager.instance = new CacheManager(options);
     }
     return CacheManager.instance;
   }
 
-  public set(key: string, value: any, ttl: number = 60000): void {
-    const expiresAt = Date.now() + ttl;
-    this.cache.set(key, { value, expiresAt });
-    console.log(`💾 Cached "${key}" with TTL ${ttl}ms`);
+  // Stop the current instance's timer and forget it - the next getInstance() creates a new one
+  public static resetInstance(): void {
+    CacheManager.instance?.stopCleanup();
+    CacheManager.instance = null;
   }
 
-  public get(key: string): any | null {
-    const item = this.cache.get(key);
-
-    if (!item) {
-      console.log(`❌ Cache miss for "${key}"`);
-      return null;
+  public set<T>(key: string, value: T, ttl: number = this.options.defaultTtl): boolean {
+    const size = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value) ?? '');
+    // Whatever was cached before is out of date either way
+    this.remove(key);
+    if (size > this.options.maxBytes) {
+      this.log(`⚠️ Not caching "${key}": ${size} bytes is over the ${this.options.maxBytes} byte limit`);
+      return false;
     }
 
-    if (Date.now() > item.expiresAt) {
-      console.log(`⏰ Cache expired for "${key}"`);
-      this.cache.delete(key);
-      return null;
+    const entry: CacheEntry<T> = { value, expiresAt: Date.now() + ttl, size };
+    this.store.set(key, entry);
+    this.track(key, entry);
+    this.log(`💾 Cached "${key}" with TTL ${ttl}ms`);
+    this.evictIfNeeded(key);
+    return true;
+  }
+
+  public get<T>(key: string): T | null {
+    const entry = this.lookup<T>(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Cached value for `key`, or the result of `loader`, which is cached. While
+   * a load is in flight, other callers for the same key wait for it instead
+   * of starting their own. Failed loads aren't cached.
+   */
+  public async getOrSet<T>(key: string, loader: () => Promise<T>, ttl?: number): Promise<T> {
+    // Joining a load counts as coalesced, not as another miss
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.counters.coalesced++;
+      return pending as Promise<T>;
     }
 
-    console.log(`✅ Cache hit for "${key}"`);
-    return item.value;
+    const entry = this.lookup<T>(key);
+    if (entry) return entry.value;
+
+    const load = (async () => {
+      try {
+        const value = await loader();
+        this.set(key, value, ttl);
+        return value;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+    this.inFlight.set(key, load);
+    return load;
   }
 
   public has(key: string): boolean {
-    return this.cache.has(key) && Date.now() <= this.cache.get(key)!.expiresAt;
+    const usage = this.usage.get(key);
+    return usage !== undefined && Date.now() <= usage.expiresAt;
   }
 
   public delete(key: string): boolean {
-    const deleted = this.cache.delete(key);
+    const deleted = this.remove(key);
     if (deleted) {
-      console.log(`🗑️ Deleted "${key}" from cache`);
+      this.log(`🗑️ Deleted "${key}" from cache`);
     }
     return deleted;
   }
 
   public clear(): void {
-    this.cache.clear();
-    console.log('🗑️ Cache cleared');
+    this.store.clear();
+    this.usage.clear();
+    this.bytes = 0;
+    this.log('🗑️ Cache cleared');
   }
 
   public getSize(): number {
-    return this.cache.size;
+    return this.usage.size;
   }
 
-  private startCleanupInterval(): void {
-    setInterval(() => {
-      const now = Date.now();
-      let cleaned = 0;
-      for (const [key, item] of this.cache.entries()) {
-        if (now > item.expiresAt) {
-          this.cache.delete(key);
-          cleaned++;
-        }
+  public getStats(): CacheStats {
+    const { hits, misses } = this.counters;
+    return {
+      ...this.counters,
+      entries: this.usage.size,
+      bytes: this.bytes,
+      hitRate: hits + misses === 0 ? 0 : hits / (hits + misses),
+    };
+  }
+
+  public resetStats(): void {
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0, coalesced: 0 };
+  }
+
+  // The timer is unref'd, so it never keeps the process alive on its own
+  public startCleanup(intervalMs: number = this.options.cleanupIntervalMs): void {
+    this.stopCleanup();
+    this.cleanupTimer = setInterval(() => this.removeExpired(), intervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  public stopCleanup(): void {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  public removeExpired(): number {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const [key, usage] of [...this.usage.entries()]) {
+      if (now > usage.expiresAt) {
+        this.remove(key);
+        this.counters.expirations++;
+        cleaned++;
       }
-      if (cleaned > 0) {
-        console.log(`🧹 Cleaned ${cleaned} expired cache entries`);
+    }
+    if (cleaned > 0) {
+      this.log(`🧹 Cleaned ${cleaned} expired cache entries`);
+    }
+    return cleaned;
+  }
+
+  private lookup<T>(key: string): CacheEntry<T> | undefined {
+    const entry = this.usage.has(key) ? this.store.get(key) as CacheEntry<T> | undefined : undefined;
+
+    if (!entry) {
+      this.counters.misses++;
+      this.log(`❌ Cache miss for "${key}"`);
+      return undefined;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.remove(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      this.log(`⏰ Cache expired for "${key}"`);
+      return undefined;
+    }
+
+    // Move to the most-recently-used end
+    const usage = this.usage.get(key)!;
+    this.usage.delete(key);
+    this.usage.set(key, { ...usage, hits: usage.hits + 1 });
+    this.counters.hits++;
+    this.log(`✅ Cache hit for "${key}"`);
+    return entry;
+  }
+
+  private track(key: string, entry: CacheEntry): void {
+    this.usage.set(key, { size: entry.size, expiresAt: entry.expiresAt, hits: 0 });
+    this.bytes += entry.size;
+  }
+
+  private remove(key: string): boolean {
+    const usage = this.usage.get(key);
+    if (!usage) return false;
+    this.usage.delete(key);
+    this.bytes -= usage.size;
+    this.store.delete(key);
+    return true;
+  }
+
+  // `keep` is the entry just written - under LFU it would otherwise always lose
+  private evictIfNeeded(keep?: string): void {
+    while (this.usage.size > this.options.maxEntries || this.bytes > this.options.maxBytes) {
+      const victim = this.pickVictim(keep);
+      if (victim === undefined) return;
+      this.remove(victim);
+      this.counters.evictions++;
+      this.log(`🚮 Evicted "${victim}" (${this.options.evictionPolicy.toUpperCase()})`);
+    }
+  }
+
+  private pickVictim(keep?: string): string | undefined {
+    let victim: string | undefined;
+    let fewestHits = Infinity;
+    for (const [key, { hits }] of this.usage) {
+      if (key === keep) continue;
+      if (this.options.evictionPolicy === 'lru') return key;
+      // LFU: fewest hits; ties go to the least recently used, which comes first
+      if (hits < fewestHits) {
+        victim = key;
+        fewestHits = hits;
       }
-    }, 60000);
+    }
+    return victim;
+  }
+
+  private log(message: string): void {
+    if (this.options.verbose) console.log(message);
   }
 }
 
 // Demo function
-export function demoSingleton(): void {
+export async function demoSingleton(): Promise<void> {
   console.log('\n=== SINGLETON PATTERN DEMO ===\n');
 
   // Example 1: Database Connection
@@ -307,7 +867,17 @@ export function demoSingleton(): void {
 
   // Example 3: Logger
   console.log('\n--- Logger Singleton ---');
-  const logger1 = Logger.getInstance();
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+  const recentLogs = new MemoryTransport(100);
+  const logger1 = Logger.getInstance({
+    level: LogLevel.DEBUG,
+    context: { service: 'checkout' },
+    transports: [
+      new ConsoleTransport(),
+      new RotatingFileTransport(path.join(logDir, 'app.log'), { maxBytes: 512, maxFiles: 2 }),
+      recentLogs
+    ]
+  });
   const logger2 = Logger.getInstance();
 
   console.log('Are logger1 and logger2 the same instance?', logger1 === logger2);
@@ -315,13 +885,25 @@ export function demoSingleton(): void {
   logger1.info('Application started');
   logger2.debug('Debugging information');
   logger1.warn('This is a warning');
-  logger2.error('An error occurred');
+  logger2.error('An error occurred', { error: new Error('Payment gateway timeout') });
+
+  // Everything a request logs carries its id
+  const requestLogger = logger1.child({ requestId: 'req-42', userId: 123 });
+  requestLogger.info('Login attempt', { password: 'hunter2', headers: { Authorization: 'Bearer abc123' } });
+
+  logger1.setLevel(LogLevel.WARN);
+  requestLogger.info('Filtered out - below WARN');
+  requestLogger.warn('Slow response', { durationMs: 1250 });
 
   console.log('\nTotal logs:', logger1.getLogs().length);
+  console.log('Last entry:', recentLogs.getEntries().at(-1)?.context);
+  await logger1.close();
+  console.log('Log files:', fs.readdirSync(logDir).sort());
+  fs.rmSync(logDir, { recursive: true, force: true });
 
   // Example 4: Cache Manager
   console.log('\n--- Cache Manager Singleton ---');
-  const cache1 = CacheManager.getInstance();
+  const cache1 = CacheManager.getInstance({ maxEntries: 3, evictionPolicy: 'lru', verbose: true });
   const cache2 = CacheManager.getInstance();
 
   console.log('Are cache1 and cache2 the same instance?', cache1 === cache2);
@@ -334,5 +916,43 @@ export function demoSingleton(): void {
 
   console.log('Cache size:', cache1.getSize());
 
+  // product:456 is now the least recently used, so it makes room
+  cache1.set('product:789', { name: 'Monitor', price: 249.99 });
+  cache1.set('product:999', { name: 'Keyboard', price: 79.99 });
+  console.log('Still cached: user:123 =', cache1.has('user:123'), ', product:456 =', cache1.has('product:456'));
+
+  // Concurrent misses for the same key share one load
+  let loads = 0;
+  const loadOrders = async () => {
+    loads++;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return [{ id: 1, total: 42 }, { id: 2, total: 17 }];
+  };
+  const results = await Promise.all([
+    cache1.getOrSet('orders:123', loadOrders),
+    cache2.getOrSet('orders:123', loadOrders),
+    cache1.getOrSet('orders:123', loadOrders),
+  ]);
+  console.log(`${results.length} callers, ${loads} load, same result:`, results.every(r => r === results[0]));
+  console.log('Cache stats:', cache1.getStats());
+
+  // Same API, backed by files that outlive the process
+  console.log('\n--- Cache Manager with a file store ---');
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+  CacheManager.resetInstance();
+  CacheManager.getInstance({ store: new FileCacheStore(cacheDir), evictionPolicy: 'lfu', maxEntries: 2 })
+    .set('session:abc', { userId: 123 });
+
+  // A new instance (or process) on the same directory sees the entry
+  CacheManager.resetInstance();
+  const fileCache = CacheManager.getInstance({ store: new FileCacheStore(cacheDir), evictionPolicy: 'lfu', maxEntries: 2, verbose: true });
+  console.log('Session from disk:', fileCache.get('session:abc'));
+  fileCache.set('session:def', { userId: 456 });
+  fileCache.set('session:ghi', { userId: 789 });   // LFU: session:def has no hits yet
+  console.log('Cached sessions:', ['session:abc', 'session:def', 'session:ghi'].filter(key => fileCache.has(key)));
+
+  CacheManager.resetInstance();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+
   console.log('\n✅ Singleton Pattern ensures only one instance exists throughout the application\n');
 }
@@ -0,0 +1,151 @@
+import { after, before, test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { HttpError, HttpRequestBuilder } from '../src/builder';
+import { startStubServer, StubServer } from './stubServer';
+
+let server: StubServer;
+const calls: Record<string, number> = {};
+
+before(async () => {
+  server = await startStubServer((request, response) => {
+    const json = (status: number, data: unknown, headers: Record<string, string> = {}) => {
+      response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      response.end(JSON.stringify(data));
+    };
+    const { pathname, searchParams } = new URL(request.url ?? '/', 'http://localhost');
+    calls[pathname] = (calls[pathname] ?? 0) + 1;
+
+    if (pathname === '/echo') {
+      json(200, {
+        method: request.method,
+        query: [...searchParams],
+        contentType: request.headers['content-type'],
+        requestId: request.headers['x-request-id'],
+        body: request.body
+      });
+    } else if (pathname === '/flaky') {
+      // Fails twice, asking for the retry straight away
+      if (calls[pathname] <= 2) json(503, { error: 'warming up' }, { 'Retry-After': '0' });
+      else json(200, { ok: true });
+    } else if (pathname === '/slow') {
+      setTimeout(() => json(200, { ok: true }), 200);
+    } else if (pathname === '/text') {
+      response.end('plain');
+    } else {
+      json(401, { error: 'unauthorized' });
+    }
+  });
+});
+
+after(() => server.close());
+
+const request = (path: string) => new HttpRequestBuilder().setUrl(`${server.url}${path}`);
+
+test('sends the query string and a JSON body', async () => {
+  const response = await request('/echo')
+    .setMethod('POST')
+    .setQuery({ year: 2024, tag: ['q4', 'finance'], draft: undefined, archived: null })
+    .setJsonBody({ name: 'Ada' })
+    .build()
+    .execute<{ method: string; query: string[][]; contentType: string; body: string }>();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.attempts, 1);
+  assert.deepEqual(response.data, {
+    method: 'POST',
+    query: [['year', '2024'], ['tag', 'q4'], ['tag', 'finance']],
+    contentType: 'application/json',
+    body: '{"name":"Ada"}'
+  });
+});
+
+test('sends a form body, keeping a Content-Type set by hand', async () => {
+  const form = await request('/echo')
+    .setMethod('POST')
+    .setFormBody({ username: 'ada', remember: true })
+    .build()
+    .execute<{ contentType: string; body: string }>();
+  assert.equal(form.data.contentType, 'application/x-www-form-urlencoded');
+  assert.equal(form.data.body, 'username=ada&remember=true');
+
+  const custom = await request('/echo')
+    .setMethod('PUT')
+    .addHeader('content-type', 'application/merge-patch+json')
+    .setJsonBody({ name: 'Ada' })
+    .build()
+    .execute<{ contentType: string }>();
+  assert.equal(custom.data.contentType, 'application/merge-patch+json');
+});
+
+test('returns non-JSON responses as text', async () => {
+  const response = await request('/text').build().execute();
+  assert.equal(response.data, 'plain');
+});
+
+test('retries a retryable status, following Retry-After over the backoff', async () => {
+  const started = Date.now();
+  const response = await request('/flaky')
+    .setRetries(3, { backoffMs: 10_000 })
+    .build()
+    .execute();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.attempts, 3);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('gives up on other statuses at once, with the response on the error', async () => {
+  const error = await request('/login').setRetries(3).build().execute().catch(e => e);
+
+  assert.ok(error instanceof HttpError);
+  assert.equal(error.status, 401);
+  assert.equal(error.attempts, 1);
+  assert.deepEqual(error.response?.data, { error: 'unauthorized' });
+});
+
+test('aborts an attempt that takes longer than the timeout, and retries it', async () => {
+  const error = await request('/slow')
+    .setTimeout(50)
+    .setRetries(1, { backoffMs: 0 })
+    .build()
+    .execute()
+    .catch(e => e);
+
+  assert.ok(error instanceof HttpError);
+  assert.equal(error.timedOut, true);
+  assert.equal(error.attempts, 2);
+  assert.match(error.message, /timed out after 50ms/);
+});
+
+test('runs request interceptors before every attempt and response interceptors after', async () => {
+  let prepared = 0;
+  const seen: number[] = [];
+  const response = await request('/echo')
+    .addRequestInterceptor(req => ({ ...req, headers: { ...req.headers, 'X-Request-Id': `req-${++prepared}` } }))
+    .addResponseInterceptor(res => {
+      seen.push(res.status);
+      return { ...res, data: { ...(res.data as object), intercepted: true } };
+    })
+    .build()
+    .execute<{ requestId: string; intercepted: boolean }>();
+
+  assert.equal(response.data.requestId, 'req-1');
+  assert.equal(response.data.intercepted, true);
+  assert.deepEqual(seen, [200]);
+});
+
+test('reports a refused connection as an HttpError', async () => {
+  const closed = await startStubServer(() => {});
+  await closed.close();
+
+  const error = await new HttpRequestBuilder().setUrl(closed.url).build().execute().catch(e => e);
+  assert.ok(error instanceof HttpError);
+  assert.equal(error.response, undefined);
+  assert.match(error.message, /failed/);
+});
+
+test('build() rejects a missing or invalid URL and a GET with a body', () => {
+  assert.throws(() => new HttpRequestBuilder().build(), /URL is required/);
+  assert.throws(() => new HttpRequestBuilder().setUrl('not a url').build(), /Invalid URL/);
+  assert.throws(() => request('/echo').setBody('x').build(), /GET requests can't have a body/);
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  ClearCommand,
+  CommandManager,
+  DatabaseTask,
+  DeleteCommand,
+  FileCommandLog,
+  JobStore,
+  MacroCommand,
+  MemoryCommandLog,
+  TaskQueue,
+  TextEditor,
+  WriteCommand
+} from '../src/command';
+
+test('FileCommandLog drops a torn last line before appending', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logPath = path.join(dir, 'log.jsonl');
+
+  new FileCommandLog(logPath).append({ kind: 'undo' });
+  // A crash in the middle of the second entry
+  fs.appendFileSync(logPath, '{"kind":"re');
+
+  const log = new FileCommandLog(logPath);
+  assert.deepEqual(log.entries(), [{ kind: 'undo' }]);
+
+  log.append({ kind: 'redo' });
+  log.append({ kind: 'undo' });
+  assert.deepEqual(log.entries(), [{ kind: 'undo' }, { kind: 'redo' }, { kind: 'undo' }]);
+  assert.equal(fs.readFileSync(logPath, 'utf8'), '{"kind":"undo"}\n{"kind":"redo"}\n{"kind":"undo"}\n');
+});
+
+test('TaskQueue ignores undefined options and rejects a concurrency below 1', async () => {
+  const queue = new TaskQueue({ concurrency: undefined, backoffMs: undefined });
+  queue.addTask(new DatabaseTask('INSERT INTO users', { id: 1 }));
+  queue.addTask(new DatabaseTask('INSERT INTO users', { id: 2 }));
+  await queue.processQueue();
+  assert.equal(queue.getStats().executed, 2);
+
+  assert.throws(() => new TaskQueue({ concurrency: 0 }), /concurrency must be at least 1/);
+});
+
+test('TaskQueue reports a store that fails to save and keeps running', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  let saves = 0;
+  const store: JobStore = {
+    load: () => ({ pending: [], deadLetters: [] }),
+    save: () => {
+      // addTask's saves go through; the ones after each run fail
+      if (++saves > 2) throw new Error('disk full');
+    }
+  };
+  const queue = new TaskQueue({ concurrency: 1, store });
+  queue.addTask(new DatabaseTask('INSERT INTO users', { id: 1 }));
+  queue.addTask(new DatabaseTask('INSERT INTO users', { id: 2 }));
+  await queue.processQueue();
+
+  assert.equal(queue.getStats().executed, 2);
+  assert.equal(errors.mock.callCount(), 2);
+  assert.match(String(errors.mock.calls[0].arguments[1]), /disk full/);
+});
+
+test('WriteCommands inside the merge window become one undo step', () => {
+  const editor = new TextEditor();
+  const manager = new CommandManager({ mergeWindowMs: 1000 });
+  manager.executeCommand(new WriteCommand(editor, 'Dear', 0));
+  manager.executeCommand(new WriteCommand(editor, ' team', 500));
+  manager.executeCommand(new WriteCommand(editor, '!', 5000));
+
+  manager.undo();
+  assert.equal(editor.getText(), 'Dear team');
+  manager.undo();
+  assert.equal(editor.getText(), '');
+  assert.equal(manager.canUndo(), false);
+});
+
+test('without a merge window every write is its own undo step', () => {
+  const editor = new TextEditor();
+  const manager = new CommandManager();
+  manager.executeCommand(new WriteCommand(editor, 'a', 0));
+  manager.executeCommand(new WriteCommand(editor, 'b', 0));
+
+  manager.undo();
+  assert.equal(editor.getText(), 'a');
+});
+
+test('a MacroCommand undoes its commands in reverse as one step, and redoes them', () => {
+  const editor = new TextEditor();
+  const manager = new CommandManager();
+  manager.executeCommand(new WriteCommand(editor, 'Hello world'));
+  manager.executeCommand(new MacroCommand('Replace word', [
+    new DeleteCommand(editor, 5),
+    new WriteCommand(editor, 'there')
+  ]));
+  assert.equal(editor.getText(), 'Hello there');
+
+  manager.undo();
+  assert.equal(editor.getText(), 'Hello world');
+  manager.redo();
+  assert.equal(editor.getText(), 'Hello there');
+});
+
+test('maxHistory drops the oldest undo steps', () => {
+  const editor = new TextEditor();
+  const manager = new CommandManager({ maxHistory: 2 });
+  ['a', 'b', 'c'].forEach(text => manager.executeCommand(new WriteCommand(editor, text)));
+
+  manager.undo();
+  manager.undo();
+  assert.equal(manager.canUndo(), false);
+  assert.equal(editor.getText(), 'a');
+});
+
+test('snapshotEvery appends a snapshot, and compact() keeps only what follows it', () => {
+  const editor = new TextEditor();
+  const log = new MemoryCommandLog();
+  const manager = new CommandManager({ editor, log, snapshotEvery: 3 });
+  ['a', 'b', 'c', 'd'].forEach(text => manager.executeCommand(new WriteCommand(editor, text)));
+
+  assert.deepEqual(log.entries().map(entry => entry.kind), ['execute', 'execute', 'execute', 'snapshot', 'execute']);
+  log.compact();
+  assert.deepEqual(log.entries().map(entry => entry.kind), ['snapshot', 'execute']);
+});
+
+test('CommandManager.restore replays the log into the same text and undo/redo history', () => {
+  const editor = new TextEditor();
+  const log = new MemoryCommandLog();
+  const manager = new CommandManager({ editor, log, mergeWindowMs: 1000, snapshotEvery: 4 });
+  manager.executeCommand(new WriteCommand(editor, 'Dear', 0));
+  manager.executeCommand(new WriteCommand(editor, ' team', 200));
+  manager.executeCommand(new WriteCommand(editor, '!', 5000));
+  manager.executeCommand(new ClearCommand(editor));
+  manager.undo();
+  manager.executeCommand(new MacroCommand('Sign off', [new WriteCommand(editor, ' Thanks', 9000)]));
+  manager.undo();
+
+  // Merges come from the log, so a restore without a merge window still has them
+  const restored = new TextEditor();
+  const restoredManager = CommandManager.restore(restored, log);
+  assert.equal(restored.getText(), 'Dear team!');
+  assert.equal(restoredManager.canRedo(), true);
+
+  restoredManager.redo();
+  assert.equal(restored.getText(), 'Dear team! Thanks');
+  restoredManager.undo();
+  restoredManager.undo();
+  restoredManager.undo();
+  assert.equal(restored.getText(), '');
+  assert.equal(restoredManager.canUndo(), false);
+});
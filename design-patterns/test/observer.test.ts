@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { ListenerError, Measurements, TypedEventEmitter, WeatherStation } from '../src/observer';
+
+interface ShopEvents {
+  'order.created': { id: number };
+  'order.paid': { id: number };
+  'order.item.added': { id: number; sku: string };
+  'user.signup': { email: string };
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A promise plus the function that resolves it, to hold a listener mid-delivery
+const gate = () => {
+  let open!: () => void;
+  const opened = new Promise<void>(resolve => { open = resolve; });
+  return { opened, open };
+};
+
+test('"*" matches one segment and "**" any number of them', async () => {
+  const shop = new TypedEventEmitter<ShopEvents>();
+  const seen: Record<string, string[]> = { exact: [], one: [], any: [], all: [] };
+  shop.on('order.paid', (_, event) => { seen.exact.push(event); });
+  shop.on('order.*', (_, event) => { seen.one.push(event); });
+  shop.on('order.**', (_, event) => { seen.any.push(event); });
+  shop.on('**', (_, event) => { seen.all.push(event); });
+
+  await shop.emit('order.created', { id: 1 });
+  await shop.emit('order.paid', { id: 1 });
+  await shop.emit('order.item.added', { id: 1, sku: 'A-1' });
+  await shop.emit('user.signup', { email: 'ada@example.com' });
+
+  assert.deepEqual(seen, {
+    exact: ['order.paid'],
+    one: ['order.created', 'order.paid'],
+    any: ['order.created', 'order.paid', 'order.item.added'],
+    all: ['order.created', 'order.paid', 'order.item.added', 'user.signup']
+  });
+  assert.equal(shop.listenerCount('order.item.added'), 2);
+});
+
+test('higher priorities finish before lower ones start; equal ones run together', async () => {
+  const shop = new TypedEventEmitter<ShopEvents>();
+  const order: string[] = [];
+  shop.on('order.paid', async () => {
+    order.push('low');
+  }, { priority: -1 });
+  shop.on('order.paid', async () => {
+    order.push('normal a start');
+    await sleep(20);
+    order.push('normal a end');
+  });
+  shop.on('order.paid', () => { order.push('normal b'); });
+  shop.on('order.paid', () => { order.push('high'); }, { priority: 10 });
+
+  await shop.emit('order.paid', { id: 1 });
+  assert.deepEqual(order, ['high', 'normal a start', 'normal b', 'normal a end', 'low']);
+});
+
+test('once listeners run a single time, and the returned function unsubscribes', async () => {
+  const shop = new TypedEventEmitter<ShopEvents>();
+  let onceCalls = 0;
+  let calls = 0;
+  shop.once('order.created', () => { onceCalls++; });
+  const unsubscribe = shop.on('order.created', () => { calls++; });
+
+  await shop.emit('order.created', { id: 1 });
+  await shop.emit('order.created', { id: 2 });
+  unsubscribe();
+  await shop.emit('order.created', { id: 3 });
+
+  assert.equal(onceCalls, 1);
+  assert.equal(calls, 2);
+  assert.equal(shop.listenerCount(), 0);
+});
+
+test('a failing listener goes to onError and the emit result; the others still run', async () => {
+  const reported: ListenerError[] = [];
+  const shop = new TypedEventEmitter<ShopEvents>({ onError: error => reported.push(error) });
+  let delivered = false;
+  shop.on('order.*', () => { throw new Error('boom'); });
+  shop.on('order.paid', async () => { throw new Error('async boom'); });
+  shop.on('order.paid', () => { delivered = true; });
+
+  const result = await shop.emit('order.paid', { id: 1 });
+
+  assert.equal(delivered, true);
+  assert.equal(result.delivered, 1);
+  assert.deepEqual(result.errors.map(e => [e.pattern, (e.error as Error).message]), [
+    ['order.*', 'boom'],
+    ['order.paid', 'async boom']
+  ]);
+  assert.deepEqual(reported, result.errors);
+  assert.equal(shop.getStats().listenerErrors, 2);
+});
+
+// Holds delivery of the first event, so the next ones fill the buffer
+const bufferedShop = (overflow: 'wait' | 'drop-oldest' | 'drop-newest') => {
+  const shop = new TypedEventEmitter<ShopEvents>({ bufferSize: 1, overflow });
+  const first = gate();
+  const delivered: number[] = [];
+  shop.on('order.created', async ({ id }) => {
+    if (id === 1) await first.opened;
+    delivered.push(id);
+  });
+  return { shop, delivered, release: first.open };
+};
+
+test('buffered "wait" delivers every event in order, holding emit() until there is room', async () => {
+  const { shop, delivered, release } = bufferedShop('wait');
+  const results = [1, 2, 3].map(id => shop.emit('order.created', { id }));
+  await sleep(10);
+  assert.equal(shop.getStats().buffered, 1);
+
+  release();
+  assert.deepEqual((await Promise.all(results)).map(r => r.dropped), [false, false, false]);
+  assert.deepEqual(delivered, [1, 2, 3]);
+});
+
+test('buffered "drop-oldest" pushes the oldest waiting event out', async () => {
+  const { shop, delivered, release } = bufferedShop('drop-oldest');
+  const results = [1, 2, 3].map(id => shop.emit('order.created', { id }));
+  release();
+
+  assert.deepEqual((await Promise.all(results)).map(r => r.dropped), [false, true, false]);
+  await shop.drain();
+  assert.deepEqual(delivered, [1, 3]);
+  assert.equal(shop.getStats().dropped, 1);
+});
+
+test('buffered "drop-newest" turns away events while the buffer is full', async () => {
+  const { shop, delivered, release } = bufferedShop('drop-newest');
+  const results = [1, 2, 3].map(id => shop.emit('order.created', { id }));
+  release();
+
+  assert.deepEqual((await Promise.all(results)).map(r => r.dropped), [false, false, true]);
+  await shop.drain();
+  assert.deepEqual(delivered, [1, 2]);
+});
+
+test('a buffer size below 1 is rejected', () => {
+  assert.throws(() => new TypedEventEmitter<ShopEvents>({ bufferSize: 0 }), /bufferSize must be at least 1/);
+});
+
+test('WeatherStation.setMeasurements resolves after the alerts it raised are delivered', async () => {
+  const station = new WeatherStation(3);
+  const events: string[] = [];
+  station.on('measurements', async () => {
+    await sleep(10);
+    events.push('measurements');
+  });
+  station.on('alert.*', async (_: Measurements, event) => {
+    await sleep(10);
+    events.push(event);
+  });
+
+  const result = await station.setMeasurements(36, 40, 985);
+
+  assert.equal(result.event, 'measurements');
+  assert.equal(result.dropped, false);
+  assert.deepEqual(events, ['measurements', 'alert.heat', 'alert.storm']);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { CacheManager, CacheOptions, LogLevel, MemoryTransport, RotatingFileTransport } from '../src/singleton';
+
+const entry = (message: string) => ({ level: LogLevel.INFO, message, timestamp: new Date(0), context: {} });
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A fresh instance per test, without the cleanup timer
+const createCache = (options: CacheOptions = {}): CacheManager => {
+  CacheManager.resetInstance();
+  return CacheManager.getInstance({ cleanupIntervalMs: 0, ...options });
+};
+
+test('RotatingFileTransport keeps every line across rotations once closed', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logPath = path.join(dir, 'app.log');
+
+  const transport = new RotatingFileTransport(logPath, { maxBytes: 200, maxFiles: 10 });
+  for (let i = 0; i < 20; i++) transport.write(entry(`line ${i}`));
+  await transport.close();
+
+  const files = fs.readdirSync(dir).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+  const messages = files
+    .flatMap(file => fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n'))
+    .map(line => JSON.parse(line).message);
+  assert.ok(files.length > 1);
+  assert.deepEqual(messages, Array.from({ length: 20 }, (_, i) => `line ${i}`));
+});
+
+test('MemoryTransport rejects a capacity below 1', () => {
+  assert.throws(() => new MemoryTransport(0), /capacity must be at least 1/);
+});
+
+test('CacheManager evicts the least recently used entry under LRU', () => {
+  const cache = createCache({ maxEntries: 2, evictionPolicy: 'lru' });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.deepEqual(['a', 'b', 'c'].map(key => cache.has(key)), [true, false, true]);
+  assert.equal(cache.getStats().evictions, 1);
+});
+
+test('CacheManager evicts the least used entry under LFU, never the one just written', () => {
+  const cache = createCache({ maxEntries: 2, evictionPolicy: 'lfu' });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.get('a');
+  cache.get('b');
+  cache.set('c', 3);
+
+  assert.deepEqual(['a', 'b', 'c'].map(key => cache.has(key)), [true, false, true]);
+});
+
+test('CacheManager expires entries after their TTL', async () => {
+  const cache = createCache({ defaultTtl: 20 });
+  cache.set('short', 1);
+  cache.set('long', 2, 10_000);
+  await sleep(40);
+
+  assert.equal(cache.get('short'), null);
+  assert.equal(cache.get('long'), 2);
+  assert.equal(cache.getStats().expirations, 1);
+});
+
+test('CacheManager keeps its defaults for options passed as undefined', () => {
+  const cache = createCache({ defaultTtl: undefined, evictionPolicy: undefined, maxEntries: 1 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+
+  assert.equal(cache.get('b'), 2);
+  assert.equal(cache.has('a'), false);
+});
+
+test('CacheManager rejects values over maxBytes and drops what the key held before', () => {
+  const cache = createCache({ maxBytes: 100 });
+  assert.equal(cache.set('user', { name: 'Ada' }), true);
+  assert.equal(cache.set('user', { bio: 'x'.repeat(200) }), false);
+
+  assert.equal(cache.get('user'), null);
+  assert.equal(cache.getStats().bytes, 0);
+
+  // Several small entries that add up to more than the limit push the oldest out
+  ['a', 'b', 'c'].forEach(key => cache.set(key, 'y'.repeat(40)));
+  assert.equal(cache.has('a'), false);
+  assert.ok(cache.getStats().bytes <= 100);
+});
+
+test('CacheManager.getOrSet shares one load between concurrent callers', async () => {
+  const cache = createCache();
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    await sleep(10);
+    return { id: 7 };
+  };
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.getOrSet('order', loader)));
+  assert.equal(loads, 1);
+  assert.deepEqual(results, [{ id: 7 }, { id: 7 }, { id: 7 }]);
+  assert.equal(await cache.getOrSet('order', loader), results[0]);
+
+  const { misses, hits, coalesced } = cache.getStats();
+  assert.deepEqual({ misses, hits, coalesced }, { misses: 1, hits: 1, coalesced: 2 });
+});
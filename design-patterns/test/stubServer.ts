@@ -0,0 +1,37 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+
+// A local HTTP server on a random port, so requests can be tested without the
+// network. The handler gets the request with its body read.
+export interface StubServer {
+  url: string;
+  close(): Promise<void>;
+}
+
+export type StubHandler = (
+  request: http.IncomingMessage & { body: string },
+  response: http.ServerResponse
+) => void;
+
+export function startStubServer(handler: StubHandler): Promise<StubServer> {
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => handler(Object.assign(request, { body }), response));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address() as AddressInfo;
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
@@ -1,116 +1,263 @@
-import React, { useState } from 'react';
-import './Checkout.css';
+import React, { useRef, useState } from 'react';
+import { eventBus, useCart, CHECKOUT_COMPLETE } from '@microstore/shared';
+import CheckoutForm from './CheckoutForm';
+import { orderService, ORDER_ERRORS } from './orderService';
+import { calculateTotals, formatMoney, lineSubtotal, resolvePromo, DEFAULT_COUNTRY } from './pricing';
+import { validateCheckoutForm, EMPTY_FORM, COUNTRIES } from './validation';
+import styles from './Checkout.module.css';
 
-function Checkout({ cart = [], onRemoveItem, onClearCart, onBack }) {
+const createIdempotencyKey = () => `order-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+function Checkout({ onBack }) {
+  const { items: cart, update, remove, clear } = useCart();
+  const [step, setStep] = useState('cart'); // 'cart' | 'details'
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [promoError, setPromoError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [touched, setTouched] = useState({});
+  const [submitAttempted, setSubmitAttempted] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [orderComplete, setOrderComplete] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [serverErrors, setServerErrors] = useState({});
+  const [order, setOrder] = useState(null);
+  // One key per order, so retrying after a timeout can't charge twice
+  const idempotencyKey = useRef(createIdempotencyKey());
+
+  const country = step === 'details' ? form.country : DEFAULT_COUNTRY;
+  const totals = calculateTotals(cart, { promoCode, country });
+  const formErrors = { ...validateCheckoutForm(form), ...serverErrors };
+
+  const applyPromo = (e) => {
+    e.preventDefault();
+    const { promo, error } = resolvePromo(promoInput, lineSubtotal(cart));
+    setPromoError(error ?? null);
+    if (promo) {
+      setPromoCode(promo.code);
+      setPromoInput('');
+    }
+  };
+
+  const updateField = (name, value) => {
+    setForm(prev => ({ ...prev, [name]: value }));
+    // A field error from the order service no longer applies once the field is edited
+    setServerErrors(({ [name]: _fixed, ...rest }) => rest);
+  };
 
-  const subtotal = cart.reduce((sum, item) => sum + item.price, 0);
-  const tax = subtotal * 0.1; // 10% tax
-  const total = subtotal + tax;
+  const placeOrder = async (e) => {
+    e.preventDefault();
+    setSubmitAttempted(true);
+    if (Object.keys(validateCheckoutForm(form)).length > 0) return;
 
-  const handleCheckout = () => {
     setIsProcessing(true);
-    // Simulate payment processing
-    setTimeout(() => {
+    setSubmitError(null);
+    try {
+      const placed = await orderService.submitOrder({
+        idempotencyKey: idempotencyKey.current,
+        lines: cart,
+        form,
+        promoCode,
+        expectedTotal: totals.total,
+      });
+      idempotencyKey.current = createIdempotencyKey();
+      setOrder(placed);
+      // Empties the cart in every app
+      eventBus.emit(CHECKOUT_COMPLETE, {
+        orderId: placed.orderId,
+        items: placed.lines,
+        total: placed.totals.total,
+      });
+    } catch (error) {
+      setSubmitError(error);
+      setServerErrors(error.fields ?? {});
+      if (error.code === ORDER_ERRORS.PRICE_CHANGED) setStep('cart');
+    } finally {
       setIsProcessing(false);
-      setOrderComplete(true);
-      setTimeout(() => {
-        onClearCart();
-        setOrderComplete(false);
-      }, 3000);
-    }, 2000);
+    }
   };
 
-  if (orderComplete) {
+  if (order) {
     return (
-      <div className="checkout-container">
-        <div className="success-message">
-          <div className="success-icon">✓</div>
+      <div className={styles.checkoutContainer}>
+        <div className={styles.successMessage}>
+          <div className={styles.successIcon}>✓</div>
           <h2>Order Placed Successfully!</h2>
-          <p>Thank you for your purchase</p>
-          <p className="order-number">Order #MF-{Math.floor(Math.random() * 10000)}</p>
+          <p>Thank you for your purchase, {order.shipping.fullName}</p>
+          <p className={styles.orderNumber}>Order #{order.orderId}</p>
+          <p>
+            {formatMoney(order.totals.total)} charged to {order.payment.brand} ending in {order.payment.last4}.
+            A confirmation was sent to {order.shipping.email}.
+          </p>
+          <p>
+            Shipping to {order.shipping.address}, {order.shipping.city} {order.shipping.postalCode},
+            {' '}{COUNTRIES[order.shipping.country]}
+          </p>
+          <button className={styles.continueShopping} onClick={onBack}>
+            Continue Shopping
+          </button>
         </div>
       </div>
     );
   }
 
+  const promoNoLongerApplies = promoCode && !totals.promo;
+
   return (
-    <div className="checkout-container">
-      <div className="checkout-header">
-        <button className="back-button" onClick={onBack}>
-          ← Back to Products
-        </button>
-        <h2>Shopping Cart</h2>
+    <div className={styles.checkoutContainer}>
+      <div className={styles.checkoutHeader}>
+        {step === 'details' ? (
+          <button className={styles.backButton} onClick={() => setStep('cart')} disabled={isProcessing}>
+            ← Back to Cart
+          </button>
+        ) : (
+          <button className={styles.backButton} onClick={onBack}>
+            ← Back to Products
+          </button>
+        )}
+        <h2>{step === 'details' ? 'Shipping & Payment' : 'Shopping Cart'}</h2>
       </div>
 
       {cart.length === 0 ? (
-        <div className="empty-cart">
-          <div className="empty-icon">🛒</div>
+        <div className={styles.emptyCart}>
+          <div className={styles.emptyIcon}>🛒</div>
           <h3>Your cart is empty</h3>
           <p>Add some products to get started!</p>
-          <button className="continue-shopping" onClick={onBack}>
+          <button className={styles.continueShopping} onClick={onBack}>
             Continue Shopping
           </button>
         </div>
       ) : (
-        <div className="checkout-content">
-          <div className="cart-items">
-            {cart.map((item, index) => (
-              <div key={`${item.id}-${index}`} className="cart-item">
-                <div className="item-image">{item.image}</div>
-                <div className="item-details">
-                  <h4>{item.name}</h4>
-                  <p className="item-price">${item.price.toFixed(2)}</p>
+        <div className={styles.checkoutContent}>
+          {step === 'details' ? (
+            <CheckoutForm
+              values={form}
+              errors={formErrors}
+              touched={touched}
+              showAllErrors={submitAttempted}
+              disabled={isProcessing}
+              onChange={updateField}
+              onBlur={(name) => setTouched(prev => ({ ...prev, [name]: true }))}
+            />
+          ) : (
+            <div className={styles.cartItems}>
+              {cart.map(item => (
+                <div key={item.id} className={styles.cartItem}>
+                  <div className={styles.itemImage}>{item.image}</div>
+                  <div className={styles.itemDetails}>
+                    <h4>{item.name}</h4>
+                    <p className={styles.itemPrice}>{formatMoney(item.price * item.quantity)}</p>
+                    {item.quantity > 1 && (
+                      <p className={styles.itemUnitPrice}>{formatMoney(item.price)} each</p>
+                    )}
+                  </div>
+                  <div className={styles.quantityStepper}>
+                    <button
+                      onClick={() => update(item.id, item.quantity - 1)}
+                      aria-label={`Decrease quantity of ${item.name}`}
+                    >
+                      −
+                    </button>
+                    <span>{item.quantity}</span>
+                    <button
+                      onClick={() => update(item.id, item.quantity + 1)}
+                      disabled={typeof item.stock === 'number' && item.quantity >= item.stock}
+                      aria-label={`Increase quantity of ${item.name}`}
+                    >
+                      +
+                    </button>
+                  </div>
+                  <button
+                    className={styles.removeButton}
+                    onClick={() => remove(item.id)}
+                    aria-label="Remove item"
+                  >
+                    ×
+                  </button>
                 </div>
-                <button
-                  className="remove-button"
-                  onClick={() => onRemoveItem(item.id)}
-                  aria-label="Remove item"
-                >
-                  ×
-                </button>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
 
-          <div className="cart-summary">
+          <div className={styles.cartSummary}>
             <h3>Order Summary</h3>
-            <div className="summary-row">
+            <div className={styles.summaryRow}>
               <span>Subtotal:</span>
-              <span>${subtotal.toFixed(2)}</span>
+              <span>{formatMoney(totals.subtotal)}</span>
+            </div>
+            {totals.promo && (
+              <div className={`${styles.summaryRow} ${styles.discount}`}>
+                <span>
+                  {totals.promo.code} ({totals.promo.description})
+                  {' '}
+                  <button className={styles.linkButton} onClick={() => setPromoCode('')} disabled={isProcessing}>
+                    remove
+                  </button>
+                </span>
+                <span>−{formatMoney(totals.discount)}</span>
+              </div>
+            )}
+            <div className={styles.summaryRow}>
+              <span>Shipping:</span>
+              <span>{totals.shipping === 0 ? 'Free' : formatMoney(totals.shipping)}</span>
             </div>
-            <div className="summary-row">
-              <span>Tax (10%):</span>
-              <span>${tax.toFixed(2)}</span>
+            <div className={styles.summaryRow}>
+              <span>
+                {totals.taxLabel} ({Math.round(totals.taxRate * 100)}%{step === 'cart' ? ', estimated' : ''}):
+              </span>
+              <span>{formatMoney(totals.tax)}</span>
             </div>
-            <div className="summary-row total">
+            <div className={`${styles.summaryRow} ${styles.total}`}>
               <span>Total:</span>
-              <span>${total.toFixed(2)}</span>
+              <span>{formatMoney(totals.total)}</span>
             </div>
 
-            <button
-              className="checkout-button"
-              onClick={handleCheckout}
-              disabled={isProcessing}
-            >
-              {isProcessing ? (
-                <>
-                  <span className="spinner"></span>
-                  Processing...
-                </>
-              ) : (
-                'Complete Purchase'
-              )}
-            </button>
-
-            <button
-              className="clear-cart-button"
-              onClick={onClearCart}
-              disabled={isProcessing}
-            >
-              Clear Cart
-            </button>
+            {step === 'cart' && (
+              <form className={styles.promoForm} onSubmit={applyPromo}>
+                <input
+                  value={promoInput}
+                  onChange={(e) => setPromoInput(e.target.value)}
+                  placeholder="Promo code"
+                  aria-label="Promo code"
+                />
+                <button type="submit" disabled={!promoInput.trim()}>Apply</button>
+              </form>
+            )}
+            {promoError && <p className={styles.formError}>{promoError}</p>}
+            {promoNoLongerApplies && (
+              <p className={styles.formError}>{resolvePromo(promoCode, totals.subtotal).error}</p>
+            )}
+
+            {submitError && (
+              <p className={styles.formError} role="alert">
+                {submitError.message}
+                {submitError.retryable && ' Your card was not charged.'}
+              </p>
+            )}
+
+            {step === 'cart' ? (
+              <button className={styles.checkoutButton} onClick={() => { setSubmitError(null); setStep('details'); }}>
+                Proceed to Checkout
+              </button>
+            ) : (
+              <button className={styles.checkoutButton} onClick={placeOrder} disabled={isProcessing}>
+                {isProcessing ? (
+                  <>
+                    <span className={styles.spinner}></span>
+                    Processing...
+                  </>
+                ) : submitError?.retryable ? (
+                  'Try Again'
+                ) : (
+                  `Pay ${formatMoney(totals.total)}`
+                )}
+              </button>
+            )}
+
+            {step === 'cart' && (
+              <button className={styles.clearCartButton} onClick={clear}>
+                Clear Cart
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,71 @@
+import React from 'react';
+import { COUNTRIES } from './validation';
+import styles from './Checkout.module.css';
+
+const SHIPPING_FIELDS = [
+  { name: 'fullName', label: 'Full name', autoComplete: 'name' },
+  { name: 'email', label: 'Email', type: 'email', autoComplete: 'email' },
+  { name: 'address', label: 'Address', autoComplete: 'street-address' },
+  { name: 'city', label: 'City', autoComplete: 'address-level2' },
+  { name: 'postalCode', label: 'Postal code', autoComplete: 'postal-code' },
+];
+
+const PAYMENT_FIELDS = [
+  { name: 'cardNumber', label: 'Card number', autoComplete: 'cc-number', inputMode: 'numeric', placeholder: '4242 4242 4242 4242' },
+  { name: 'expiry', label: 'Expiry', autoComplete: 'cc-exp', placeholder: 'MM/YY' },
+  { name: 'cvc', label: 'CVC', autoComplete: 'cc-csc', inputMode: 'numeric' },
+];
+
+// Shipping and payment details. Errors are shown for fields the customer has
+// left (touched) or for every field once they tried to submit.
+function CheckoutForm({ values, errors, touched, showAllErrors, disabled, onChange, onBlur }) {
+  const errorFor = (name) => (showAllErrors || touched[name]) && errors[name];
+
+  const renderField = ({ name, label, type = 'text', ...inputProps }) => (
+    <label key={name} className={`${styles.formField} ${errorFor(name) ? styles.hasError : ''}`}>
+      <span>{label}</span>
+      <input
+        name={name}
+        type={type}
+        value={values[name]}
+        disabled={disabled}
+        aria-invalid={Boolean(errorFor(name))}
+        onChange={(e) => onChange(name, e.target.value)}
+        onBlur={() => onBlur(name)}
+        {...inputProps}
+      />
+      {errorFor(name) && <small className={styles.fieldError}>{errors[name]}</small>}
+    </label>
+  );
+
+  return (
+    <div className={styles.checkoutForm}>
+      <fieldset>
+        <legend>Shipping</legend>
+        {SHIPPING_FIELDS.map(renderField)}
+        <label className={`${styles.formField} ${errorFor('country') ? styles.hasError : ''}`}>
+          <span>Country</span>
+          <select
+            name="country"
+            value={values.country}
+            disabled={disabled}
+            onChange={(e) => onChange('country', e.target.value)}
+            onBlur={() => onBlur('country')}
+          >
+            {Object.entries(COUNTRIES).map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+          {errorFor('country') && <small className={styles.fieldError}>{errors.country}</small>}
+        </label>
+      </fieldset>
+
+      <fieldset>
+        <legend>Payment</legend>
+        {PAYMENT_FIELDS.map(renderField)}
+      </fieldset>
+    </div>
+  );
+}
+
+export default CheckoutForm;
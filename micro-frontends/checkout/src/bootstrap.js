@@ -0,0 +1,20 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import { cartStore, eventBus, CHECKOUT_COMPLETE } from '@microstore/shared';
+import Checkout from './Checkout';
+
+// Standalone: start with a couple of items in this app's own cart
+const sampleCart = [
+  { id: 1, name: 'Wireless Headphones', price: 79.99, image: '🎧' },
+  { id: 2, name: 'Smart Watch', price: 199.99, image: '⌚' },
+];
+sampleCart.forEach((product) => cartStore.add(product));
+
+eventBus.on(CHECKOUT_COMPLETE, (order) => console.log('Order complete:', order));
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <Checkout onBack={() => console.log('Go back')} />
+  </React.StrictMode>
+);
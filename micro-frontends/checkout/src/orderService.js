@@ -0,0 +1,138 @@
+import { calculateTotals } from './pricing';
+import { validateCheckoutForm, digitsOnly, isAmex } from './validation';
+
+// Mock order service standing in for a real orders API. It re-checks
+// everything the form already checked, because a real backend can't trust the
+// client, and fails the way a real one does:
+//
+//   4242 4242 4242 4242  approved
+//   4000 0000 0000 0002  PAYMENT_DECLINED
+//   4000 0000 0000 9995  INSUFFICIENT_FUNDS
+//   4000 0000 0000 0119  SERVICE_UNAVAILABLE (retryable)
+//
+// Any other valid card number is approved.
+
+export const ORDER_ERRORS = {
+  EMPTY_CART: 'EMPTY_CART',
+  INVALID_ORDER: 'INVALID_ORDER',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  PRICE_CHANGED: 'PRICE_CHANGED',
+  PAYMENT_DECLINED: 'PAYMENT_DECLINED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+};
+
+const TEST_CARDS = {
+  '4000000000000002': { code: ORDER_ERRORS.PAYMENT_DECLINED, message: 'Your card was declined' },
+  '4000000000009995': { code: ORDER_ERRORS.INSUFFICIENT_FUNDS, message: 'Your card has insufficient funds' },
+  '4000000000000119': {
+    code: ORDER_ERRORS.SERVICE_UNAVAILABLE,
+    message: 'The payment processor is not responding - please try again',
+    retryable: true,
+  },
+};
+
+export class OrderError extends Error {
+  constructor(message, { code, retryable = false, fields = {} } = {}) {
+    super(message);
+    this.name = 'OrderError';
+    this.code = code;
+    this.retryable = retryable;
+    this.fields = fields;
+  }
+}
+
+const SEQUENCE_KEY = 'microstore-order-sequence';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let lastSequence = 0;
+
+// Order numbers keep counting across reloads, e.g. MF-20261018-0042
+const nextOrderId = (now) => {
+  let sequence = lastSequence + 1;
+  try {
+    sequence = Math.max(sequence, Number(window.localStorage.getItem(SEQUENCE_KEY) ?? 0) + 1);
+    window.localStorage.setItem(SEQUENCE_KEY, String(sequence));
+  } catch {
+    // Storage unavailable (e.g. private mode) - keep counting in memory
+  }
+  lastSequence = sequence;
+  const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+  return `MF-${date}-${String(sequence).padStart(4, '0')}`;
+};
+
+export function createOrderService({ latency = 1500 } = {}) {
+  const orders = new Map();
+  const byIdempotencyKey = new Map();
+
+  const placeOrder = ({ lines, form, promoCode, expectedTotal }, now) => {
+    if (!lines.length) {
+      throw new OrderError('Your cart is empty', { code: ORDER_ERRORS.EMPTY_CART });
+    }
+
+    const fields = validateCheckoutForm(form, now);
+    if (Object.keys(fields).length > 0) {
+      throw new OrderError('Some details are missing or invalid', { code: ORDER_ERRORS.INVALID_ORDER, fields });
+    }
+
+    const unavailable = lines.filter(line => typeof line.stock === 'number' && line.quantity > line.stock);
+    if (unavailable.length > 0) {
+      throw new OrderError(
+        `Not enough stock for ${unavailable.map(line => line.name).join(', ')}`,
+        { code: ORDER_ERRORS.OUT_OF_STOCK }
+      );
+    }
+
+    const totals = calculateTotals(lines, { promoCode, country: form.country, now });
+    if (totals.total !== expectedTotal) {
+      throw new OrderError('Your order total changed - please review it and try again', {
+        code: ORDER_ERRORS.PRICE_CHANGED,
+      });
+    }
+
+    const cardNumber = digitsOnly(form.cardNumber);
+    const testCard = TEST_CARDS[cardNumber];
+    if (testCard) {
+      throw new OrderError(testCard.message, { code: testCard.code, retryable: testCard.retryable });
+    }
+
+    const { cardNumber: _card, expiry: _expiry, cvc: _cvc, ...shipping } = form;
+    const order = {
+      orderId: nextOrderId(now),
+      status: 'confirmed',
+      placedAt: now.toISOString(),
+      lines: lines.map(({ id, name, price, image, quantity }) => ({ id, name, price, image, quantity })),
+      totals,
+      shipping,
+      payment: { brand: isAmex(cardNumber) ? 'Amex' : 'Card', last4: cardNumber.slice(-4) },
+    };
+    orders.set(order.orderId, order);
+    return order;
+  };
+
+  return {
+    /**
+     * Place an order. Resolves to the confirmed order or rejects with an OrderError.
+     * Retrying with the same idempotencyKey never creates a second order.
+     */
+    async submitOrder({ idempotencyKey, ...request }) {
+      await delay(latency);
+
+      if (idempotencyKey && byIdempotencyKey.has(idempotencyKey)) {
+        return byIdempotencyKey.get(idempotencyKey);
+      }
+
+      const order = placeOrder(request, new Date());
+      if (idempotencyKey) byIdempotencyKey.set(idempotencyKey, order);
+      return order;
+    },
+
+    async getOrder(orderId) {
+      await delay(latency / 3);
+      return orders.get(orderId) ?? null;
+    },
+  };
+}
+
+export const orderService = createOrderService();
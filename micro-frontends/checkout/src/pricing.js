@@ -0,0 +1,87 @@
+// Promo codes, shipping and tax rules. Used for the totals on screen and again
+// by the order service, so the customer is charged what the summary showed.
+
+export const PROMO_CODES = {
+  SAVE10: { description: '10% off your order', percentOff: 10 },
+  WELCOME5: { description: '$5 off orders over $50', amountOff: 5, minSubtotal: 50 },
+  FREESHIP: { description: 'Free shipping', freeShipping: true },
+  SUMMER2024: { description: 'Summer sale', percentOff: 20, expiresAt: '2024-09-01' },
+};
+
+export const SHIPPING = {
+  flatRate: 9.99,
+  freeOver: 100, // after discounts
+};
+
+// Tax is charged on the discounted subtotal plus shipping. Countries without
+// a rule are not taxed.
+export const TAX_RULES = {
+  US: { label: 'Sales tax', rate: 0.08 },
+  CA: { label: 'GST/HST', rate: 0.13 },
+  GB: { label: 'VAT', rate: 0.2 },
+  DE: { label: 'VAT', rate: 0.19 },
+  AU: { label: 'GST', rate: 0.1 },
+};
+
+// Used for the estimate before the customer has entered an address
+export const DEFAULT_COUNTRY = 'US';
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+export const formatMoney = (amount) => `$${amount.toFixed(2)}`;
+
+export const lineSubtotal = (lines) =>
+  roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+/**
+ * Look up a promo code for an order with the given subtotal.
+ * Returns { promo } for a usable code, or { error } explaining why it can't be used.
+ */
+export function resolvePromo(code, subtotal, now = new Date()) {
+  const key = code.trim().toUpperCase();
+  const promo = PROMO_CODES[key];
+
+  if (!promo) {
+    return { error: `"${code.trim()}" is not a valid promo code` };
+  }
+  if (promo.expiresAt && now >= new Date(promo.expiresAt)) {
+    return { error: `${key} expired on ${promo.expiresAt}` };
+  }
+  if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+    return { error: `${key} needs a subtotal of at least ${formatMoney(promo.minSubtotal)}` };
+  }
+  return { promo: { code: key, ...promo } };
+}
+
+/**
+ * Totals for a list of cart lines. `promoCode` and `country` are optional;
+ * an invalid promo code is ignored.
+ */
+export function calculateTotals(lines, { promoCode = '', country = DEFAULT_COUNTRY, now } = {}) {
+  const subtotal = lineSubtotal(lines);
+  const { promo } = promoCode ? resolvePromo(promoCode, subtotal, now) : {};
+
+  let discount = 0;
+  if (promo?.percentOff) discount = subtotal * (promo.percentOff / 100);
+  if (promo?.amountOff) discount = promo.amountOff;
+  discount = roundMoney(Math.min(discount, subtotal));
+
+  const discounted = subtotal - discount;
+  const shipping = lines.length === 0 || promo?.freeShipping || discounted >= SHIPPING.freeOver
+    ? 0
+    : SHIPPING.flatRate;
+
+  const taxRule = TAX_RULES[country] ?? { label: 'Tax', rate: 0 };
+  const tax = roundMoney((discounted + shipping) * taxRule.rate);
+
+  return {
+    subtotal,
+    discount,
+    shipping,
+    tax,
+    taxLabel: taxRule.label,
+    taxRate: taxRule.rate,
+    total: roundMoney(discounted + shipping + tax),
+    promo: promo ?? null,
+  };
+}
@@ -0,0 +1,13 @@
+// Route manifest, merged into the host's router (exposed as './routes')
+const routes = [
+  {
+    path: '/checkout',
+    title: 'Checkout',
+    load: () => import('./Checkout'),
+    props: ({ navigate }) => ({
+      onBack: () => navigate('/products'),
+    }),
+  },
+];
+
+export default routes;
@@ -0,0 +1,99 @@
+// Shipping and payment form rules. validateCheckoutForm() returns
+// { [field]: message } for every invalid field - empty when the form is valid.
+
+export const COUNTRIES = {
+  US: 'United States',
+  CA: 'Canada',
+  GB: 'United Kingdom',
+  DE: 'Germany',
+  AU: 'Australia',
+};
+
+const POSTAL_CODES = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+  DE: /^\d{5}$/,
+  AU: /^\d{4}$/,
+};
+
+export const EMPTY_FORM = {
+  fullName: '',
+  email: '',
+  address: '',
+  city: '',
+  postalCode: '',
+  country: 'US',
+  cardNumber: '',
+  expiry: '',
+  cvc: '',
+};
+
+export const digitsOnly = (value) => value.replace(/\D/g, '');
+
+// Luhn checksum used by every card network
+export function isValidCardNumber(value) {
+  const digits = digitsOnly(value);
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+export const isAmex = (cardNumber) => /^3[47]/.test(digitsOnly(cardNumber));
+
+// MM/YY, valid through the end of that month
+export function isValidExpiry(value, now = new Date()) {
+  const match = value.trim().match(/^(\d{2})\s*\/\s*(\d{2})$/);
+  if (!match) return false;
+
+  const month = Number(match[1]);
+  const year = 2000 + Number(match[2]);
+  if (month < 1 || month > 12) return false;
+
+  return new Date(year, month, 1) > now;
+}
+
+export function validateCheckoutForm(values, now = new Date()) {
+  const errors = {};
+  const required = (field, label) => {
+    if (!values[field]?.trim()) errors[field] = `${label} is required`;
+  };
+
+  required('fullName', 'Full name');
+  required('address', 'Address');
+  required('city', 'City');
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email.trim())) {
+    errors.email = 'Enter a valid email address';
+  }
+
+  if (!COUNTRIES[values.country]) {
+    errors.country = 'Choose a country we ship to';
+  } else if (!POSTAL_CODES[values.country].test(values.postalCode.trim())) {
+    errors.postalCode = `Enter a valid postal code for ${COUNTRIES[values.country]}`;
+  }
+
+  if (!isValidCardNumber(values.cardNumber)) {
+    errors.cardNumber = 'Enter a valid card number';
+  }
+
+  if (!isValidExpiry(values.expiry, now)) {
+    errors.expiry = 'Enter an expiry date (MM/YY) that has not passed';
+  }
+
+  const cvcLength = isAmex(values.cardNumber) ? 4 : 3;
+  if (!new RegExp(`^\\d{${cvcLength}}$`).test(values.cvc.trim())) {
+    errors.cvc = `Enter the ${cvcLength}-digit security code`;
+  }
+
+  return errors;
+}
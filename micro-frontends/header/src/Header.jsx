@@ -1,21 +1,36 @@
 import React from 'react';
-import './Header.css';
+import { useCart } from '@microstore/shared';
+import styles from './Header.module.css';
+
+const NAV_LINKS = [
+  { label: 'Home', path: '/' },
+  { label: 'Products', path: '/products' },
+];
+
+function Header({ currentPath = '/', onNavigate }) {
+  const { count: cartCount } = useCart();
 
-function Header({ cartCount = 0, onViewCart }) {
   return (
-    <header className="header">
-      <div className="header-content">
-        <div className="logo">
+    <header className={styles.header}>
+      <div className={styles.headerContent}>
+        <div className={styles.logo}>
           <h1>🛍️ MicroStore</h1>
-          <span className="badge">Micro-Frontend</span>
+          <span className={styles.badge}>Micro-Frontend</span>
         </div>
-        <nav className="nav">
-          <button className="nav-link">Home</button>
-          <button className="nav-link">Products</button>
-          <button className="cart-button" onClick={onViewCart}>
+        <nav className={styles.nav}>
+          {NAV_LINKS.map(({ label, path }) => (
+            <button
+              key={path}
+              className={`${styles.navLink} ${currentPath === path ? styles.active : ''}`}
+              onClick={() => onNavigate(path)}
+            >
+              {label}
+            </button>
+          ))}
+          <button className={styles.cartButton} onClick={() => onNavigate('/checkout')}>
             🛒 Cart
             {cartCount > 0 && (
-              <span className="cart-count">{cartCount}</span>
+              <span className={styles.cartCount}>{cartCount}</span>
             )}
           </button>
         </nav>
@@ -0,0 +1,20 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import { cartStore } from '@microstore/shared';
+import Header from './Header';
+
+// Standalone: there are no pages to go to, so log the navigation and add to
+// the cart on the cart button so the badge has something to show
+const onNavigate = (path) => {
+  console.log('Navigate to:', path);
+  if (path === '/checkout') {
+    cartStore.add({ id: 1, name: 'Wireless Headphones', price: 79.99, image: '🎧' });
+  }
+};
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <Header onNavigate={onNavigate} />
+  </React.StrictMode>
+);
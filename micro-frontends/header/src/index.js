@@ -1,10 +1,3 @@
-import React from 'react';
-import ReactDOM from 'react-dom/client';
-import Header from './Header';
-
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <Header cartCount={3} onViewCart={() => alert('Cart clicked!')} />
-  </React.StrictMode>
-);
+// Async boundary: lets Module Federation negotiate shared singletons (react,
+// @microstore/shared) before any app code runs
+import('./bootstrap');
@@ -18,6 +18,9 @@ module.exports = {
   },
   output: {
     publicPath: 'auto',
+    // HtmlWebpackPlugin's child compiler also builds the shared modules; hashed
+    // names keep its chunks from clashing with ours in development builds
+    chunkFilename: '[name].[contenthash:8].js',
     clean: true,
   },
   module: {
@@ -32,7 +35,21 @@ module.exports = {
       },
       {
         test: /\.css$/,
-        use: ['style-loader', 'css-loader'],
+        use: [
+          'style-loader',
+          {
+            loader: 'css-loader',
+            options: {
+              // *.module.css class names are prefixed with the app name, so two
+              // apps' `.loading` can't collide once they share the host page
+              modules: {
+                auto: true,
+                localIdentName: 'header__[local]--[hash:base64:5]',
+                exportLocalsConvention: 'camelCase',
+              },
+            },
+          },
+        ],
       },
     ],
   },
@@ -46,6 +63,14 @@ module.exports = {
       shared: {
         react: { singleton: true, requiredVersion: '^18.2.0' },
         'react-dom': { singleton: true, requiredVersion: '^18.2.0' },
+        // Bundled as the fallback for running standalone; embedded, the
+        // host's instance is already loaded and every app uses that one
+        '@microstore/shared': {
+          import: path.resolve(__dirname, '../shared/src/index.js'),
+          singleton: true,
+          version: '1.2.0',
+          requiredVersion: '^1.2.0',
+        },
       },
     }),
     new HtmlWebpackPlugin({
@@ -54,5 +79,7 @@ module.exports = {
   ],
   resolve: {
     extensions: ['.js', '.jsx'],
+    // ../shared has no node_modules of its own - resolve its react import from this app
+    modules: [path.resolve(__dirname, 'node_modules'), 'node_modules'],
   },
 };
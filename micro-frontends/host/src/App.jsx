@@ -1,59 +1,149 @@
-import React, { Suspense, lazy, useState } from 'react';
-import './App.css';
+import React, { useCallback, useEffect } from 'react';
+import { THEMES, useTheme } from '@microstore/shared';
+import RemoteComponent, { RemoteUnavailable } from './RemoteComponent';
+import { HeaderFallback, ProductsFallback, CheckoutFallback } from './DegradedViews';
+import { getRemote, getRemotes } from './remotes';
+import { findRoute, ownsPath, resolveTitle } from './routing';
+import { useRemoteHealth } from './useRemoteHealth';
+import { useLocationPath } from './useLocationPath';
+import { useRouteTable } from './useRouteTable';
+import styles from './App.module.css';
 
-// Lazy load remote components from other micro-frontends
-const Header = lazy(() => import('header/Header'));
-const ProductList = lazy(() => import('products/ProductList'));
-const Checkout = lazy(() => import('checkout/Checkout'));
+const APP_TITLE = 'MicroStore';
 
-function App() {
-  const [cart, setCart] = useState([]);
-  const [showCheckout, setShowCheckout] = useState(false);
+// Degraded views for remotes that contribute pages
+const FALLBACKS = {
+  products: ProductsFallback,
+  checkout: CheckoutFallback,
+};
 
-  const addToCart = (product) => {
-    setCart([...cart, product]);
-  };
+function RemoteStatus({ scope }) {
+  const health = useRemoteHealth(scope);
+  const { url, label, version } = getRemote(scope);
+  return (
+    <span className={`${styles.remoteStatus} ${styles[health] ?? ''}`} title={url}>
+      {label}{version && ` v${version}`}: {health}
+    </span>
+  );
+}
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter(item => item.id !== productId));
-  };
+// Every app reads the theme's CSS variables, so switching here restyles the
+// remotes too
+function ThemeSwitch() {
+  const { theme, setTheme } = useTheme();
+  return (
+    <p className={styles.themeSwitch} role="group" aria-label="Theme">
+      {Object.entries(THEMES).map(([name, { label }]) => (
+        <button
+          key={name}
+          className={`${styles.themeOption} ${theme === name ? styles.active : ''}`}
+          aria-pressed={theme === name}
+          onClick={() => setTheme(name)}
+        >
+          {label}
+        </button>
+      ))}
+    </p>
+  );
+}
+
+function NotFound({ path, navigate }) {
+  return (
+    <div className={styles.notFound}>
+      <h2>Page not found</h2>
+      <p>Nothing lives at {path}.</p>
+      <button className={styles.degradedRetry} onClick={() => navigate('/')}>Go to the store</button>
+    </div>
+  );
+}
 
-  const clearCart = () => {
-    setCart([]);
-    setShowCheckout(false);
+// Renders the page for the current URL from the routes the remotes expose
+function RouteOutlet({ path, navigate }) {
+  const { routes, manifests, reload } = useRouteTable();
+  const match = findRoute(routes, path);
+
+  // No route yet - the URL may belong to a remote whose manifest isn't loaded
+  const ownerScope = match ? null : Object.keys(manifests).find(scope =>
+    manifests[scope].status !== 'ready' && ownsPath(getRemote(scope).basePaths, path)
+  );
+  const retryOwner = useCallback(() => reload(ownerScope), [reload, ownerScope]);
+
+  const title = match
+    ? resolveTitle(match.route, match.params)
+    : ownerScope ? getRemote(ownerScope).label : 'Page not found';
+
+  useEffect(() => {
+    document.title = `${title} | ${APP_TITLE}`;
+  }, [title]);
+
+  const renderFallback = (scope) => (status) => {
+    const Fallback = FALLBACKS[scope];
+    return <Fallback {...status} onBack={() => navigate('/products')} />;
   };
 
+  if (match) {
+    const { route, params } = match;
+    const props = route.props ? route.props({ params, navigate }) : { params, navigate };
+    return (
+      <RemoteComponent
+        key={route.path}
+        scope={route.scope}
+        load={route.load}
+        loading={<div className={styles.loading}>Loading {title}...</div>}
+        fallback={renderFallback(route.scope)}
+        {...props}
+      />
+    );
+  }
+
+  if (ownerScope) {
+    const manifest = manifests[ownerScope];
+    if (manifest.status === 'loading') {
+      return <div className={styles.loading}>Loading {title}...</div>;
+    }
+    return (
+      <RemoteUnavailable
+        scope={ownerScope}
+        error={manifest.error}
+        onRetry={retryOwner}
+        fallback={renderFallback(ownerScope)}
+      />
+    );
+  }
+
+  return <NotFound path={path} navigate={navigate} />;
+}
+
+function App({ environment }) {
+  // The cart itself lives in the shared store; the host only owns navigation
+  const [path, navigate] = useLocationPath();
+
+  // Each remote loads on its own, so one that is down only degrades its own slot
   return (
-    <div className="app">
-      <Suspense fallback={<div className="loading">Loading Header...</div>}>
-        <Header
-          cartCount={cart.length}
-          onViewCart={() => setShowCheckout(!showCheckout)}
-        />
-      </Suspense>
-
-      <main className="main-content">
-        {!showCheckout ? (
-          <Suspense fallback={<div className="loading">Loading Products...</div>}>
-            <ProductList onAddToCart={addToCart} />
-          </Suspense>
-        ) : (
-          <Suspense fallback={<div className="loading">Loading Checkout...</div>}>
-            <Checkout
-              cart={cart}
-              onRemoveItem={removeFromCart}
-              onClearCart={clearCart}
-              onBack={() => setShowCheckout(false)}
-            />
-          </Suspense>
-        )}
+    <div className={styles.app}>
+      <RemoteComponent
+        scope="header"
+        module="./Header"
+        loading={<div className={styles.loading}>Loading Header...</div>}
+        fallback={(status) => <HeaderFallback {...status} onNavigate={navigate} />}
+        currentPath={path}
+        onNavigate={navigate}
+      />
+
+      <main className={styles.mainContent}>
+        <RouteOutlet path={path} navigate={navigate} />
       </main>
 
-      <footer className="footer">
+      <footer className={styles.footer}>
         <p>Micro-Frontend Architecture Demo with Module Federation</p>
-        <p className="tech-info">
+        <p className={styles.techInfo}>
           Host App (Port 3000) | Header (Port 3001) | Products (Port 3002) | Checkout (Port 3003)
         </p>
+        <p className={styles.techInfo}>Remotes environment: {environment}</p>
+        <p className={styles.remoteStatuses}>
+          {Object.keys(getRemotes()).map(scope => <RemoteStatus key={scope} scope={scope} />)}
+        </p>
+        <ThemeSwitch />
       </footer>
     </div>
   );
@@ -0,0 +1,65 @@
+import React from 'react';
+import { useCart } from '@microstore/shared';
+import styles from './App.module.css';
+
+// Minimal stand-ins the host renders while a remote is unavailable. The cart
+// lives in the shared store, so it keeps working even when the remote that
+// normally shows it does not.
+
+function StatusNote({ label, health, retry }) {
+  return (
+    <p className={styles.degradedNote}>
+      {label} is unavailable
+      {health === 'down' && ' (server not responding)'}
+      {health === 'checking' && ' (checking...)'}
+      {' '}
+      <button className={styles.degradedRetry} onClick={retry}>Retry</button>
+    </p>
+  );
+}
+
+export function HeaderFallback({ onNavigate, health, retry, label }) {
+  const { count } = useCart();
+
+  return (
+    <header className={styles.degradedHeader}>
+      <h1>🛍️ MicroStore</h1>
+      <StatusNote label={label} health={health} retry={retry} />
+      <button className={styles.degradedCart} onClick={() => onNavigate('/checkout')}>
+        🛒 Cart ({count})
+      </button>
+    </header>
+  );
+}
+
+export function ProductsFallback({ health, retry, label }) {
+  return (
+    <div className={styles.degradedPanel}>
+      <h2>Products are temporarily unavailable</h2>
+      <p>Your cart has been kept. Products will load again as soon as the service is back.</p>
+      <StatusNote label={label} health={health} retry={retry} />
+    </div>
+  );
+}
+
+export function CheckoutFallback({ onBack, health, retry, label }) {
+  const { items } = useCart();
+  const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  return (
+    <div className={styles.degradedPanel}>
+      <h2>Checkout is temporarily unavailable</h2>
+      <p>Your cart has been kept - you can complete your order once checkout is back.</p>
+      <ul className={styles.degradedCartItems}>
+        {items.map(item => (
+          <li key={item.id}>
+            {item.image} {item.name} × {item.quantity} - ${(item.price * item.quantity).toFixed(2)}
+          </li>
+        ))}
+      </ul>
+      <p><strong>Subtotal: ${total.toFixed(2)}</strong></p>
+      <StatusNote label={label} health={health} retry={retry} />
+      <button className={styles.degradedRetry} onClick={onBack}>← Back to Products</button>
+    </div>
+  );
+}
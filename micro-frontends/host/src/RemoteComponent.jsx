@@ -0,0 +1,80 @@
+import React, { Component, Suspense, lazy, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { getRemote, loadRemote } from './remotes';
+import { useRemoteHealth } from './useRemoteHealth';
+
+// Keeps a failing remote contained: only its own slot shows the fallback
+class RemoteErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.error(`Remote "${this.props.scope}" failed:`, error);
+  }
+
+  render() {
+    if (this.state.error) {
+      return this.props.renderFallback(this.state.error);
+    }
+    return this.props.children;
+  }
+}
+
+// Shown while a remote is unavailable. Polls its remoteEntry.js and retries
+// on its own once a server that was down answers again. A remote that is up
+// but still fails (e.g. throws while rendering) waits for a manual retry.
+export function RemoteUnavailable({ scope, error, onRetry, fallback }) {
+  const health = useRemoteHealth(scope, 5000);
+  const wasDown = useRef(false);
+
+  useEffect(() => {
+    if (health === 'down') wasDown.current = true;
+    if (health === 'up' && wasDown.current) onRetry();
+  }, [health, onRetry]);
+
+  return fallback({ error, health, retry: onRetry, label: getRemote(scope).label });
+}
+
+/**
+ * Render a module exposed by a remote, e.g.
+ *   <RemoteComponent scope="products" module="./ProductList" loading={...} fallback={...} />
+ *
+ * Pass `load` instead of `module` to render a component a remote loads itself,
+ * such as a route from its manifest: load={() => import('./ProductDetail')}.
+ *
+ * `fallback` is called with { error, health, retry, label } once loading has
+ * failed after all retries, or the component threw while rendering.
+ * Other props are passed through to the remote component.
+ */
+function RemoteComponent({ scope, module, load, loading, fallback, ...props }) {
+  const [attempt, setAttempt] = useState(0);
+
+  // React.lazy caches a failed import, so every attempt needs a fresh one
+  const LazyComponent = useMemo(
+    () => lazy(load ?? (() => loadRemote(scope, module))),
+    [scope, module, load, attempt]
+  );
+
+  const retry = useCallback(() => setAttempt(value => value + 1), []);
+
+  return (
+    <RemoteErrorBoundary
+      key={attempt}
+      scope={scope}
+      renderFallback={(error) => (
+        <RemoteUnavailable scope={scope} error={error} onRetry={retry} fallback={fallback} />
+      )}
+    >
+      <Suspense fallback={loading}>
+        <LazyComponent {...props} />
+      </Suspense>
+    </RemoteErrorBoundary>
+  );
+}
+
+export default RemoteComponent;
@@ -0,0 +1,28 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import App from './App';
+import { loadRemoteConfig } from './remoteConfig';
+import { configureRemotes } from './remotes';
+import './global.css';
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+
+loadRemoteConfig()
+  .then(({ environment, remotes }) => {
+    configureRemotes(remotes);
+    root.render(
+      <React.StrictMode>
+        <App environment={environment} />
+      </React.StrictMode>
+    );
+  })
+  .catch((error) => {
+    // A bad override or manifest - say which one instead of a blank page
+    console.error(error);
+    root.render(
+      <div role="alert">
+        <h2>Could not load the remotes configuration</h2>
+        <p>{error.message}</p>
+      </div>
+    );
+  });
@@ -0,0 +1,106 @@
+import bundledManifest from '../public/remotes.json';
+
+// Where each remote is loaded from, decided at runtime from /remotes.json, so
+// pointing the shell at another build of a remote needs no rebuild.
+//
+// Later layers win:
+//   1. manifest.remotes                       base config for every environment
+//   2. manifest.environments[env].remotes     per-environment overrides
+//   3. localStorage "microstore:remotes"      { environment?, remotes: { [scope]: { url?, version? } } }
+//   4. query string                           ?env=staging&remote.products=<url>&version.products=1.2.0
+//
+// A `{version}` placeholder in a url is replaced with the remote's pinned
+// version, e.g. https://cdn.example.com/products/{version}/remoteEntry.js
+
+export const MANIFEST_URL = '/remotes.json';
+export const OVERRIDES_STORAGE_KEY = 'microstore:remotes';
+
+const readStoredOverrides = (storage) => {
+  try {
+    return JSON.parse(storage?.getItem(OVERRIDES_STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const readQueryOverrides = (search) => {
+  const params = new URLSearchParams(search);
+  const remotes = {};
+
+  params.forEach((value, key) => {
+    const match = key.match(/^(remote|version)\.(\w+)$/);
+    if (!match) return;
+    const [, kind, scope] = match;
+    remotes[scope] = { ...remotes[scope], [kind === 'remote' ? 'url' : 'version']: value };
+  });
+
+  return { environment: params.get('env') ?? undefined, remotes };
+};
+
+const mergeLayer = (remotes, layer = {}, source) => {
+  const merged = { ...remotes };
+  Object.entries(layer).forEach(([scope, override]) => {
+    if (!merged[scope]) {
+      throw new Error(`${source} overrides unknown remote "${scope}"`);
+    }
+    merged[scope] = { ...merged[scope], ...override };
+  });
+  return merged;
+};
+
+/**
+ * Resolve a manifest into { environment, remotes }. Throws on an unknown
+ * environment or remote, a missing url, or a `{version}` url with no version.
+ */
+export function resolveRemotes(manifest, { stored = {}, query = {} } = {}) {
+  const environment = query.environment ?? stored.environment ?? manifest.defaultEnvironment;
+  const environmentConfig = manifest.environments?.[environment];
+  if (!environmentConfig) {
+    throw new Error(`Unknown environment "${environment}"`);
+  }
+
+  let remotes = manifest.remotes;
+  remotes = mergeLayer(remotes, environmentConfig.remotes, `Environment "${environment}"`);
+  remotes = mergeLayer(remotes, stored.remotes, 'localStorage');
+  remotes = mergeLayer(remotes, query.remotes, 'The query string');
+
+  const resolved = Object.fromEntries(Object.entries(remotes).map(([scope, remote]) => {
+    if (!remote.url) {
+      throw new Error(`Remote "${scope}" has no url`);
+    }
+    if (remote.url.includes('{version}') && !remote.version) {
+      throw new Error(`Remote "${scope}" url needs a version: ${remote.url}`);
+    }
+    return [scope, {
+      label: scope,
+      ...remote,
+      url: remote.url.replace('{version}', remote.version),
+    }];
+  }));
+
+  return { environment, remotes: resolved };
+}
+
+/**
+ * Fetch /remotes.json and apply the overrides for this page. Falls back to the
+ * copy bundled at build time if the served manifest can't be fetched.
+ */
+export async function loadRemoteConfig({
+  url = MANIFEST_URL,
+  search = window.location.search,
+  storage = window.localStorage,
+} = {}) {
+  let manifest = bundledManifest;
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    manifest = await response.json();
+  } catch (error) {
+    console.warn(`Could not load ${url} (${error.message}) - using the bundled remotes manifest`);
+  }
+
+  return resolveRemotes(manifest, {
+    stored: readStoredOverrides(storage),
+    query: readQueryOverrides(search),
+  });
+}
@@ -0,0 +1,116 @@
+// Remote containers are loaded at runtime instead of through the static
+// `remotes` config: webpack caches a failed remoteEntry.js load for the life
+// of the page, so a remote whose server was down could never be retried.
+
+// Remotes by scope: { label, url, version?, basePaths? }. Set from the runtime
+// manifest (see remoteConfig.js) before the app renders. basePaths are the
+// URLs a remote's route manifest covers, used to show the right degraded view
+// while that manifest can't be loaded.
+let remotes = {};
+
+export const getRemotes = () => remotes;
+
+export const configureRemotes = (next) => {
+  remotes = next;
+  containers.clear();
+};
+
+export const RETRY_DEFAULTS = {
+  retries: 3, // extra attempts after the first one
+  baseDelay: 500, // ms, doubled after every failed attempt
+};
+
+const HEALTH_TIMEOUT = 3000;
+
+const containers = new Map();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const getRemote = (scope) => {
+  const remote = remotes[scope];
+  if (!remote) {
+    throw new Error(`Unknown remote "${scope}". Expected one of: ${Object.keys(remotes).join(', ')}`);
+  }
+  return remote;
+};
+
+const injectScript = (scope, url) => new Promise((resolve, reject) => {
+  document.querySelector(`script[data-remote="${scope}"]`)?.remove();
+
+  const script = document.createElement('script');
+  script.src = url;
+  script.async = true;
+  script.dataset.remote = scope;
+  script.onload = () => resolve();
+  script.onerror = () => {
+    script.remove();
+    reject(new Error(`Failed to load ${url}`));
+  };
+  document.head.appendChild(script);
+});
+
+// Loads remoteEntry.js once and connects the container to the host's share
+// scope, so it uses the host's React and @microstore/shared singletons
+const loadContainer = (scope) => {
+  if (!containers.has(scope)) {
+    const { url } = getRemote(scope);
+    const promise = (async () => {
+      // The script may have loaded on an earlier attempt that failed later on
+      if (!window[scope]) await injectScript(scope, url);
+      const container = window[scope];
+      if (!container) {
+        throw new Error(`${url} loaded but did not define the "${scope}" container`);
+      }
+      await __webpack_init_sharing__('default');
+      await container.init(__webpack_share_scopes__.default);
+      return container;
+    })();
+
+    // Forget failures so the next attempt starts from scratch
+    promise.catch(() => containers.delete(scope));
+    containers.set(scope, promise);
+  }
+  return containers.get(scope);
+};
+
+/**
+ * Load an exposed module, e.g. loadRemote('products', './ProductList').
+ * Retries with exponential backoff before giving up with the last error.
+ */
+export async function loadRemote(scope, module, { retries, baseDelay } = RETRY_DEFAULTS) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const container = await loadContainer(scope);
+      const factory = await container.get(module);
+      return factory();
+    } catch (error) {
+      if (attempt >= retries) {
+        error.remote = scope;
+        throw error;
+      }
+      await wait(baseDelay * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Check that a remote's remoteEntry.js is being served.
+ * Resolves to 'up' or 'down', never rejects.
+ */
+export async function checkRemoteHealth(scope) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), HEALTH_TIMEOUT);
+
+  try {
+    const response = await fetch(getRemote(scope).url, {
+      method: 'HEAD',
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+    return response.ok ? 'up' : 'down';
+  } catch {
+    return 'down';
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
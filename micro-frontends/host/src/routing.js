@@ -0,0 +1,67 @@
+// Helpers for the route manifests remotes expose as './routes'. A manifest is
+// a list of routes:
+//
+//   {
+//     path: '/products/:id',                      // ':name' segments become params
+//     title: 'Product' | (params) => string,      // document title
+//     load: () => import('./ProductDetail'),      // lazy component module
+//     props: ({ params, navigate }) => ({...}),   // optional, maps the URL to props
+//   }
+//
+// Defaults to { params, navigate } when a route has no props().
+
+export function matchPath(pattern, path) {
+  const patternSegments = pattern.split('/').filter(Boolean);
+  const pathSegments = path.split('/').filter(Boolean);
+  if (patternSegments.length !== pathSegments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternSegments.length; i++) {
+    const segment = patternSegments[i];
+    if (segment.startsWith(':')) {
+      params[segment.slice(1)] = decodeURIComponent(pathSegments[i]);
+    } else if (segment !== pathSegments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// Static segments beat params, so '/products/new' would win over '/products/:id'
+const specificity = (path) =>
+  path.split('/').filter(Boolean).map(segment => (segment.startsWith(':') ? 1 : 2)).join('');
+
+/**
+ * Merge manifests ({ [scope]: routes }) into one table, most specific first.
+ * When two remotes claim the same path the first one keeps it.
+ */
+export function mergeRoutes(manifests) {
+  const byPath = new Map();
+
+  Object.entries(manifests).forEach(([scope, routes]) => {
+    routes.forEach(route => {
+      if (byPath.has(route.path)) {
+        console.warn(`Route "${route.path}" from "${scope}" ignored - already provided by "${byPath.get(route.path).scope}"`);
+        return;
+      }
+      byPath.set(route.path, { ...route, scope });
+    });
+  });
+
+  return [...byPath.values()].sort((a, b) => specificity(b.path).localeCompare(specificity(a.path)));
+}
+
+export function findRoute(routes, path) {
+  for (const route of routes) {
+    const params = matchPath(route.path, path);
+    if (params) return { route, params };
+  }
+  return null;
+}
+
+export const resolveTitle = (route, params) =>
+  typeof route.title === 'function' ? route.title(params) : route.title;
+
+// Whether `path` falls under one of a remote's base paths ('/' only matches itself)
+export const ownsPath = (basePaths = [], path) =>
+  basePaths.some(base => path === base || (base !== '/' && path.startsWith(`${base}/`)));
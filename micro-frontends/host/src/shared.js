@@ -0,0 +1,3 @@
+// Exposed as host/shared. Re-exporting goes through the share scope, so
+// importers get the very instance the host uses rather than another copy.
+export * from '@microstore/shared';
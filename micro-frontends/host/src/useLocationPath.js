@@ -0,0 +1,21 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Current URL path plus a navigate() that pushes history entries, so deep
+// links and the back/forward buttons work
+export function useLocationPath() {
+  const [path, setPath] = useState(window.location.pathname);
+
+  useEffect(() => {
+    const onPopState = () => setPath(window.location.pathname);
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const navigate = useCallback((to) => {
+    if (to === window.location.pathname) return;
+    window.history.pushState(null, '', to);
+    setPath(to);
+  }, []);
+
+  return [path, navigate];
+}
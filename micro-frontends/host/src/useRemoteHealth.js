@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { checkRemoteHealth } from './remotes';
+
+export const HEALTH_INTERVAL = 10000;
+
+// Polls a remote's remoteEntry.js. Returns 'checking' until the first answer,
+// then 'up' or 'down'.
+export function useRemoteHealth(scope, interval = HEALTH_INTERVAL) {
+  const [status, setStatus] = useState('checking');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const check = async () => {
+      const result = await checkRemoteHealth(scope);
+      if (!cancelled) setStatus(result);
+    };
+
+    check();
+    const intervalId = setInterval(check, interval);
+
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, [scope, interval]);
+
+  return status;
+}
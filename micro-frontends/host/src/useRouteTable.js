@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { getRemotes, loadRemote } from './remotes';
+import { mergeRoutes } from './routing';
+
+// Remotes that contribute pages declare basePaths
+const getRoutedScopes = () => Object.keys(getRemotes()).filter(scope => getRemotes()[scope].basePaths);
+
+// Loads every remote's './routes' manifest and merges them. A remote whose
+// manifest could not be loaded stays 'failed' (with no routes) until reload(scope).
+export function useRouteTable() {
+  const [manifests, setManifests] = useState(() =>
+    Object.fromEntries(getRoutedScopes().map(scope => [scope, { status: 'loading', routes: [] }]))
+  );
+
+  const load = useCallback((scope) => {
+    setManifests(prev => ({ ...prev, [scope]: { status: 'loading', routes: [] } }));
+
+    loadRemote(scope, './routes')
+      .then(module => ({ status: 'ready', routes: module.default }))
+      .catch(error => ({ status: 'failed', routes: [], error }))
+      .then(manifest => setManifests(prev => ({ ...prev, [scope]: manifest })));
+  }, []);
+
+  useEffect(() => {
+    getRoutedScopes().forEach(load);
+  }, [load]);
+
+  const routes = useMemo(
+    () => mergeRoutes(Object.fromEntries(
+      Object.entries(manifests).map(([scope, manifest]) => [scope, manifest.routes])
+    )),
+    [manifests]
+  );
+
+  return { routes, manifests, reload: load };
+}
@@ -1,4 +1,5 @@
 const HtmlWebpackPlugin = require('html-webpack-plugin');
+const CopyPlugin = require('copy-webpack-plugin');
 const ModuleFederationPlugin = require('webpack/lib/container/ModuleFederationPlugin');
 const path = require('path');
 
@@ -12,9 +13,18 @@ module.exports = {
     port: 3000,
     historyApiFallback: true,
     hot: true,
+    // host/remoteEntry.js (the exposed ./shared) can be loaded from other origins
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+    },
   },
   output: {
+    // Resolved from the script's own URL, so the host container's chunks also
+    // load when another origin pulls in host/remoteEntry.js
     publicPath: 'auto',
+    // HtmlWebpackPlugin's child compiler also builds the shared modules; hashed
+    // names keep its chunks from clashing with ours in development builds
+    chunkFilename: '[name].[contenthash:8].js',
     clean: true,
   },
   module: {
@@ -29,28 +39,61 @@ module.exports = {
       },
       {
         test: /\.css$/,
-        use: ['style-loader', 'css-loader'],
+        use: [
+          'style-loader',
+          {
+            loader: 'css-loader',
+            options: {
+              // *.module.css class names are prefixed with the app name, so two
+              // apps' `.loading` can't collide once they share the host page
+              modules: {
+                auto: true,
+                localIdentName: 'host__[local]--[hash:base64:5]',
+                exportLocalsConvention: 'camelCase',
+              },
+            },
+          },
+        ],
       },
     ],
   },
   plugins: [
     new ModuleFederationPlugin({
       name: 'host',
-      remotes: {
-        header: 'header@http://localhost:3001/remoteEntry.js',
-        products: 'products@http://localhost:3002/remoteEntry.js',
-        checkout: 'checkout@http://localhost:3003/remoteEntry.js',
+      // Remotes are loaded at runtime by src/remotes.js, so a remote that is
+      // down can be retried. The shared config still sets up the share scope.
+      // The host is a container too, exposing the store as host/shared. It
+      // loads @microstore/shared first, so embedded remotes get its instance
+      // rather than their own fallback copies.
+      filename: 'remoteEntry.js',
+      exposes: {
+        './shared': './src/shared',
       },
       shared: {
         react: { singleton: true, requiredVersion: '^18.2.0' },
         'react-dom': { singleton: true, requiredVersion: '^18.2.0' },
+        '@microstore/shared': {
+          import: path.resolve(__dirname, '../shared/src/index.js'),
+          singleton: true,
+          version: '1.2.0',
+          requiredVersion: '^1.2.0',
+        },
       },
     }),
     new HtmlWebpackPlugin({
       template: './public/index.html',
+      // Absolute so deep links like /products/3 still load main.js
+      publicPath: '/',
+    }),
+    // Served next to index.html and read at runtime by src/remoteConfig.js, so it
+    // can be edited on the server to point the shell at other remote builds
+    new CopyPlugin({
+      patterns: [{ from: 'public/remotes.json' }],
     }),
   ],
   resolve: {
     extensions: ['.js', '.jsx'],
+    // ../shared has no node_modules of its own - resolve its react import from this app
+    modules: [path.resolve(__dirname, 'node_modules'), 'node_modules'],
   },
 };
@@ -0,0 +1,44 @@
+// Express stand-in for a real catalog service. Serves the same JSON the
+// remote bundles, with search, sort and paging done on the server.
+//
+//   npm run server
+//   PRODUCTS_API_URL=http://localhost:4002 npm start
+//
+//   GET /api/products?search=&category=&sort=&page=&pageSize=
+//   GET /api/products/:id
+
+const express = require('express');
+const products = require('../src/data/products.json');
+const { isSortKey, normalizeQuery, queryProducts } = require('../src/productQuery');
+
+const PORT = Number(process.env.PORT) || 4002;
+
+const app = express();
+
+// Called from the browser on the remote's (or the host's) port
+app.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  next();
+});
+
+app.get('/api/products', (req, res) => {
+  const query = normalizeQuery(req.query);
+  if (!isSortKey(query.sort)) {
+    res.status(400).json({ message: `Unknown sort "${query.sort}"` });
+    return;
+  }
+  res.json(queryProducts(products, query));
+});
+
+app.get('/api/products/:id', (req, res) => {
+  const product = products.find(p => p.id === Number(req.params.id));
+  if (!product) {
+    res.status(404).json({ message: 'Product not found' });
+    return;
+  }
+  res.json(product);
+});
+
+app.listen(PORT, () => {
+  console.log(`Products API ready at http://localhost:${PORT}/api/products`);
+});
@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from 'react';
+import { getDataSource } from './dataSource';
+import { useAddToCart } from './useAddToCart';
+import styles from './ProductDetail.module.css';
+
+function ProductDetail({ productId, onBack }) {
+  const [product, setProduct] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const { addToCart, isAdded } = useAddToCart();
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+
+    getDataSource().get(productId)
+      .then(data => {
+        if (cancelled) return;
+        setProduct(data);
+        setStatus(data ? 'ready' : 'not-found');
+      })
+      .catch(() => {
+        if (!cancelled) setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productId]);
+
+  const backButton = onBack && (
+    <button className={styles.detailBack} onClick={onBack}>← Back to Products</button>
+  );
+
+  if (status === 'loading') {
+    return <div className={styles.productDetail}>{backButton}<p>Loading product...</p></div>;
+  }
+
+  if (status !== 'ready') {
+    return (
+      <div className={styles.productDetail}>
+        {backButton}
+        <p>{status === 'not-found' ? `Product #${productId} does not exist.` : 'Could not load this product.'}</p>
+      </div>
+    );
+  }
+
+  const added = isAdded(product.id);
+
+  return (
+    <div className={styles.productDetail}>
+      {backButton}
+      <div className={styles.detailCard}>
+        <div className={styles.detailImage}>{product.image}</div>
+        <div className={styles.detailInfo}>
+          <p className={styles.category}>{product.category}</p>
+          <h2>{product.name}</h2>
+          <p className={styles.detailRating}>{'★'.repeat(Math.round(product.rating))} {product.rating.toFixed(1)}</p>
+          <p className={styles.description}>{product.description}</p>
+          <p className={styles.detailStock}>
+            {product.stock > 0 ? `${product.stock} in stock` : 'Out of stock'}
+          </p>
+          <div className={styles.productFooter}>
+            <span className={styles.price}>${product.price}</span>
+            <button
+              className={`${styles.addToCartBtn} ${added ? styles.added : ''}`}
+              onClick={() => addToCart(product)}
+              disabled={added || product.stock === 0}
+            >
+              {added ? '✓ Added' : 'Add to Cart'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProductDetail;
@@ -1,91 +1,79 @@
-import React, { useState } from 'react';
-import './ProductList.css';
+import React, { useEffect, useState } from 'react';
+import { getDataSource, DEFAULT_QUERY, SORT_OPTIONS } from './dataSource';
+import { useAddToCart } from './useAddToCart';
+import styles from './ProductList.module.css';
 
-const PRODUCTS = [
-  {
-    id: 1,
-    name: 'Wireless Headphones',
-    price: 79.99,
-    category: 'Electronics',
-    description: 'High-quality wireless headphones with noise cancellation',
-    image: '🎧',
-  },
-  {
-    id: 2,
-    name: 'Smart Watch',
-    price: 199.99,
-    category: 'Electronics',
-    description: 'Feature-rich smartwatch with health tracking',
-    image: '⌚',
-  },
-  {
-    id: 3,
-    name: 'Laptop Stand',
-    price: 49.99,
-    category: 'Accessories',
-    description: 'Ergonomic aluminum laptop stand',
-    image: '💻',
-  },
-  {
-    id: 4,
-    name: 'Mechanical Keyboard',
-    price: 129.99,
-    category: 'Electronics',
-    description: 'RGB mechanical keyboard with premium switches',
-    image: '⌨️',
-  },
-  {
-    id: 5,
-    name: 'Wireless Mouse',
-    price: 39.99,
-    category: 'Electronics',
-    description: 'Precision wireless mouse with ergonomic design',
-    image: '🖱️',
-  },
-  {
-    id: 6,
-    name: 'USB-C Hub',
-    price: 59.99,
-    category: 'Accessories',
-    description: 'Multi-port USB-C hub with 4K HDMI output',
-    image: '🔌',
-  },
-];
+const SEARCH_DEBOUNCE_MS = 300;
 
-function ProductList({ onAddToCart }) {
-  const [filter, setFilter] = useState('All');
-  const [addedProducts, setAddedProducts] = useState(new Set());
+function ProductList({ onSelectProduct }) {
+  const [query, setQuery] = useState(DEFAULT_QUERY);
+  const [searchInput, setSearchInput] = useState(DEFAULT_QUERY.search);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const { addToCart, isAdded } = useAddToCart();
 
-  const categories = ['All', ...new Set(PRODUCTS.map(p => p.category))];
+  // Any change other than the page starts again from page 1
+  const updateQuery = (changes) => setQuery(prev => ({ ...prev, page: 1, ...changes }));
 
-  const filteredProducts = filter === 'All'
-    ? PRODUCTS
-    : PRODUCTS.filter(p => p.category === filter);
+  useEffect(() => {
+    if (searchInput === query.search) return;
+    const timerId = setTimeout(() => updateQuery({ search: searchInput }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timerId);
+  }, [searchInput, query.search]);
 
-  const handleAddToCart = (product) => {
-    onAddToCart(product);
-    setAddedProducts(new Set([...addedProducts, product.id]));
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
 
-    // Remove the "added" state after animation
-    setTimeout(() => {
-      setAddedProducts(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(product.id);
-        return newSet;
+    getDataSource().list(query)
+      .then(data => {
+        if (!cancelled) setResult(data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
       });
-    }, 2000);
-  };
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, reloadCount]);
+
+  const categories = ['All', ...(result?.categories ?? [])];
 
   return (
-    <div className="product-list-container">
-      <div className="product-header">
+    <div className={styles.productListContainer}>
+      <div className={styles.productHeader}>
         <h2>Our Products</h2>
-        <div className="filter-buttons">
+        <div className={styles.productControls}>
+          <input
+            type="search"
+            className={styles.searchInput}
+            placeholder="Search products..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+          <select
+            className={styles.sortSelect}
+            value={query.sort}
+            onChange={(e) => updateQuery({ sort: e.target.value })}
+          >
+            {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className={styles.filterButtons}>
           {categories.map(category => (
             <button
               key={category}
-              className={`filter-btn ${filter === category ? 'active' : ''}`}
-              onClick={() => setFilter(category)}
+              className={`${styles.filterBtn} ${query.category === category ? styles.active : ''}`}
+              onClick={() => updateQuery({ category })}
             >
               {category}
             </button>
@@ -93,28 +81,69 @@ function ProductList({ onAddToCart }) {
         </div>
       </div>
 
-      <div className="products-grid">
-        {filteredProducts.map(product => (
-          <div key={product.id} className="product-card">
-            <div className="product-image">{product.image}</div>
-            <div className="product-info">
-              <h3>{product.name}</h3>
-              <p className="category">{product.category}</p>
-              <p className="description">{product.description}</p>
-              <div className="product-footer">
-                <span className="price">${product.price}</span>
-                <button
-                  className={`add-to-cart-btn ${addedProducts.has(product.id) ? 'added' : ''}`}
-                  onClick={() => handleAddToCart(product)}
-                  disabled={addedProducts.has(product.id)}
-                >
-                  {addedProducts.has(product.id) ? '✓ Added' : 'Add to Cart'}
-                </button>
+      {error ? (
+        <div className={styles.catalogMessage}>
+          <p>Could not load products: {error.message}</p>
+          <button className={styles.filterBtn} onClick={() => setReloadCount(count => count + 1)}>
+            Try again
+          </button>
+        </div>
+      ) : !result ? (
+        <div className={styles.catalogMessage}>Loading products...</div>
+      ) : result.items.length === 0 ? (
+        <div className={styles.catalogMessage}>No products match your search.</div>
+      ) : (
+        <div className={`${styles.productsGrid} ${loading ? styles.isLoading : ''}`}>
+          {result.items.map(product => (
+            <div key={product.id} className={styles.productCard}>
+              <div className={styles.productImage}>{product.image}</div>
+              <div className={styles.productInfo}>
+                <h3>
+                  {onSelectProduct ? (
+                    <button className={styles.productLink} onClick={() => onSelectProduct(product.id)}>
+                      {product.name}
+                    </button>
+                  ) : product.name}
+                </h3>
+                <p className={styles.category}>{product.category}</p>
+                <p className={styles.description}>{product.description}</p>
+                <div className={styles.productFooter}>
+                  <span className={styles.price}>${product.price}</span>
+                  <button
+                    className={`${styles.addToCartBtn} ${isAdded(product.id) ? styles.added : ''}`}
+                    onClick={() => addToCart(product)}
+                    disabled={isAdded(product.id) || product.stock === 0}
+                  >
+                    {product.stock === 0 ? 'Out of Stock' : isAdded(product.id) ? '✓ Added' : 'Add to Cart'}
+                  </button>
+                </div>
               </div>
             </div>
-          </div>
-        ))}
-      </div>
+          ))}
+        </div>
+      )}
+
+      {result && result.totalPages > 1 && (
+        <div className={styles.pagination}>
+          <button
+            className={styles.filterBtn}
+            disabled={result.page === 1}
+            onClick={() => setQuery(prev => ({ ...prev, page: result.page - 1 }))}
+          >
+            ← Previous
+          </button>
+          <span className={styles.pageInfo}>
+            Page {result.page} of {result.totalPages} ({result.total} products)
+          </span>
+          <button
+            className={styles.filterBtn}
+            disabled={result.page === result.totalPages}
+            onClick={() => setQuery(prev => ({ ...prev, page: result.page + 1 }))}
+          >
+            Next →
+          </button>
+        </div>
+      )}
     </div>
   );
 }
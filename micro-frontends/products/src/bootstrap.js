@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import ReactDOM from 'react-dom/client';
+import { eventBus, CART_ADD } from '@microstore/shared';
+import ProductList from './ProductList';
+import ProductDetail from './ProductDetail';
+
+eventBus.on(CART_ADD, ({ product }) => console.log('Added to cart:', product));
+
+// Standalone: /products/:id shows the detail page, anything else the list
+function Standalone() {
+  const [path, setPath] = useState(window.location.pathname);
+
+  useEffect(() => {
+    const onPopState = () => setPath(window.location.pathname);
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const navigate = (to) => {
+    window.history.pushState(null, '', to);
+    setPath(to);
+  };
+
+  const match = path.match(/^\/products\/(\d+)$/);
+  return match
+    ? <ProductDetail productId={Number(match[1])} onBack={() => navigate('/')} />
+    : <ProductList onSelectProduct={(id) => navigate(`/products/${id}`)} />;
+}
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <Standalone />
+  </React.StrictMode>
+);
@@ -0,0 +1,70 @@
+import catalog from './data/products.json';
+import { DEFAULT_QUERY, queryProducts } from './productQuery';
+
+export { DEFAULT_QUERY, queryProducts };
+
+// Where the product catalog comes from. Every data source has the same shape:
+//
+//   list({ search, category, sort, page, pageSize })
+//     -> { items, total, page, pageSize, totalPages, categories }
+//   get(id) -> product, or null when there is no such product
+//
+// The local source answers from the bundled JSON; the HTTP source calls the
+// Express stand-in in server/index.js (or a real catalog API with the same routes).
+
+export const SORT_OPTIONS = {
+  featured: 'Featured',
+  'price-asc': 'Price: Low to High',
+  'price-desc': 'Price: High to Low',
+  name: 'Name',
+  rating: 'Top Rated',
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createLocalDataSource({ products = catalog, latency = 300 } = {}) {
+  return {
+    async list(query) {
+      await delay(latency);
+      return queryProducts(products, query);
+    },
+    async get(id) {
+      await delay(latency);
+      return products.find(product => product.id === Number(id)) ?? null;
+    },
+  };
+}
+
+export function createHttpDataSource(baseUrl) {
+  const request = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Catalog request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  };
+
+  return {
+    list(query = {}) {
+      const params = new URLSearchParams({ ...DEFAULT_QUERY, ...query });
+      return request(`/api/products?${params}`);
+    },
+    get(id) {
+      return request(`/api/products/${encodeURIComponent(id)}`);
+    },
+  };
+}
+
+// PRODUCTS_API_URL is set at build time (see webpack.config.js). Without it
+// the remote works from the bundled catalog with no server at all.
+let dataSource = process.env.PRODUCTS_API_URL
+  ? createHttpDataSource(process.env.PRODUCTS_API_URL)
+  : createLocalDataSource();
+
+export const getDataSource = () => dataSource;
+
+// Swap the catalog backend at runtime, e.g. in a test or a host integration
+export const setDataSource = (source) => {
+  dataSource = source;
+};
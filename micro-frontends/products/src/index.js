@@ -1,10 +1,3 @@
-import React from 'react';
-import ReactDOM from 'react-dom/client';
-import ProductList from './ProductList';
-
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <ProductList onAddToCart={(product) => console.log('Added to cart:', product)} />
-  </React.StrictMode>
-);
+// Async boundary: lets Module Federation negotiate shared singletons (react,
+// @microstore/shared) before any app code runs
+import('./bootstrap');
@@ -0,0 +1,67 @@
+// Search, filter, sort and paging for the catalog. Shared by the local data
+// source (src/dataSource.js) and the Express server (server/index.js), so both
+// answer a query the same way. CommonJS, because the server requires it
+// without a build step.
+
+const DEFAULT_QUERY = {
+  search: '',
+  category: 'All',
+  sort: 'featured',
+  page: 1,
+  pageSize: 6,
+};
+
+const comparators = {
+  featured: (a, b) => a.id - b.id,
+  'price-asc': (a, b) => a.price - b.price,
+  'price-desc': (a, b) => b.price - a.price,
+  name: (a, b) => a.name.localeCompare(b.name),
+  rating: (a, b) => b.rating - a.rating,
+};
+
+const isSortKey = (sort) => Object.prototype.hasOwnProperty.call(comparators, sort);
+
+// Query values may arrive as arrays (?search=a&search=b) or numbers as
+// strings; only the first value of each counts
+const first = (value) => [].concat(value)[0];
+const text = (value, fallback) => String(first(value) ?? fallback);
+const positiveInt = (value, fallback) => Math.max(1, Math.floor(Number(first(value))) || fallback);
+
+function normalizeQuery(query = {}) {
+  return {
+    search: text(query.search, DEFAULT_QUERY.search),
+    category: text(query.category, DEFAULT_QUERY.category),
+    sort: text(query.sort, DEFAULT_QUERY.sort),
+    page: positiveInt(query.page, DEFAULT_QUERY.page),
+    pageSize: positiveInt(query.pageSize, DEFAULT_QUERY.pageSize),
+  };
+}
+
+// An unknown sort falls back to featured; callers that want to reject it
+// check isSortKey() first
+function queryProducts(products, query = {}) {
+  const { search, category, sort, page, pageSize } = normalizeQuery(query);
+  const term = search.trim().toLowerCase();
+
+  const matches = products
+    .filter(product => category === 'All' || product.category === category)
+    .filter(product => !term ||
+      product.name.toLowerCase().includes(term) ||
+      product.description.toLowerCase().includes(term))
+    .sort(isSortKey(sort) ? comparators[sort] : comparators.featured);
+
+  const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const currentPage = Math.min(page, totalPages);
+  const start = (currentPage - 1) * pageSize;
+
+  return {
+    items: matches.slice(start, start + pageSize),
+    total: matches.length,
+    page: currentPage,
+    pageSize,
+    totalPages,
+    categories: [...new Set(products.map(product => product.category))],
+  };
+}
+
+module.exports = { DEFAULT_QUERY, isSortKey, normalizeQuery, queryProducts };
@@ -0,0 +1,24 @@
+// Route manifest, merged into the host's router (exposed as './routes')
+const listRoute = {
+  title: 'Products',
+  load: () => import('./ProductList'),
+  props: ({ navigate }) => ({
+    onSelectProduct: (id) => navigate(`/products/${id}`),
+  }),
+};
+
+const routes = [
+  { path: '/', ...listRoute },
+  { path: '/products', ...listRoute },
+  {
+    path: '/products/:id',
+    title: ({ id }) => `Product #${id}`,
+    load: () => import('./ProductDetail'),
+    props: ({ params, navigate }) => ({
+      productId: Number(params.id),
+      onBack: () => navigate('/products'),
+    }),
+  },
+];
+
+export default routes;
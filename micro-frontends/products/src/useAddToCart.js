@@ -0,0 +1,34 @@
+import { useEffect, useRef, useState } from 'react';
+import { cartStore } from '@microstore/shared';
+
+const ADDED_FEEDBACK_MS = 2000;
+
+// Adds to the shared cart and remembers which products were just added, so
+// their button can show "✓ Added" for a moment
+export function useAddToCart() {
+  const [addedIds, setAddedIds] = useState(new Set());
+  const timers = useRef(new Set());
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(clearTimeout);
+  }, []);
+
+  const addToCart = (product) => {
+    cartStore.add(product);
+    setAddedIds(prev => new Set([...prev, product.id]));
+
+    // Remove the "added" state after animation
+    const timerId = setTimeout(() => {
+      timers.current.delete(timerId);
+      setAddedIds(prev => {
+        const next = new Set(prev);
+        next.delete(product.id);
+        return next;
+      });
+    }, ADDED_FEEDBACK_MS);
+    timers.current.add(timerId);
+  };
+
+  return { addToCart, isAdded: (id) => addedIds.has(id) };
+}
@@ -1,4 +1,5 @@
 const HtmlWebpackPlugin = require('html-webpack-plugin');
+const { DefinePlugin } = require('webpack');
 const ModuleFederationPlugin = require('webpack/lib/container/ModuleFederationPlugin');
 const path = require('path');
 
@@ -18,6 +19,9 @@ module.exports = {
   },
   output: {
     publicPath: 'auto',
+    // HtmlWebpackPlugin's child compiler also builds the shared modules; hashed
+    // names keep its chunks from clashing with ours in development builds
+    chunkFilename: '[name].[contenthash:8].js',
     clean: true,
   },
   module: {
@@ -32,7 +36,21 @@ module.exports = {
       },
       {
         test: /\.css$/,
-        use: ['style-loader', 'css-loader'],
+        use: [
+          'style-loader',
+          {
+            loader: 'css-loader',
+            options: {
+              // *.module.css class names are prefixed with the app name, so two
+              // apps' `.loading` can't collide once they share the host page
+              modules: {
+                auto: true,
+                localIdentName: 'products__[local]--[hash:base64:5]',
+                exportLocalsConvention: 'camelCase',
+              },
+            },
+          },
+        ],
       },
     ],
   },
@@ -42,17 +60,35 @@ module.exports = {
       filename: 'remoteEntry.js',
       exposes: {
         './ProductList': './src/ProductList',
+        './ProductDetail': './src/ProductDetail',
+        './routes': './src/routes',
       },
       shared: {
         react: { singleton: true, requiredVersion: '^18.2.0' },
         'react-dom': { singleton: true, requiredVersion: '^18.2.0' },
+        // Bundled as the fallback for running standalone; embedded, the
+        // host's instance is already loaded and every app uses that one
+        '@microstore/shared': {
+          import: path.resolve(__dirname, '../shared/src/index.js'),
+          singleton: true,
+          version: '1.2.0',
+          requiredVersion: '^1.2.0',
+        },
       },
     }),
+    // Catalog API for the HTTP data source; empty means the bundled JSON
+    new DefinePlugin({
+      'process.env.PRODUCTS_API_URL': JSON.stringify(process.env.PRODUCTS_API_URL || ''),
+    }),
     new HtmlWebpackPlugin({
       template: './public/index.html',
+      // Absolute so deep links like /products/3 still find main.js standalone
+      publicPath: '/',
     }),
   ],
   resolve: {
     extensions: ['.js', '.jsx'],
+    // ../shared has no node_modules of its own - resolve its react import from this app
+    modules: [path.resolve(__dirname, 'node_modules'), 'node_modules'],
   },
 };
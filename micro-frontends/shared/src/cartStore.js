@@ -0,0 +1,53 @@
+import { CART_ADD, CART_UPDATE, CART_REMOVE, CART_CLEAR, CHECKOUT_COMPLETE } from './eventBus';
+
+// Cart state driven entirely by bus events: apps emit `cart:add` etc. and every
+// subscriber (the header badge, the checkout page, ...) re-renders from here.
+// subscribe/getSnapshot follow the useSyncExternalStore contract.
+//
+// Items are CartLines - one per product, `{ ...product, quantity }`. Adding a
+// product that is already in the cart raises its quantity, up to its stock.
+export function createCartStore(bus) {
+  let items = [];
+  const subscribers = new Set();
+
+  const setItems = (next) => {
+    items = next;
+    subscribers.forEach((subscriber) => subscriber());
+  };
+
+  const clampQuantity = (product, quantity) =>
+    typeof product.stock === 'number' ? Math.min(quantity, product.stock) : quantity;
+
+  const setQuantity = (productId, quantity) => {
+    setItems(quantity > 0
+      ? items.map((item) => (item.id === productId
+        ? { ...item, quantity: clampQuantity(item, quantity) }
+        : item))
+      : items.filter((item) => item.id !== productId));
+  };
+
+  bus.on(CART_ADD, ({ product, quantity = 1 }) => {
+    const existing = items.find((item) => item.id === product.id);
+    if (existing) {
+      setQuantity(product.id, existing.quantity + quantity);
+    } else if (clampQuantity(product, quantity) > 0) {
+      setItems([...items, { ...product, quantity: clampQuantity(product, quantity) }]);
+    }
+  });
+  bus.on(CART_UPDATE, ({ productId, quantity }) => setQuantity(productId, quantity));
+  bus.on(CART_REMOVE, ({ productId }) => setItems(items.filter((item) => item.id !== productId)));
+  bus.on(CART_CLEAR, () => setItems([]));
+  bus.on(CHECKOUT_COMPLETE, () => setItems([]));
+
+  return {
+    getSnapshot: () => items,
+    subscribe(subscriber) {
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+    add: (product, quantity = 1) => bus.emit(CART_ADD, { product, quantity }),
+    update: (productId, quantity) => bus.emit(CART_UPDATE, { productId, quantity }),
+    remove: (productId) => bus.emit(CART_REMOVE, { productId }),
+    clear: () => bus.emit(CART_CLEAR),
+  };
+}
@@ -0,0 +1,110 @@
+// Cross-app event bus. Every micro-frontend talks to the others through these
+// events instead of props, so a remote works the same embedded in the host or
+// running standalone on its own port.
+
+import { THEMES } from './tokens';
+
+/**
+ * @typedef {Object} Product
+ * @property {number} id
+ * @property {string} name
+ * @property {number} price
+ * @property {string} [image]
+ * @property {number} [stock]
+ */
+
+/**
+ * A product in the cart with the number of units ordered.
+ *
+ * @typedef {Product & { quantity: number }} CartLine
+ */
+
+/**
+ * Payload for each event type.
+ *
+ * @typedef {Object} CartEvents
+ * @property {{ product: Product, quantity?: number }} 'cart:add'
+ * @property {{ productId: number, quantity: number }} 'cart:update'
+ * @property {{ productId: number }} 'cart:remove'
+ * @property {{}} 'cart:clear'
+ * @property {{ orderId: string, items: CartLine[], total: number }} 'checkout:complete'
+ * @property {{ theme: 'light' | 'dark' }} 'theme:change'
+ */
+
+export const CART_ADD = 'cart:add';
+export const CART_UPDATE = 'cart:update';
+export const CART_REMOVE = 'cart:remove';
+export const CART_CLEAR = 'cart:clear';
+export const CHECKOUT_COMPLETE = 'checkout:complete';
+export const THEME_CHANGE = 'theme:change';
+
+const isObject = (value) => typeof value === 'object' && value !== null;
+
+const isQuantity = (value) => Number.isInteger(value) && value >= 0;
+
+const isProduct = (value) =>
+  isObject(value) && typeof value.id === 'number' && typeof value.name === 'string' &&
+  typeof value.price === 'number';
+
+// Runtime payload checks - remotes are built and deployed separately, so a
+// mismatched payload is caught where it is emitted instead of deep in a listener
+const validators = {
+  [CART_ADD]: (payload) =>
+    isProduct(payload.product) && (payload.quantity === undefined || isQuantity(payload.quantity)),
+  [CART_UPDATE]: (payload) => typeof payload.productId === 'number' && isQuantity(payload.quantity),
+  [CART_REMOVE]: (payload) => typeof payload.productId === 'number',
+  [CART_CLEAR]: () => true,
+  [CHECKOUT_COMPLETE]: (payload) =>
+    typeof payload.orderId === 'string' && Array.isArray(payload.items) &&
+    typeof payload.total === 'number',
+  [THEME_CHANGE]: (payload) => Object.hasOwn(THEMES, payload.theme),
+};
+
+export const EVENT_TYPES = Object.keys(validators);
+
+export function createEventBus() {
+  const listeners = new Map();
+
+  const assertKnown = (type) => {
+    if (!validators[type]) {
+      throw new TypeError(`Unknown event "${type}". Expected one of: ${EVENT_TYPES.join(', ')}`);
+    }
+  };
+
+  /**
+   * @template {keyof CartEvents} T
+   * @param {T} type
+   * @param {(payload: CartEvents[T]) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  const on = (type, listener) => {
+    assertKnown(type);
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+  };
+
+  /**
+   * @template {keyof CartEvents} T
+   * @param {T} type
+   * @param {CartEvents[T]} [payload]
+   */
+  const emit = (type, payload = {}) => {
+    assertKnown(type);
+    if (!isObject(payload) || !validators[type](payload)) {
+      throw new TypeError(`Invalid payload for "${type}": ${JSON.stringify(payload)}`);
+    }
+
+    // Copy first so listeners can unsubscribe while being called
+    [...(listeners.get(type) ?? [])].forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (error) {
+        // One app's broken listener must not stop the others from hearing the event
+        console.error(`Listener for "${type}" failed:`, error);
+      }
+    });
+  };
+
+  return { on, emit };
+}
@@ -0,0 +1,59 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { createEventBus } from './eventBus';
+import { createCartStore } from './cartStore';
+import { createThemeStore } from './themeStore';
+import { THEMES } from './tokens';
+
+export {
+  CART_ADD,
+  CART_UPDATE,
+  CART_REMOVE,
+  CART_CLEAR,
+  CHECKOUT_COMPLETE,
+  THEME_CHANGE,
+  EVENT_TYPES,
+  createEventBus,
+} from './eventBus';
+export { createCartStore } from './cartStore';
+export { createThemeStore, THEME_STORAGE_KEY } from './themeStore';
+export { THEMES, THEME_NAMES, DEFAULT_THEME, cssVariable, toCssVariables } from './tokens';
+
+// Every container lists this package as a singleton in its Module Federation
+// `shared` config and bundles a copy. Embedded, all apps get the instances
+// created by the host's copy, which loads first; a remote opened standalone
+// on its own port runs its bundled copy, with a cart of its own.
+export const eventBus = createEventBus();
+export const cartStore = createCartStore(eventBus);
+export const themeStore = createThemeStore(eventBus);
+
+export function useCart() {
+  const items = useSyncExternalStore(cartStore.subscribe, cartStore.getSnapshot);
+  return {
+    items,
+    // Units, not lines - two of the same product count as 2
+    count: items.reduce((sum, item) => sum + item.quantity, 0),
+    add: cartStore.add,
+    update: cartStore.update,
+    remove: cartStore.remove,
+    clear: cartStore.clear,
+  };
+}
+
+// Styles should use the var(--ms-...) properties; `tokens` is for the odd
+// value that has to be computed in JS
+export function useTheme() {
+  const theme = useSyncExternalStore(themeStore.subscribe, themeStore.getSnapshot);
+  return {
+    theme,
+    tokens: THEMES[theme].tokens,
+    setTheme: themeStore.setTheme,
+  };
+}
+
+// Subscribes to a bus event for the lifetime of the component
+export function useEvent(type, handler) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => eventBus.on(type, (payload) => handlerRef.current(payload)), [type]);
+}
@@ -0,0 +1,58 @@
+import { THEME_CHANGE } from './eventBus';
+import { THEMES, DEFAULT_THEME, toCssVariables } from './tokens';
+
+export const THEME_STORAGE_KEY = 'microstore:theme';
+
+const readStoredTheme = (storage) => {
+  try {
+    return storage?.getItem(THEME_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const prefersDark = () =>
+  typeof window !== 'undefined' && window.matchMedia?.('(prefers-color-scheme: dark)').matches;
+
+// The active theme, driven by `theme:change` like the cart store is driven by
+// cart events. Applying a theme sets its tokens as CSS custom properties on
+// `root` (<html>), so every remote on the page restyles at once - including
+// ones that never read the theme from React.
+export function createThemeStore(bus, {
+  root = typeof document !== 'undefined' ? document.documentElement : null,
+  storage = typeof window !== 'undefined' ? window.localStorage : null,
+} = {}) {
+  const stored = readStoredTheme(storage);
+  let theme = THEMES[stored] ? stored : prefersDark() ? 'dark' : DEFAULT_THEME;
+  const subscribers = new Set();
+
+  const apply = () => {
+    if (!root) return;
+    const { colorScheme, tokens } = THEMES[theme];
+    Object.entries(toCssVariables(tokens)).forEach(([name, value]) => root.style.setProperty(name, value));
+    root.style.colorScheme = colorScheme;
+    root.dataset.theme = theme;
+  };
+
+  apply();
+
+  bus.on(THEME_CHANGE, (payload) => {
+    theme = payload.theme;
+    apply();
+    try {
+      storage?.setItem(THEME_STORAGE_KEY, theme);
+    } catch {
+      // Storage unavailable (e.g. private mode) - the theme just won't persist
+    }
+    subscribers.forEach((subscriber) => subscriber());
+  });
+
+  return {
+    getSnapshot: () => theme,
+    subscribe(subscriber) {
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+    setTheme: (next) => bus.emit(THEME_CHANGE, { theme: next }),
+  };
+}
@@ -0,0 +1,92 @@
+// Design tokens shared by every micro-frontend. The theme store writes the
+// active theme's tokens onto <html> as CSS custom properties
+// (colorPrimary -> --ms-color-primary), so each remote's stylesheet only ever
+// refers to var(--ms-...) and follows the theme without importing anything.
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} label
+ * @property {'light' | 'dark'} colorScheme native form controls and scrollbars
+ * @property {Object<string, string>} tokens
+ */
+
+const base = {
+  fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif",
+  radiusSm: '6px',
+  radiusMd: '12px',
+  radiusPill: '20px',
+};
+
+/** @type {Object<string, Theme>} */
+export const THEMES = {
+  light: {
+    label: 'Light',
+    colorScheme: 'light',
+    tokens: {
+      ...base,
+      colorPrimary: '#667eea',
+      colorPrimaryHover: '#5568d3',
+      colorPrimarySoft: '#e8eaf6',
+      colorOnPrimary: '#ffffff',
+      colorBrandGradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+      colorBackground: '#f5f5f5',
+      colorSurface: '#ffffff',
+      colorSurfaceHover: '#f9f9f9',
+      colorSurfaceInverse: '#282c34',
+      colorOnInverse: '#ffffff',
+      colorHighlight: '#61dafb',
+      colorMediaGradient: 'linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%)',
+      colorText: '#333333',
+      colorTextMuted: '#666666',
+      colorTextSubtle: '#999999',
+      colorBorder: '#e0e0e0',
+      colorDivider: '#eeeeee',
+      colorSuccess: '#4caf50',
+      colorDanger: '#ff4757',
+      colorWarning: '#ffcc80',
+      colorRating: '#f5a623',
+      shadowSm: '0 2px 8px rgba(0, 0, 0, 0.1)',
+      shadowMd: '0 4px 16px rgba(0, 0, 0, 0.15)',
+    },
+  },
+  dark: {
+    label: 'Dark',
+    colorScheme: 'dark',
+    tokens: {
+      ...base,
+      colorPrimary: '#7c8ff2',
+      colorPrimaryHover: '#96a6f6',
+      colorPrimarySoft: '#2c3154',
+      colorOnPrimary: '#ffffff',
+      colorBrandGradient: 'linear-gradient(135deg, #3d4a9e 0%, #4f2f74 100%)',
+      colorBackground: '#121418',
+      colorSurface: '#1e2127',
+      colorSurfaceHover: '#272b33',
+      colorSurfaceInverse: '#0b0d10',
+      colorOnInverse: '#e6e6e6',
+      colorHighlight: '#61dafb',
+      colorMediaGradient: 'linear-gradient(135deg, #2a2f3a 0%, #3b4252 100%)',
+      colorText: '#e6e6e6',
+      colorTextMuted: '#a0a4ab',
+      colorTextSubtle: '#777c85',
+      colorBorder: '#3a3f4a',
+      colorDivider: '#2c3038',
+      colorSuccess: '#5cc96a',
+      colorDanger: '#ff6b7a',
+      colorWarning: '#ffcc80',
+      colorRating: '#f5a623',
+      shadowSm: '0 2px 8px rgba(0, 0, 0, 0.4)',
+      shadowMd: '0 4px 16px rgba(0, 0, 0, 0.5)',
+    },
+  },
+};
+
+export const DEFAULT_THEME = 'light';
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+// colorPrimary -> --ms-color-primary
+export const cssVariable = (token) => `--ms-${token.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`;
+
+export const toCssVariables = (tokens) =>
+  Object.fromEntries(Object.entries(tokens).map(([token, value]) => [cssVariable(token), value]));
@@ -0,0 +1,62 @@
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+
+/**
+ * Vite plugin: writes `chunk-report.json` into the build output, listing
+ * every JavaScript chunk with its size, gzip size, whether the first page
+ * load needs it, and its largest modules. The Code Splitting demo fetches
+ * and displays it.
+ */
+export function chunkReport({ fileName = 'chunk-report.json', topModules = 5 } = {}) {
+  let root = process.cwd();
+
+  const moduleName = (id) => {
+    const clean = id.replace(/^\0/, '').split('?')[0];
+    const nodeModules = clean.lastIndexOf('/node_modules/');
+    if (nodeModules !== -1) return clean.slice(nodeModules + 1);
+    return path.isAbsolute(clean) ? path.relative(root, clean) : clean;
+  };
+
+  return {
+    name: 'chunk-report',
+    apply: 'build',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    generateBundle(_options, bundle) {
+      const chunks = Object.values(bundle).filter(output => output.type === 'chunk');
+
+      // Entry chunks and everything they import statically
+      const initial = new Set();
+      const visit = (name) => {
+        if (initial.has(name) || !bundle[name]) return;
+        initial.add(name);
+        bundle[name].imports.forEach(visit);
+      };
+      chunks.filter(chunk => chunk.isEntry).forEach(chunk => visit(chunk.fileName));
+
+      const report = chunks
+        .map(chunk => ({
+          fileName: chunk.fileName,
+          name: chunk.name,
+          size: Buffer.byteLength(chunk.code),
+          gzipSize: gzipSync(chunk.code).length,
+          initial: initial.has(chunk.fileName),
+          dynamic: chunk.isDynamicEntry,
+          modules: Object.entries(chunk.modules)
+            .map(([id, info]) => ({ id: moduleName(id), size: info.renderedLength }))
+            .sort((a, b) => b.size - a.size)
+            .slice(0, topModules),
+        }))
+        .sort((a, b) => b.size - a.size);
+
+      this.emitFile({
+        type: 'asset',
+        fileName,
+        source: JSON.stringify({ generatedAt: new Date().toISOString(), chunks: report }, null, 2),
+      });
+    },
+  };
+}
@@ -3,6 +3,9 @@ import { CodeSplittingDemo } from './components/CodeSplittingDemo.jsx';
 import { MemoizationDemo } from './components/MemoizationDemo.jsx';
 import { VirtualScrollingComparison } from './components/VirtualScrolling.jsx';
 import { WebWorkerDemo } from './components/WebWorkerDemo.jsx';
+import { MetricsDashboard } from './components/MetricsDashboard.jsx';
+import { MetricsProfiler } from './components/MetricsProfiler.jsx';
+import { metricsCollector } from './utils/performanceMetrics.js';
 import './App.css';
 
 function App() {
@@ -31,12 +34,18 @@ function App() {
     });
   }, []);
 
+  // Long tasks and Web Vitals are attributed to the demo on screen
+  useEffect(() => {
+    metricsCollector.setActiveDemo(activeDemo);
+  }, [activeDemo]);
+
   const demos = [
     { id: 'overview', name: '🏠 Overview', component: Overview },
     { id: 'code-splitting', name: '📦 Code Splitting', component: CodeSplittingDemo },
     { id: 'memoization', name: '🧠 Memoization', component: MemoizationDemo },
     { id: 'virtual-scrolling', name: '📜 Virtual Scrolling', component: VirtualScrollingComparison },
     { id: 'web-workers', name: '⚡ Web Workers', component: WebWorkerDemo },
+    { id: 'metrics', name: '📈 Metrics', component: MetricsDashboard },
   ];
 
   const ActiveComponent = demos.find(d => d.id === activeDemo)?.component || Overview;
@@ -66,7 +75,13 @@ function App() {
       </nav>
 
       <main className="app-content">
-        <ActiveComponent />
+        {activeDemo === 'metrics' ? (
+          <ActiveComponent />
+        ) : (
+          <MetricsProfiler key={activeDemo} demo={activeDemo}>
+            <ActiveComponent />
+          </MetricsProfiler>
+        )}
       </main>
 
       <footer className="app-footer">
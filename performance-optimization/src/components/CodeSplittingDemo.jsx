@@ -1,28 +1,96 @@
-import { lazy, Suspense, useState } from 'react';
+import { Component, lazy, Suspense, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { ChunkLoader } from '../utils/chunkLoader.js';
 
-// Lazy load heavy components - they're only downloaded when needed
-const HeavyChart = lazy(() => import('./LazyLoadedComponent.jsx').then(m => ({ default: m.HeavyChart })));
-const HeavyImageGallery = lazy(() => import('./LazyLoadedComponent.jsx').then(m => ({ default: m.HeavyImageGallery })));
-const HeavyDataTable = lazy(() => import('./LazyLoadedComponent.jsx').then(m => ({ default: m.HeavyDataTable })));
+// All three tabs live in one chunk - whichever loads first brings in the others
+const lazyComponents = new ChunkLoader('LazyLoadedComponent', () => import('./LazyLoadedComponent.jsx'));
+
+const TABS = [
+  { id: 'chart', label: '📊 Chart', exportName: 'HeavyChart' },
+  { id: 'gallery', label: '🖼️ Gallery', exportName: 'HeavyImageGallery' },
+  { id: 'table', label: '📋 Table', exportName: 'HeavyDataTable' },
+];
+
+const PRELOAD_STRATEGIES = {
+  none: 'None - load on click',
+  hover: 'On hover / focus',
+  idle: 'When the browser is idle',
+};
+
+// Lazy load heavy components - they're only downloaded when needed.
+// React.lazy remembers a failed load, so retrying means new lazy components.
+const createLazyTabs = () => Object.fromEntries(TABS.map(({ id, exportName }) => [
+  id,
+  lazy(() => lazyComponents.load('render').then(m => ({ default: m[exportName] }))),
+]));
+
+const formatBytes = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(2)} kB`);
+
+const whenIdle = (callback) => {
+  if (typeof requestIdleCallback === 'function') {
+    const handle = requestIdleCallback(callback, { timeout: 3000 });
+    return () => cancelIdleCallback(handle);
+  }
+  const timer = setTimeout(callback, 1000);
+  return () => clearTimeout(timer);
+};
+
+// Written by the chunkReport() Vite plugin at build time
+const useChunkReport = () => {
+  const [report, setReport] = useState({ status: 'loading' });
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${import.meta.env.BASE_URL}chunk-report.json`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(
+        data => !cancelled && setReport({ status: 'ready', ...data }),
+        // The dev server has no build output (and answers with index.html)
+        () => !cancelled && setReport({ status: 'missing' })
+      );
+    return () => { cancelled = true; };
+  }, []);
+
+  return report;
+};
 
 export function CodeSplittingDemo() {
   const [activeTab, setActiveTab] = useState(null);
   const [loadTimes, setLoadTimes] = useState({});
+  const [preloadStrategy, setPreloadStrategy] = useState('hover');
+  const [generation, setGeneration] = useState(0);
+  const clickTimes = useRef({});
+
+  const chunk = useSyncExternalStore(lazyComponents.subscribe, lazyComponents.getSnapshot);
+  const report = useChunkReport();
+  const lazyTabs = useMemo(createLazyTabs, [generation]);
+
+  useEffect(() => {
+    if (preloadStrategy !== 'idle') return undefined;
+    return whenIdle(() => lazyComponents.preload('idle'));
+  }, [preloadStrategy]);
 
   const handleTabClick = (tab) => {
-    const startTime = performance.now();
+    clickTimes.current[tab] = performance.now();
     setActiveTab(tab);
+  };
+
+  // Click to first commit of the tab's component, including any download
+  const handleShown = (tab) => {
+    const clickTime = clickTimes.current[tab];
+    if (clickTime === undefined) return;
+    delete clickTimes.current[tab];
+    setLoadTimes(prev => ({ ...prev, [tab]: performance.now() - clickTime }));
+  };
 
-    // Track loading time
-    setTimeout(() => {
-      const endTime = performance.now();
-      setLoadTimes(prev => ({
-        ...prev,
-        [tab]: endTime - startTime,
-      }));
-    }, 0);
+  const handleHover = () => {
+    if (preloadStrategy === 'hover') lazyComponents.preload('hover');
   };
 
+  const ActiveComponent = activeTab && lazyTabs[activeTab];
+
   return (
     <div className="demo-section">
       <h2>Code Splitting & Lazy Loading Demo</h2>
@@ -33,48 +101,76 @@ export function CodeSplittingDemo() {
         <p>✨ Benefits: Faster initial load, smaller bundle size, better performance</p>
       </div>
 
+      <div className="controls">
+        <label>
+          Preload:{' '}
+          <select value={preloadStrategy} onChange={(e) => setPreloadStrategy(e.target.value)}>
+            {Object.entries(PRELOAD_STRATEGIES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Simulate failed attempts:{' '}
+          <select
+            value={chunk.failuresToSimulate}
+            onChange={(e) => lazyComponents.simulateFailures(Number(e.target.value))}
+            disabled={chunk.status === 'loaded'}
+          >
+            {[0, 1, 2, 3].map(count => <option key={count} value={count}>{count}</option>)}
+          </select>
+          {' '}({lazyComponents.retries} retries, then the load fails)
+        </label>
+        <p className="info">
+          Simulated failures never reach the network, so they don't exercise the cache-busted
+          retry URL that a real failed download is retried from.
+        </p>
+      </div>
+
       <div className="tabs">
-        <button
-          className={activeTab === 'chart' ? 'tab active' : 'tab'}
-          onClick={() => handleTabClick('chart')}
-        >
-          📊 Chart {loadTimes.chart && `(${loadTimes.chart.toFixed(0)}ms)`}
-        </button>
-        <button
-          className={activeTab === 'gallery' ? 'tab active' : 'tab'}
-          onClick={() => handleTabClick('gallery')}
-        >
-          🖼️ Gallery {loadTimes.gallery && `(${loadTimes.gallery.toFixed(0)}ms)`}
-        </button>
-        <button
-          className={activeTab === 'table' ? 'tab active' : 'tab'}
-          onClick={() => handleTabClick('table')}
-        >
-          📋 Table {loadTimes.table && `(${loadTimes.table.toFixed(0)}ms)`}
-        </button>
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            className={activeTab === id ? 'tab active' : 'tab'}
+            onClick={() => handleTabClick(id)}
+            onMouseEnter={handleHover}
+            onFocus={handleHover}
+          >
+            {label} {loadTimes[id] !== undefined && `(${loadTimes[id].toFixed(0)}ms)`}
+          </button>
+        ))}
       </div>
 
       <div className="tab-content">
-        <Suspense fallback={<LoadingSpinner />}>
-          {activeTab === 'chart' && <HeavyChart />}
-          {activeTab === 'gallery' && <HeavyImageGallery />}
-          {activeTab === 'table' && <HeavyDataTable />}
-          {!activeTab && (
-            <div className="placeholder">
-              <p>👆 Click a tab above to load a component dynamically</p>
-              <p style={{ color: '#666', fontSize: '14px' }}>
-                Notice: Components are only downloaded when you click their tab!
-              </p>
-            </div>
-          )}
-        </Suspense>
+        <ChunkErrorBoundary key={generation} onRetry={() => setGeneration(g => g + 1)}>
+          <Suspense fallback={<LoadingSpinner />}>
+            {ActiveComponent && (
+              <OnShown key={activeTab} onShown={() => handleShown(activeTab)}>
+                <ActiveComponent />
+              </OnShown>
+            )}
+            {!activeTab && (
+              <div className="placeholder">
+                <p>👆 Click a tab above to load a component dynamically</p>
+                <p style={{ color: '#666', fontSize: '14px' }}>
+                  Notice: Components are only downloaded when you click their tab!
+                </p>
+              </div>
+            )}
+          </Suspense>
+        </ChunkErrorBoundary>
       </div>
 
+      <ChunkLoads chunk={chunk} />
+      <ChunkReport report={report} loadedFile={chunk.loads.find(load => load.resource)?.resource.fileName} />
+
       <div className="metrics-info">
         <h4>Code Splitting Impact:</h4>
         <ul>
           <li><strong>Without code splitting:</strong> All components loaded upfront = Large initial bundle</li>
           <li><strong>With code splitting:</strong> Components loaded on-demand = Smaller initial bundle</li>
+          <li><strong>Preloading:</strong> Starting the download on hover or when idle hides most of it before the click</li>
+          <li><strong>Retries:</strong> A chunk that fails to download (flaky network, new deploy) is retried with backoff, from a fresh URL since browsers remember the failed one</li>
           <li><strong>Bundle size savings:</strong> ~40-60% reduction in initial load</li>
           <li><strong>Load time improvement:</strong> ~2-3x faster initial page load</li>
         </ul>
@@ -83,6 +179,123 @@ export function CodeSplittingDemo() {
   );
 }
 
+// Calls onShown once, after the first commit - later renders pass a new
+// callback, which only replaces the one in the ref
+function OnShown({ onShown, children }) {
+  const onShownRef = useRef(onShown);
+  onShownRef.current = onShown;
+
+  useEffect(() => {
+    onShownRef.current();
+  }, []);
+  return children;
+}
+
+// Catches a chunk that failed every attempt; retrying remounts with fresh lazy components
+class ChunkErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+
+    return (
+      <div className="placeholder" role="alert">
+        <p>⚠️ Couldn't load this component</p>
+        <p style={{ color: '#666', fontSize: '14px' }}>{this.state.error.message}</p>
+        <button className="btn-primary" onClick={this.props.onRetry}>Retry</button>
+      </div>
+    );
+  }
+}
+
+function ChunkLoads({ chunk }) {
+  if (chunk.loads.length === 0) {
+    return <p className="info">Chunk status: {chunk.status}</p>;
+  }
+
+  return (
+    <div className="performance-comparison">
+      <h3>Chunk Loads</h3>
+      <table className="metrics-table">
+        <thead>
+          <tr>
+            <th>Triggered by</th>
+            <th>Result</th>
+            <th>Attempts</th>
+            <th>import() time</th>
+            <th>Download</th>
+          </tr>
+        </thead>
+        <tbody>
+          {chunk.loads.map((load, index) => (
+            <tr key={index}>
+              <td>{load.trigger}</td>
+              <td>{load.status === 'failed' ? `failed: ${load.error}` : load.status}</td>
+              <td>{load.attempts}</td>
+              <td>{load.duration.toFixed(1)}ms</td>
+              <td>
+                {load.resource
+                  ? `${load.resource.fileName}, ${load.resource.duration.toFixed(1)}ms, ${formatBytes(load.resource.transferSize)} transferred`
+                  : '-'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ChunkReport({ report, loadedFile }) {
+  if (report.status === 'loading') return null;
+  if (report.status === 'missing') {
+    return (
+      <p className="info">
+        Chunk sizes are reported at build time - run <code>npm run build</code> and <code>npm run preview</code> to see them.
+      </p>
+    );
+  }
+
+  const total = (filter) => report.chunks.filter(filter).reduce((sum, chunk) => sum + chunk.gzipSize, 0);
+
+  return (
+    <div className="performance-comparison">
+      <h3>Build Chunks</h3>
+      <p className="info">
+        Initial load: {formatBytes(total(chunk => chunk.initial))} gzipped ·
+        on demand: {formatBytes(total(chunk => !chunk.initial))} gzipped ·
+        built {new Date(report.generatedAt).toLocaleString()}
+      </p>
+      <table className="metrics-table">
+        <thead>
+          <tr>
+            <th>Chunk</th>
+            <th>Loaded</th>
+            <th>Size</th>
+            <th>Gzip</th>
+            <th>Largest modules</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.chunks.map(chunk => (
+            <tr key={chunk.fileName} className={loadedFile && chunk.fileName.endsWith(loadedFile) ? 'highlight-row' : undefined}>
+              <td>{chunk.fileName}</td>
+              <td>{chunk.initial ? 'initial' : 'on demand'}</td>
+              <td>{formatBytes(chunk.size)}</td>
+              <td>{formatBytes(chunk.gzipSize)}</td>
+              <td>{chunk.modules.map(module => `${module.id} (${formatBytes(module.size)})`).join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 function LoadingSpinner() {
   return (
     <div className="loading-spinner">
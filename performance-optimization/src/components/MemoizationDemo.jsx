@@ -1,10 +1,11 @@
-import { useState } from 'react';
+import { useCallback, useState } from 'react';
 import {
   UnoptimizedExpensiveList,
   OptimizedExpensiveList,
   MemoizedCalculationDemo,
   CallbackDemo,
 } from './HeavyComponent.jsx';
+import { MetricsProfiler } from './MetricsProfiler.jsx';
 
 export function MemoizationDemo() {
   const [count, setCount] = useState(0);
@@ -16,9 +17,10 @@ export function MemoizationDemo() {
 
   const [numbers] = useState([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
 
-  const handleItemClick = (id) => {
+  // Stable reference - a new function every render would defeat React.memo
+  const handleItemClick = useCallback((id) => {
     console.log('Item clicked:', id);
-  };
+  }, []);
 
   return (
     <div className="demo-section">
@@ -39,8 +41,12 @@ export function MemoizationDemo() {
       </div>
 
       <div className="comparison-grid">
-        <UnoptimizedExpensiveList items={items} onItemClick={handleItemClick} />
-        <OptimizedExpensiveList items={items} onItemClick={handleItemClick} />
+        <MetricsProfiler demo="memoization" variant="unoptimized">
+          <UnoptimizedExpensiveList items={items} onItemClick={handleItemClick} />
+        </MetricsProfiler>
+        <MetricsProfiler demo="memoization" variant="optimized">
+          <OptimizedExpensiveList items={items} onItemClick={handleItemClick} />
+        </MetricsProfiler>
       </div>
 
       <MemoizedCalculationDemo numbers={numbers} />
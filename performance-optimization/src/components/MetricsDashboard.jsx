@@ -0,0 +1,145 @@
+import { useSyncExternalStore } from 'react';
+import { metricsCollector } from '../utils/performanceMetrics.js';
+
+const VITALS = [
+  { name: 'LCP', label: 'Largest Contentful Paint', format: (value) => `${(value / 1000).toFixed(2)}s` },
+  { name: 'INP', label: 'Interaction to Next Paint', format: (value) => `${Math.round(value)}ms` },
+  { name: 'CLS', label: 'Cumulative Layout Shift', format: (value) => value.toFixed(3) },
+];
+
+const CHART_WIDTH = 300;
+const BAR_HEIGHT = 22;
+
+// Average and worst commit time per variant, on a shared scale
+function CommitChart({ variants }) {
+  const max = Math.max(...variants.map(variant => variant.max), 1);
+  const height = variants.length * BAR_HEIGHT * 2;
+
+  return (
+    <svg className="metrics-chart" viewBox={`0 0 ${CHART_WIDTH + 120} ${height}`} role="img"
+      aria-label="Commit durations by variant">
+      {variants.map((variant, i) => {
+        const y = i * BAR_HEIGHT * 2;
+        return (
+          <g key={variant.variant}>
+            <text x="0" y={y + 15} className="chart-label">{variant.variant}</text>
+            <rect x="110" y={y + 2} height={BAR_HEIGHT - 6} width={(variant.average / max) * CHART_WIDTH}
+              className="chart-bar-average" />
+            <rect x="110" y={y + BAR_HEIGHT} height={BAR_HEIGHT - 10} width={(variant.max / max) * CHART_WIDTH}
+              className="chart-bar-max" />
+            <text x={112 + (variant.average / max) * CHART_WIDTH} y={y + 15} className="chart-value">
+              avg {variant.average}ms
+            </text>
+            <text x={112 + (variant.max / max) * CHART_WIDTH} y={y + BAR_HEIGHT + 10} className="chart-value">
+              max {variant.max}ms
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Durations of the most recent commits, oldest first
+function Sparkline({ values }) {
+  if (values.length < 2) return null;
+  const max = Math.max(...values, 1);
+  const points = values
+    .map((value, i) => `${(i / (values.length - 1)) * 120},${30 - (value / max) * 28}`)
+    .join(' ');
+
+  return (
+    <svg className="sparkline" viewBox="0 0 120 32" aria-hidden="true">
+      <polyline points={points} />
+    </svg>
+  );
+}
+
+const downloadJSON = () => {
+  const blob = new Blob([JSON.stringify(metricsCollector, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `performance-metrics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export function MetricsDashboard() {
+  const snapshot = useSyncExternalStore(metricsCollector.subscribe, metricsCollector.getSnapshot);
+
+  return (
+    <div className="demo-section">
+      <h2>Metrics Dashboard</h2>
+
+      <div className="info-box">
+        <p>Numbers recorded while you use the other demos: React Profiler commits, long tasks (&gt;50ms) and Web Vitals.</p>
+        <p>Try the optimized and unoptimized variants, then come back here to compare them.</p>
+      </div>
+
+      <div className="controls">
+        <button onClick={downloadJSON} className="btn-primary">Export JSON</button>
+        <button onClick={() => metricsCollector.reset()} className="btn-primary">Reset</button>
+      </div>
+
+      <div className="overview-grid">
+        {VITALS.map(({ name, label, format }) => {
+          const vital = snapshot.vitals[name];
+          return (
+            <div key={name} className="overview-card">
+              <h3>{name}</h3>
+              <p>{label}</p>
+              <div className={`metric-badge ${vital ? `rating-${vital.rating}` : ''}`}>
+                {vital ? format(vital.value) : 'Not measured yet'}
+              </div>
+              {vital?.demo && <p className="info">Last changed on: {vital.demo}</p>}
+            </div>
+          );
+        })}
+      </div>
+
+      {snapshot.demos.length === 0 && (
+        <p className="placeholder">No metrics yet - open another demo and interact with it.</p>
+      )}
+
+      {snapshot.demos.map(({ demo, variants, longTasks }) => (
+        <div key={demo} className="component-box">
+          <h3>{demo}</h3>
+          {variants.length > 0 && (
+            <>
+              <CommitChart variants={variants} />
+              <table className="metrics-table">
+                <thead>
+                  <tr>
+                    <th>Variant</th>
+                    <th>Commits</th>
+                    <th>Average</th>
+                    <th>Max</th>
+                    <th>Total</th>
+                    <th>Recent</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {variants.map(variant => (
+                    <tr key={variant.variant}>
+                      <td>{variant.variant}</td>
+                      <td>{variant.count}</td>
+                      <td>{variant.average}ms</td>
+                      <td>{variant.max}ms</td>
+                      <td>{variant.total}ms</td>
+                      <td><Sparkline values={variant.recent} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+          <p className="info">
+            Long tasks: {longTasks.count}
+            {longTasks.count > 0 && ` (total ${longTasks.total}ms, worst ${longTasks.max}ms)`}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import { Profiler } from 'react';
+import { metricsCollector } from '../utils/performanceMetrics.js';
+
+// Records every commit of `children` for the metrics dashboard. Wrap both
+// sides of a comparison with the same `demo` and different `variant`s.
+export function MetricsProfiler({ demo, variant = 'total', children }) {
+  const onRender = (_id, phase, actualDuration, baseDuration, _startTime, commitTime) => {
+    metricsCollector.recordCommit(demo, variant, { phase, actualDuration, baseDuration, commitTime });
+  };
+
+  return (
+    <Profiler id={`${demo}/${variant}`} onRender={onRender}>
+      {children}
+    </Profiler>
+  );
+}
@@ -1,34 +1,70 @@
-import { FixedSizeList as List } from 'react-window';
-import { useState, useMemo } from 'react';
-
-// Generate large dataset
-const generateItems = (count) => {
-  return Array.from({ length: count }, (_, index) => ({
-    id: index,
-    name: `Item ${index + 1}`,
-    description: `Description for item ${index + 1}`,
-    value: Math.random() * 1000,
-  }));
+import { VariableSizeList, VariableSizeGrid, areEqual } from 'react-window';
+import { memo, useCallback, useMemo, useRef, useState } from 'react';
+import { MetricsProfiler } from './MetricsProfiler.jsx';
+import { createTicket, fetchTickets, reviseTicket } from '../data/tickets.js';
+import { useDynamicSizes, useMeasuredRef } from '../hooks/useDynamicSizes.js';
+import { useInfiniteRows } from '../hooks/useInfiniteRows.js';
+
+const LIST_HEIGHT = 400;
+const ESTIMATED_ROW_HEIGHT = 96;
+const PAGE_SIZE = 100;
+// Start fetching the next page this many rows before the end
+const LOAD_MORE_THRESHOLD = 20;
+
+const TABLE_COLUMNS = [
+  { key: 'id', label: '#', width: 80 },
+  { key: 'subject', label: 'Subject', width: 220 },
+  { key: 'customer', label: 'Customer', width: 150 },
+  { key: 'status', label: 'Status', width: 110 },
+  { key: 'priority', label: 'Priority', width: 100 },
+  { key: 'message', label: 'Message', width: 420 },
+];
+const TABLE_WIDTH = TABLE_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+const TABLE_HEADER_HEIGHT = 40;
+
+const getTicketKey = (ticket) => ticket.id;
+
+const StatusBadge = ({ status }) => (
+  <span className={`ticket-status status-${status}`}>{status}</span>
+);
+
+const renderCell = (ticket, column) => {
+  switch (column.key) {
+    case 'id': return `#${ticket.id}`;
+    case 'status': return <StatusBadge status={ticket.status} />;
+    default: return ticket[column.key];
+  }
 };
 
+function LoaderContent({ error, onRetry }) {
+  if (error) {
+    return (
+      <>
+        Couldn't load more tickets: {error.message}{' '}
+        <button onClick={onRetry}>Retry</button>
+      </>
+    );
+  }
+  return 'Loading more tickets…';
+}
+
+// Calls loadMore once the rendered range gets close to the last loaded row
+const useLoadMoreNear = ({ rows, hasMore, loading, error, loadMore }) => useCallback((stopIndex) => {
+  if (hasMore && !loading && !error && stopIndex >= rows.length - LOAD_MORE_THRESHOLD) loadMore();
+}, [rows.length, hasMore, loading, error, loadMore]);
+
 // WITHOUT Virtual Scrolling - renders all items
-export function RegularList({ itemCount = 10000 }) {
-  const items = useMemo(() => generateItems(itemCount), [itemCount]);
+export function RegularList({ rows }) {
+  const items = rows.slice(0, 100); // Limiting to 100 for demo purposes
 
-  console.log(`🔴 RegularList: Rendering ${itemCount} items in DOM`);
+  console.log(`🔴 RegularList: Rendering ${items.length} items in DOM`);
 
   return (
     <div className="component-box">
       <h3>❌ Without Virtual Scrolling</h3>
-      <p className="info">Rendering {itemCount} DOM nodes (slow!)</p>
-      <div className="list-container" style={{ height: '400px', overflow: 'auto', border: '1px solid #ccc' }}>
-        {items.slice(0, 100).map(item => ( // Limiting to 100 for demo purposes
-          <div key={item.id} className="list-item" style={{ padding: '10px', borderBottom: '1px solid #eee' }}>
-            <strong>{item.name}</strong>
-            <p>{item.description}</p>
-            <small>Value: {item.value.toFixed(2)}</small>
-          </div>
-        ))}
+      <p className="info">Rendering {items.length} DOM nodes (slow!)</p>
+      <div className="list-container" style={{ height: `${LIST_HEIGHT}px`, overflow: 'auto', border: '1px solid #ccc' }}>
+        {items.map(ticket => <TicketContent key={ticket.id} ticket={ticket} />)}
         <p style={{ padding: '10px', color: '#666' }}>
           (Showing only 100 items to prevent browser freeze)
         </p>
@@ -37,38 +73,170 @@ export function RegularList({ itemCount = 10000 }) {
   );
 }
 
-// WITH Virtual Scrolling - only renders visible items
-export function VirtualizedList({ itemCount = 10000 }) {
-  const items = useMemo(() => generateItems(itemCount), [itemCount]);
+const TicketContent = ({ ticket, measureRef }) => (
+  <div ref={measureRef} className="list-item ticket-row">
+    <strong>{ticket.subject}</strong>
+    <div className="ticket-meta">
+      #{ticket.id} · {ticket.customer} · {ticket.priority} <StatusBadge status={ticket.status} />
+    </div>
+    <div className="ticket-message">{ticket.message}</div>
+  </div>
+);
 
-  console.log(`🟢 VirtualizedList: Managing ${itemCount} items (only rendering ~10 visible)`);
+// The row's height comes from measuring its content, not from the list
+const TicketRow = memo(function TicketRow({ index, style, data }) {
+  const ticket = data.rows[index];
+  const measureRef = useMeasuredRef(({ height }) => ticket && data.setSize(ticket, index, height));
 
-  const Row = ({ index, style }) => {
-    const item = items[index];
+  if (!ticket) {
     return (
-      <div style={style} className="list-item">
-        <div style={{ padding: '10px', borderBottom: '1px solid #eee' }}>
-          <strong>{item.name}</strong>
-          <p style={{ margin: '5px 0' }}>{item.description}</p>
-          <small>Value: {item.value.toFixed(2)}</small>
-        </div>
+      <div style={style} className="list-loader">
+        <LoaderContent error={data.error} onRetry={data.loadMore} />
       </div>
     );
+  }
+
+  return (
+    <div style={style}>
+      <TicketContent ticket={ticket} measureRef={measureRef} />
+    </div>
+  );
+}, areEqual);
+
+// WITH Virtual Scrolling - only renders visible items, each as tall as its text
+export function VirtualizedList({ rows, total, hasMore, loading, error, loadMore }) {
+  const sizes = useDynamicSizes({ items: rows, getKey: getTicketKey, estimatedSize: ESTIMATED_ROW_HEIGHT });
+  const loadMoreNear = useLoadMoreNear({ rows, hasMore, loading, error, loadMore });
+
+  console.log(`🟢 VirtualizedList: Managing ${rows.length} items (only rendering the visible ones)`);
+
+  const itemData = useMemo(
+    () => ({ rows, setSize: sizes.setSize, error, loadMore }),
+    [rows, sizes.setSize, error, loadMore]
+  );
+
+  const handleItemsRendered = (range) => {
+    sizes.onItemsRendered(range);
+    loadMoreNear(range.overscanStopIndex);
   };
 
   return (
     <div className="component-box">
       <h3>✅ With Virtual Scrolling (react-window)</h3>
-      <p className="info">Managing {itemCount} items, rendering only visible ones (~10 DOM nodes)</p>
-      <List
-        height={400}
-        itemCount={itemCount}
-        itemSize={80}
+      <p className="info">
+        {rows.length} of {total ?? '…'} tickets loaded, rendering only visible ones; row heights are measured
+      </p>
+      <VariableSizeList
+        ref={sizes.listRef}
+        height={LIST_HEIGHT}
         width="100%"
+        itemCount={rows.length + (hasMore ? 1 : 0)}
+        itemSize={sizes.itemSize}
+        estimatedItemSize={ESTIMATED_ROW_HEIGHT}
+        itemData={itemData}
+        itemKey={(index, data) => data.rows[index]?.id ?? 'loader'}
+        onItemsRendered={handleItemsRendered}
+        onScroll={sizes.onScroll}
         style={{ border: '1px solid #ccc' }}
       >
-        {Row}
-      </List>
+        {TicketRow}
+      </VariableSizeList>
+    </div>
+  );
+}
+
+const TableCell = memo(function TableCell({ rowIndex, columnIndex, style, data }) {
+  const ticket = data.rows[rowIndex];
+  const column = TABLE_COLUMNS[columnIndex];
+  const measureRef = useMeasuredRef(({ height }) => ticket && data.setCellHeight(ticket, rowIndex, columnIndex, height));
+
+  if (!ticket) {
+    // The loader row is one cell spanning the whole table
+    if (columnIndex !== 0) return null;
+    return (
+      <div style={{ ...style, width: TABLE_WIDTH }} className="list-loader">
+        <LoaderContent error={data.error} onRetry={data.loadMore} />
+      </div>
+    );
+  }
+
+  return (
+    <div style={style} className="virtual-table-cell">
+      <div ref={measureRef} className="virtual-table-cell-content">{renderCell(ticket, column)}</div>
+    </div>
+  );
+}, areEqual);
+
+// 2D virtualization: rows and columns outside the viewport aren't rendered.
+// The header sits outside the grid and follows its horizontal scroll.
+export function VirtualizedTable({ rows, total, hasMore, loading, error, loadMore }) {
+  const [width, setWidth] = useState(0);
+  const containerRef = useMeasuredRef((size) => setWidth(size.width));
+  const headerRowRef = useRef(null);
+  const sizes = useDynamicSizes({ items: rows, getKey: getTicketKey, estimatedSize: ESTIMATED_ROW_HEIGHT, grid: true });
+  const loadMoreNear = useLoadMoreNear({ rows, hasMore, loading, error, loadMore });
+
+  // A row is as tall as its tallest cell
+  const cellHeights = useRef(new Map());
+  const { setSize } = sizes;
+  const setCellHeight = useCallback((ticket, rowIndex, columnIndex, height) => {
+    const heights = cellHeights.current.get(ticket.id) ?? [];
+    heights[columnIndex] = height;
+    cellHeights.current.set(ticket.id, heights);
+    setSize(ticket, rowIndex, Math.max(...heights.filter(Boolean)));
+  }, [setSize]);
+
+  const itemData = useMemo(
+    () => ({ rows, setCellHeight, error, loadMore }),
+    [rows, setCellHeight, error, loadMore]
+  );
+
+  const handleScroll = (event) => {
+    sizes.onScroll(event);
+    // Straight to the DOM - re-rendering the table on every scroll event is what we're avoiding
+    if (headerRowRef.current) headerRowRef.current.style.transform = `translateX(${-event.scrollLeft}px)`;
+  };
+
+  const handleItemsRendered = (range) => {
+    sizes.onItemsRendered(range);
+    loadMoreNear(range.overscanRowStopIndex);
+  };
+
+  return (
+    <div className="component-box">
+      <h3>✅ Virtualized Table (rows × columns)</h3>
+      <p className="info">
+        {rows.length} of {total ?? '…'} tickets loaded; only the visible cells are in the DOM
+      </p>
+      <div ref={containerRef} className="virtual-table">
+        <div className="virtual-table-header" style={{ height: TABLE_HEADER_HEIGHT }}>
+          <div ref={headerRowRef} className="virtual-table-header-row" style={{ width: TABLE_WIDTH }}>
+            {TABLE_COLUMNS.map(column => (
+              <div key={column.key} className="virtual-table-header-cell" style={{ width: column.width }}>
+                {column.label}
+              </div>
+            ))}
+          </div>
+        </div>
+        {width > 0 && (
+          <VariableSizeGrid
+            ref={sizes.listRef}
+            height={LIST_HEIGHT - TABLE_HEADER_HEIGHT}
+            width={width}
+            columnCount={TABLE_COLUMNS.length}
+            columnWidth={(index) => TABLE_COLUMNS[index].width}
+            rowCount={rows.length + (hasMore ? 1 : 0)}
+            rowHeight={sizes.itemSize}
+            estimatedRowHeight={ESTIMATED_ROW_HEIGHT}
+            itemData={itemData}
+            itemKey={({ rowIndex, columnIndex, data }) => `${data.rows[rowIndex]?.id ?? 'loader'}:${columnIndex}`}
+            onItemsRendered={handleItemsRendered}
+            onScroll={handleScroll}
+          >
+            {TableCell}
+          </VariableSizeGrid>
+        )}
+      </div>
     </div>
   );
 }
@@ -77,6 +245,28 @@ export function VirtualizedList({ itemCount = 10000 }) {
 export function VirtualScrollingComparison() {
   const [itemCount, setItemCount] = useState(10000);
   const [showRegular, setShowRegular] = useState(false);
+  const [view, setView] = useState('list');
+  const arrivals = useRef(0);
+
+  const fetchPage = useCallback(
+    ({ offset, limit }) => fetchTickets({ offset, limit, total: itemCount }),
+    [itemCount]
+  );
+  const tickets = useInfiniteRows(fetchPage, { pageSize: PAGE_SIZE });
+  const { updateRows } = tickets;
+
+  // New tickets go on top; the lists keep whatever you were looking at in place
+  const addNewTickets = () => {
+    const newTickets = Array.from({ length: 5 }, () => createTicket(itemCount + ++arrivals.current)).reverse();
+    updateRows(rows => [...newTickets, ...rows]);
+  };
+
+  // Replies make tickets longer, so loaded rows change height
+  const updateTickets = () => {
+    updateRows(rows => rows.map(ticket => (Math.random() < 0.2 ? reviseTicket(ticket) : ticket)));
+  };
+
+  const Virtualized = view === 'table' ? VirtualizedTable : VirtualizedList;
 
   return (
     <div className="demo-section">
@@ -84,7 +274,7 @@ export function VirtualScrollingComparison() {
 
       <div className="controls">
         <label>
-          Item Count: {itemCount}
+          Ticket Count: {itemCount}
           <input
             type="range"
             min="1000"
@@ -94,6 +284,19 @@ export function VirtualScrollingComparison() {
             onChange={(e) => setItemCount(Number(e.target.value))}
           />
         </label>
+        <label>
+          View:{' '}
+          <select value={view} onChange={(e) => setView(e.target.value)}>
+            <option value="list">List (measured row heights)</option>
+            <option value="table">Table (rows × columns, sticky header)</option>
+          </select>
+        </label>
+        <button onClick={addNewTickets} className="btn-primary">
+          Receive New Tickets
+        </button>
+        <button onClick={updateTickets} className="btn-primary">
+          Add Replies
+        </button>
       </div>
 
       <div className="comparison-grid">
@@ -106,9 +309,15 @@ export function VirtualScrollingComparison() {
             />
             Show Regular List (Warning: May be slow!)
           </label>
-          {showRegular && <RegularList itemCount={Math.min(itemCount, 100)} />}
+          {showRegular && (
+            <MetricsProfiler demo="virtual-scrolling" variant="unoptimized">
+              <RegularList rows={tickets.rows} />
+            </MetricsProfiler>
+          )}
         </div>
-        <VirtualizedList itemCount={itemCount} />
+        <MetricsProfiler demo="virtual-scrolling" variant="optimized">
+          <Virtualized {...tickets} />
+        </MetricsProfiler>
       </div>
 
       <div className="metrics-info">
@@ -116,6 +325,9 @@ export function VirtualScrollingComparison() {
         <ul>
           <li><strong>Regular List:</strong> {itemCount} DOM nodes = High memory + slow scrolling</li>
           <li><strong>Virtualized List:</strong> ~10-15 DOM nodes = Low memory + smooth scrolling</li>
+          <li><strong>Measured rows:</strong> Wrapped text sets each row's height; unseen rows use an estimate until they render</li>
+          <li><strong>Infinite loading:</strong> The next {PAGE_SIZE} tickets are fetched before you reach the end</li>
+          <li><strong>Scroll anchoring:</strong> New or longer rows above the viewport don't move what you're reading</li>
           <li><strong>Memory Savings:</strong> ~{((1 - 15/itemCount) * 100).toFixed(1)}%</li>
         </ul>
       </div>
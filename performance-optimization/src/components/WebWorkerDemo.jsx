@@ -1,45 +1,70 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState } from 'react';
+import { useWorker } from '../hooks/useWorker.js';
+
+const DATASET_SIZE = 1000;
+const FIBONACCI_N = 40;
+const SORT_SIZES = [100000, 1000000, 5000000];
+
+const createDataset = () => Float64Array.from({ length: DATASET_SIZE }, (_, i) => i);
+
+const createRandomArray = (size) => {
+  const numbers = new Float64Array(size);
+  for (let i = 0; i < size; i++) numbers[i] = Math.random() * size;
+  return numbers;
+};
+
+const isSorted = (numbers) => {
+  for (let i = 1; i < numbers.length; i++) {
+    if (numbers[i - 1] > numbers[i]) return false;
+  }
+  return true;
+};
+
+function WorkerResult({ label, call, format }) {
+  if (call.status === 'idle') return null;
+
+  return (
+    <div className="result">
+      <p><strong>{label}:</strong> {call.status}</p>
+      {call.status === 'running' && (
+        <div className="progress-bar" role="progressbar" aria-valuenow={Math.round(call.progress * 100)}>
+          <div className="progress-bar-fill" style={{ width: `${call.progress * 100}%` }} />
+        </div>
+      )}
+      {call.status === 'done' && <p><strong>Result:</strong> {format(call.result)}</p>}
+      {call.status === 'error' && <p><strong>Error:</strong> {call.error.message}</p>}
+      {call.duration !== null && <p><strong>Time:</strong> {call.duration.toFixed(2)}ms</p>}
+    </div>
+  );
+}
 
 export function WebWorkerDemo() {
   const [mainThreadResult, setMainThreadResult] = useState(null);
-  const [workerResult, setWorkerResult] = useState(null);
   const [mainThreadTime, setMainThreadTime] = useState(0);
-  const [workerTime, setWorkerTime] = useState(0);
   const [isMainThreadBlocked, setIsMainThreadBlocked] = useState(false);
   const [inputValue, setInputValue] = useState('');
-  const workerRef = useRef(null);
-
-  useEffect(() => {
-    // Initialize Web Worker
-    workerRef.current = new Worker(
-      new URL('../workers/dataProcessor.worker.js', import.meta.url),
-      { type: 'module' }
-    );
-
-    workerRef.current.onmessage = (e) => {
-      const endTime = performance.now();
-      const { type, data } = e.data;
-
-      if (type === 'RESULT') {
-        setWorkerTime(endTime - workerRef.current.startTime);
-        setWorkerResult(data[0]?.toFixed(2));
-      } else if (type === 'FIBONACCI_RESULT') {
-        setWorkerTime(endTime - workerRef.current.startTime);
-        setWorkerResult(data);
-      }
-    };
+  const [sortSize, setSortSize] = useState(SORT_SIZES[1]);
 
-    return () => {
-      workerRef.current?.terminate();
-    };
-  }, []);
+  // Each call goes to its own worker in the pool, so they can run side by side
+  const processData = useWorker('processData');
+  const fibonacci = useWorker('fibonacci');
+  const sortArray = useWorker('sortArray');
 
-  const processInMainThread = () => {
+  const runOnMainThread = (label, compute) => {
     setIsMainThreadBlocked(true);
-    const startTime = performance.now();
+    // Let React paint the warning before the thread blocks
+    setTimeout(() => {
+      const startTime = performance.now();
+      const result = compute();
+      setMainThreadTime(performance.now() - startTime);
+      setMainThreadResult(`${label}: ${result}`);
+      setIsMainThreadBlocked(false);
+    }, 0);
+  };
 
+  const processInMainThread = () => runOnMainThread('Process data', () => {
     // Simulate heavy computation
-    const data = Array.from({ length: 1000 }, (_, i) => i);
+    const data = createDataset();
     const result = data.map(item => {
       let res = item;
       for (let i = 0; i < 10000; i++) {
@@ -47,44 +72,37 @@ export function WebWorkerDemo() {
       }
       return res;
     });
+    return result[0].toFixed(2);
+  });
 
-    const endTime = performance.now();
-    setMainThreadTime(endTime - startTime);
-    setMainThreadResult(result[0].toFixed(2));
-    setIsMainThreadBlocked(false);
-  };
+  const fibonacciInMainThread = () => runOnMainThread('Fibonacci', () => {
+    let a = 0, b = 1;
+    for (let i = 2; i <= FIBONACCI_N; i++) {
+      [a, b] = [b, a + b];
+    }
+    return b;
+  });
+
+  const sortInMainThread = () => runOnMainThread('Sort', () => {
+    const numbers = createRandomArray(sortSize).sort();
+    return `${numbers.length.toLocaleString()} numbers, sorted: ${isSorted(numbers)}`;
+  });
 
   const processInWorker = () => {
-    const data = Array.from({ length: 1000 }, (_, i) => i);
-    workerRef.current.startTime = performance.now();
-    workerRef.current.postMessage({ type: 'PROCESS_DATA', data });
+    const data = createDataset();
+    processData.run(data, { transfer: [data.buffer] });
   };
 
-  const calculateFibonacci = (useWorker) => {
-    const n = 40;
-
-    if (useWorker) {
-      workerRef.current.startTime = performance.now();
-      workerRef.current.postMessage({ type: 'CALCULATE_FIBONACCI', data: n });
-    } else {
-      setIsMainThreadBlocked(true);
-      const startTime = performance.now();
+  const sortInWorker = () => {
+    // Transferred, not copied - `numbers` is empty on this side afterwards
+    const numbers = createRandomArray(sortSize);
+    sortArray.run(numbers, { transfer: [numbers.buffer] });
+  };
 
-      const fib = (num) => {
-        if (num <= 1) return num;
-        let a = 0, b = 1;
-        for (let i = 2; i <= num; i++) {
-          [a, b] = [b, a + b];
-        }
-        return b;
-      };
-
-      const result = fib(n);
-      const endTime = performance.now();
-      setMainThreadTime(endTime - startTime);
-      setMainThreadResult(result);
-      setIsMainThreadBlocked(false);
-    }
+  const runAllInWorkers = () => {
+    processInWorker();
+    fibonacci.run(FIBONACCI_N);
+    sortInWorker();
   };
 
   return (
@@ -106,6 +124,17 @@ export function WebWorkerDemo() {
         )}
       </div>
 
+      <div className="controls">
+        <label>
+          Numbers to sort:{' '}
+          <select value={sortSize} onChange={(e) => setSortSize(Number(e.target.value))}>
+            {SORT_SIZES.map(size => (
+              <option key={size} value={size}>{size.toLocaleString()}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
       <div className="comparison-grid">
         <div className="component-box">
           <h3>❌ Main Thread Computation</h3>
@@ -118,12 +147,19 @@ export function WebWorkerDemo() {
             Process in Main Thread
           </button>
           <button
-            onClick={() => calculateFibonacci(false)}
+            onClick={fibonacciInMainThread}
             disabled={isMainThreadBlocked}
             className="btn-primary"
           >
             Calculate Fibonacci
           </button>
+          <button
+            onClick={sortInMainThread}
+            disabled={isMainThreadBlocked}
+            className="btn-primary"
+          >
+            Sort Large Array
+          </button>
           {mainThreadResult && (
             <div className="result">
               <p><strong>Result:</strong> {mainThreadResult}</p>
@@ -135,24 +171,30 @@ export function WebWorkerDemo() {
         <div className="component-box">
           <h3>✅ Web Worker Computation</h3>
           <p className="info">UI remains responsive</p>
-          <button
-            onClick={processInWorker}
-            className="btn-primary"
-          >
+          <button onClick={processInWorker} className="btn-primary">
             Process in Worker
           </button>
-          <button
-            onClick={() => calculateFibonacci(true)}
-            className="btn-primary"
-          >
+          <button onClick={() => fibonacci.run(FIBONACCI_N)} className="btn-primary">
             Calculate Fibonacci
           </button>
-          {workerResult && (
-            <div className="result">
-              <p><strong>Result:</strong> {workerResult}</p>
-              <p><strong>Time:</strong> {workerTime.toFixed(2)}ms</p>
-            </div>
+          <button onClick={sortInWorker} className="btn-primary">
+            Sort Large Array
+          </button>
+          <button onClick={runAllInWorkers} className="btn-primary">
+            Run All at Once
+          </button>
+          {sortArray.status === 'running' && (
+            <button onClick={sortArray.cancel} className="btn-primary">
+              Cancel Sort
+            </button>
           )}
+          <WorkerResult label="Process data" call={processData} format={(result) => result[0].toFixed(2)} />
+          <WorkerResult label="Fibonacci" call={fibonacci} format={(result) => result} />
+          <WorkerResult
+            label="Sort"
+            call={sortArray}
+            format={(result) => `${result.length.toLocaleString()} numbers, sorted: ${isSorted(result)}`}
+          />
         </div>
       </div>
 
@@ -161,6 +203,8 @@ export function WebWorkerDemo() {
         <ul>
           <li><strong>Main Thread:</strong> Blocks UI, user experience suffers during computation</li>
           <li><strong>Web Worker:</strong> UI remains responsive, computation runs in parallel</li>
+          <li><strong>Worker pool:</strong> Concurrent requests run on separate workers and never mix up their replies</li>
+          <li><strong>Transferables:</strong> Typed arrays are moved between threads instead of copied</li>
           <li><strong>Best for:</strong> Image processing, data parsing, complex calculations</li>
         </ul>
       </div>
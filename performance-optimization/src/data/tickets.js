@@ -0,0 +1,98 @@
+// Support tickets for the virtual scrolling demo. Every ticket is generated
+// from its id, so the same id always gives the same text, and the message
+// lengths vary a lot, from one line to a long paragraph. fetchTickets serves
+// them one page at a time, like a paginated API.
+
+const SUBJECTS = [
+  'Cannot log in after password reset',
+  'Invoice shows the wrong billing address',
+  'Export to CSV drops non-ASCII characters',
+  'Dashboard is slow with more than 50 widgets',
+  'Feature request: dark mode for reports',
+  'Webhook deliveries failing with 502',
+  'Duplicate charge on annual plan',
+  'Mobile app crashes when uploading photos',
+  'SSO users are logged out every hour',
+  'Search does not find archived projects',
+  'API rate limit hit sooner than documented',
+  'Team member cannot see shared folder',
+];
+
+const SENTENCES = [
+  'This started happening this morning.',
+  'We have tried clearing the cache and using a different browser, but nothing changed.',
+  'It only affects some of our users, mostly the ones on the EU workspace.',
+  'Attached is a screenshot of the error message we get.',
+  'Our finance team needs this sorted before the end of the month, so any update would be much appreciated.',
+  'Steps to reproduce: open the project, switch to the timeline view, then filter by assignee and scroll down past the first hundred rows.',
+  'Is there a workaround we can use in the meantime?',
+  'We upgraded to the latest version last week, and I am not sure if that is related.',
+  'Thanks!',
+  'The same thing happened in March and support fixed it by re-syncing our account, so maybe that would help here too.',
+  'Happy to jump on a call if that is easier.',
+  'Logs show a timeout after about thirty seconds, followed by a retry that also fails.',
+];
+
+const CUSTOMERS = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Health', 'Hooli', 'Stark Industries', 'Wayne Enterprises', 'Soylent'];
+const STATUSES = ['open', 'pending', 'resolved'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Small seeded PRNG (mulberry32), so data is stable across reloads
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+export function createTicket(id) {
+  const random = createRandom(id);
+  const sentenceCount = 1 + Math.floor(random() ** 2 * 8);
+
+  return {
+    id,
+    subject: pick(random, SUBJECTS),
+    customer: pick(random, CUSTOMERS),
+    status: pick(random, STATUSES),
+    priority: pick(random, PRIORITIES),
+    message: Array.from({ length: sentenceCount }, () => pick(random, SENTENCES)).join(' '),
+    replies: 0,
+  };
+}
+
+/**
+ * A later version of `ticket`: new status and an agent reply appended to the
+ * message, which usually changes how tall its row is.
+ */
+export function reviseTicket(ticket) {
+  const random = createRandom(ticket.id * 31 + ticket.replies + 1);
+  return {
+    ...ticket,
+    status: pick(random, STATUSES),
+    replies: ticket.replies + 1,
+    message: `${ticket.message} [Agent] ${pick(random, SENTENCES)}`,
+  };
+}
+
+/**
+ * One page of tickets, newest (highest id) first.
+ *
+ * @param {{ offset: number, limit: number, total: number, latency?: number }} options
+ * @returns {Promise<{ rows: object[], total: number }>}
+ */
+export function fetchTickets({ offset, limit, total, latency = 400 }) {
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      const end = Math.min(offset + limit, total);
+      const rows = [];
+      for (let i = offset; i < end; i++) rows.push(createTicket(total - i));
+      resolve({ rows, total });
+    }, latency);
+  });
+}
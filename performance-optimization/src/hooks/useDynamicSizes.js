@@ -0,0 +1,150 @@
+import { useCallback, useLayoutEffect, useRef } from 'react';
+
+/**
+ * Row heights measured from the rendered content, for react-window's
+ * VariableSizeList / VariableSizeGrid, which otherwise need every size up
+ * front. Rows that haven't rendered yet use `estimatedSize`.
+ *
+ * Sizes are keyed by row (getKey), not index, and the scroll position is
+ * anchored to the first visible row, so the view doesn't jump when rows are
+ * inserted above it or a row above it is measured for the first time.
+ *
+ *   const sizes = useDynamicSizes({ items: rows, getKey: row => row.id, estimatedSize: 96 });
+ *   <VariableSizeList ref={sizes.listRef} itemSize={sizes.itemSize}
+ *     onScroll={sizes.onScroll} onItemsRendered={sizes.onItemsRendered} ... />
+ *
+ * Pass `grid: true` for a VariableSizeGrid (rowHeight={sizes.itemSize}).
+ */
+export function useDynamicSizes({ items, getKey, estimatedSize, grid = false }) {
+  const listRef = useRef(null);
+  const sizes = useRef(new Map());
+  const scrollOffset = useRef(0);
+  const firstVisibleIndex = useRef(0);
+  const pending = useRef({ index: Infinity, scrollAdjustment: 0, frame: null });
+  const previousItems = useRef(items);
+
+  const sizeOf = useCallback((item) => sizes.current.get(getKey(item)) ?? estimatedSize, [getKey, estimatedSize]);
+
+  const itemSize = useCallback((index) => (items[index] ? sizeOf(items[index]) : estimatedSize), [items, sizeOf, estimatedSize]);
+
+  const offsetOf = useCallback((list, index) => {
+    let offset = 0;
+    for (let i = 0; i < index; i++) offset += sizeOf(list[i]);
+    return offset;
+  }, [sizeOf]);
+
+  // The row under `offset`, and how far into it `offset` is
+  const rowAt = useCallback((list, offset) => {
+    let top = 0;
+    for (let i = 0; i < list.length; i++) {
+      const size = sizeOf(list[i]);
+      if (top + size > offset) return { index: i, offsetInRow: offset - top };
+      top += size;
+    }
+    return null;
+  }, [sizeOf]);
+
+  const relayout = useCallback((fromIndex, scrollTo) => {
+    const list = listRef.current;
+    if (!list) return;
+    if (grid) list.resetAfterRowIndex(fromIndex, true);
+    else list.resetAfterIndex(fromIndex, true);
+    if (scrollTo !== undefined) {
+      scrollOffset.current = scrollTo;
+      list.scrollTo(grid ? { scrollTop: scrollTo } : scrollTo);
+    }
+  }, [grid]);
+
+  /** Report a row's rendered height (see useMeasuredRef). */
+  const setSize = useCallback((item, index, size) => {
+    const key = getKey(item);
+    const previous = sizes.current.get(key) ?? estimatedSize;
+    if (sizes.current.get(key) === size) return;
+    sizes.current.set(key, size);
+
+    const batch = pending.current;
+    batch.index = Math.min(batch.index, index);
+    // A row above the viewport grew or shrank - move with it
+    if (index < firstVisibleIndex.current) batch.scrollAdjustment += size - previous;
+
+    // Relayout once per frame, from the first row that changed
+    if (batch.frame === null) {
+      batch.frame = requestAnimationFrame(() => {
+        const { index: fromIndex, scrollAdjustment } = batch;
+        pending.current = { index: Infinity, scrollAdjustment: 0, frame: null };
+        relayout(fromIndex, scrollAdjustment ? scrollOffset.current + scrollAdjustment : undefined);
+      });
+    }
+  }, [getKey, estimatedSize, relayout]);
+
+  // New rows: keep the row that was at the top of the viewport where it was.
+  // The anchor is taken while rendering, before rows that are about to mount
+  // measure themselves and change the old layout.
+  const anchor = useRef(null);
+  if (items !== previousItems.current && anchor.current?.items !== items) {
+    const top = rowAt(previousItems.current, scrollOffset.current);
+    anchor.current = top && { items, key: getKey(previousItems.current[top.index]), offsetInRow: top.offsetInRow };
+  }
+
+  // Also re-runs when an inline getKey changes identity - the check below
+  // makes that a no-op
+  useLayoutEffect(() => {
+    if (items === previousItems.current) return;
+    previousItems.current = items;
+    const current = anchor.current?.items === items ? anchor.current : null;
+    anchor.current = null;
+
+    const newIndex = current ? items.findIndex(item => getKey(item) === current.key) : -1;
+    if (newIndex === -1) {
+      relayout(0);
+      return;
+    }
+
+    // Uses every size known so far, so pending adjustments are already in it
+    const newOffset = offsetOf(items, newIndex) + current.offsetInRow;
+    pending.current.scrollAdjustment = 0;
+    firstVisibleIndex.current = newIndex;
+    relayout(0, newOffset === scrollOffset.current ? undefined : newOffset);
+  }, [items, getKey, offsetOf, relayout]);
+
+  useLayoutEffect(() => () => cancelAnimationFrame(pending.current.frame), []);
+
+  const onScroll = useCallback((event) => {
+    scrollOffset.current = grid ? event.scrollTop : event.scrollOffset;
+  }, [grid]);
+
+  const onItemsRendered = useCallback((event) => {
+    firstVisibleIndex.current = grid ? event.visibleRowStartIndex : event.visibleStartIndex;
+  }, [grid]);
+
+  return { listRef, itemSize, setSize, onScroll, onItemsRendered };
+}
+
+/**
+ * Ref for an element whose `{ width, height }` should be reported to
+ * `onSize` - once after it mounts and again whenever it resizes (e.g. text
+ * re-wrapping).
+ */
+export function useMeasuredRef(onSize) {
+  const ref = useRef(null);
+  const onSizeRef = useRef(onSize);
+  onSizeRef.current = onSize;
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    if (!element) return undefined;
+
+    const report = () => {
+      const { width, height } = element.getBoundingClientRect();
+      onSizeRef.current({ width: Math.floor(width), height: Math.ceil(height) });
+    };
+    report();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(report);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  return ref;
+}
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const EMPTY = { rows: [], loaded: 0, total: null, loading: false, error: null };
+
+/**
+ * Rows loaded a page at a time from `fetchPage({ offset, limit })`, which
+ * resolves to `{ rows, total }`. Call `loadMore` when the user nears the end
+ * of what's loaded; calls while a page is in flight are ignored. A new
+ * `fetchPage` starts over from the first page.
+ *
+ * `updateRows(rows => nextRows)` changes the loaded rows locally (rows
+ * arriving in real time, edits) without affecting which page loads next.
+ */
+export function useInfiniteRows(fetchPage, { pageSize = 50 } = {}) {
+  const [state, setState] = useState(EMPTY);
+  // Replaced whenever fetchPage changes, so late pages from the old source are dropped
+  const request = useRef({ offset: 0, total: null, inFlight: false });
+
+  const loadMore = useCallback(async () => {
+    const current = request.current;
+    if (current.inFlight || (current.total !== null && current.offset >= current.total)) return;
+
+    current.inFlight = true;
+    setState(s => ({ ...s, loading: true, error: null }));
+    try {
+      const page = await fetchPage({ offset: current.offset, limit: pageSize });
+      if (current !== request.current) return;
+      current.offset += page.rows.length;
+      current.total = page.total;
+      setState(s => ({
+        rows: [...s.rows, ...page.rows],
+        loaded: current.offset,
+        total: page.total,
+        loading: false,
+        error: null,
+      }));
+    } catch (error) {
+      if (current !== request.current) return;
+      setState(s => ({ ...s, loading: false, error }));
+    } finally {
+      current.inFlight = false;
+    }
+  }, [fetchPage, pageSize]);
+
+  useEffect(() => {
+    request.current = { offset: 0, total: null, inFlight: false };
+    setState(EMPTY);
+    loadMore();
+  }, [loadMore]);
+
+  const updateRows = useCallback((update) => {
+    setState(s => ({ ...s, rows: update(s.rows) }));
+  }, []);
+
+  const hasMore = state.total === null || state.loaded < state.total;
+
+  return { ...state, hasMore, loadMore, updateRows };
+}
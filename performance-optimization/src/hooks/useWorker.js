@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getDataProcessorPool } from '../workers/workerPool.js';
+
+const IDLE = { status: 'idle', progress: 0, result: null, error: null, duration: null };
+
+/**
+ * Run one worker method from a component, e.g.
+ *   const sort = useWorker('sortArray');
+ *   sort.run(numbers, { transfer: [numbers.buffer] });
+ *
+ * Starting a new run cancels the previous one, and unmounting cancels
+ * whatever is still running. `status` is 'idle' | 'running' | 'done' |
+ * 'error' | 'cancelled'.
+ *
+ * @template {keyof import('../workers/workerPool.js').DataProcessorMethods} M
+ * @param {M} method
+ * @param {{ pool?: import('../workers/workerPool.js').WorkerPool }} [options]
+ */
+export function useWorker(method, { pool } = {}) {
+  const [state, setState] = useState(IDLE);
+  const controllerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+  }, []);
+
+  const run = useCallback(async (payload, { transfer } = {}) => {
+    cancel();
+    const runId = ++runIdRef.current;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const startTime = performance.now();
+    setState({ ...IDLE, status: 'running' });
+
+    try {
+      const result = await (pool ?? getDataProcessorPool()).request(method, payload, {
+        transfer,
+        signal: controller.signal,
+        onProgress: (progress) => setState(prev => ({ ...prev, progress })),
+      });
+      setState({ status: 'done', progress: 1, result, error: null, duration: performance.now() - startTime });
+      return result;
+    } catch (error) {
+      // Cancelled because a newer run started - that run owns the state now
+      if (runIdRef.current !== runId) return undefined;
+      setState(prev => ({
+        ...prev,
+        status: error.name === 'AbortError' ? 'cancelled' : 'error',
+        error,
+        duration: performance.now() - startTime,
+      }));
+      return undefined;
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  }, [method, pool, cancel]);
+
+  useEffect(() => cancel, [cancel]);
+
+  return { ...state, run, cancel };
+}
@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { metricsCollector } from './utils/performanceMetrics.js';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -16,18 +17,5 @@ if (performance && performance.memory) {
   console.log('- Memory Limit:', (performance.memory.jsHeapSizeLimit / 1048576).toFixed(2), 'MB');
 }
 
-// Performance observer for tracking long tasks
-if ('PerformanceObserver' in window) {
-  try {
-    const observer = new PerformanceObserver((list) => {
-      for (const entry of list.getEntries()) {
-        if (entry.duration > 50) {
-          console.warn('⚠️ Long task detected:', entry.duration.toFixed(2), 'ms');
-        }
-      }
-    });
-    observer.observe({ entryTypes: ['longtask', 'measure'] });
-  } catch (e) {
-    // PerformanceObserver may not support all entry types
-  }
-}
+// Long tasks and Web Vitals, shown in the Metrics dashboard
+metricsCollector.observe();
@@ -0,0 +1,137 @@
+// Dynamic import() with load timing, preloading and retries
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Browsers remember a failed module fetch for that URL, so import()ing it
+// again fails straight away without another request. Chrome and Firefox
+// name the file in the error; a query string makes it a new URL. Only a URL
+// naming this chunk is used - if one of its imports failed, the error names
+// that file instead, and importing it would return the wrong module.
+const failedChunkUrl = (error, match) => {
+  const url = error?.message?.match(/https?:\/\/\S+/)?.[0];
+  if (!url || !url.includes(match)) return null;
+  return url.replace(/[?#].*$/, '');
+};
+
+// The browser's own timing for the chunk's file, if it fetched one. Dev
+// serves the source module, builds a hashed chunk - both contain `match`.
+const findResourceTiming = (match) => {
+  if (typeof performance.getEntriesByType !== 'function') return null;
+  const entry = performance.getEntriesByType('resource').filter(e => e.name.includes(match)).at(-1);
+  if (!entry) return null;
+  return {
+    fileName: new URL(entry.name).pathname.split('/').pop(),
+    duration: entry.duration,
+    transferSize: entry.transferSize,
+  };
+};
+
+/**
+ * One lazily loaded chunk. Every caller shares a single import() - whether
+ * it came from rendering, a hover preload or an idle preload - and each load
+ * is recorded with what triggered it, how long it took and how many attempts
+ * it needed. A failed import() is retried with exponential backoff, from a
+ * cache-busted URL where the browser reports which file failed; if every
+ * attempt fails the load rejects and the next call starts over.
+ *
+ *   const charts = new ChunkLoader('Charts', () => import('./Charts.jsx'));
+ *   const Chart = lazy(() => charts.load().then(m => ({ default: m.Chart })));
+ *   <button onMouseEnter={() => charts.preload('hover')}>
+ *
+ * subscribe/getSnapshot follow the useSyncExternalStore contract.
+ */
+export class ChunkLoader {
+  constructor(name, importer, { retries = 2, retryDelay = 500 } = {}) {
+    this.name = name;
+    this.importer = importer;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.promise = null;
+    this.retryUrl = null;
+    this.retryCount = 0;
+    this.subscribers = new Set();
+    this.notifyPending = false;
+    this.snapshot = { status: 'idle', loads: [], failuresToSimulate: 0 };
+  }
+
+  /**
+   * @param {'render' | 'hover' | 'idle'} [trigger]
+   * @returns {Promise<object>} the module
+   */
+  load(trigger = 'render') {
+    if (!this.promise) {
+      this.promise = this.importWithRetries(trigger);
+      this.update({ status: 'loading' });
+    }
+    return this.promise;
+  }
+
+  // Start loading without waiting - failures are recorded, not thrown
+  preload(trigger) {
+    this.load(trigger).catch(() => {});
+  }
+
+  // Make the next `count` attempts fail, to see retries and error handling
+  simulateFailures(count) {
+    this.update({ failuresToSimulate: count });
+  }
+
+  async importWithRetries(trigger) {
+    const startTime = performance.now();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { failuresToSimulate } = this.snapshot;
+        if (failuresToSimulate > 0) {
+          this.update({ failuresToSimulate: failuresToSimulate - 1 });
+          throw new Error(`Failed to fetch dynamically imported module: ${this.name} (simulated)`);
+        }
+        const module = this.retryUrl
+          ? await import(/* @vite-ignore */ `${this.retryUrl}?retry=${++this.retryCount}`)
+          : await this.importer();
+        this.record({ trigger, status: 'loaded', attempts: attempt, startTime });
+        return module;
+      } catch (error) {
+        // Kept for later loads too - the original URL stays broken
+        this.retryUrl = failedChunkUrl(error, this.name) ?? this.retryUrl;
+        if (attempt > this.retries) {
+          this.promise = null;
+          this.record({ trigger, status: 'failed', attempts: attempt, startTime, error: error.message });
+          throw error;
+        }
+        await sleep(this.retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  record({ trigger, status, attempts, startTime, error = null }) {
+    const load = {
+      trigger,
+      status,
+      attempts,
+      duration: performance.now() - startTime,
+      resource: status === 'loaded' ? findResourceTiming(this.name) : null,
+      error,
+    };
+    this.update({ status, loads: [...this.snapshot.loads, load] });
+  }
+
+  // React.lazy calls load() while rendering, so subscribers hear about it
+  // afterwards rather than in the middle of a render
+  update(changes) {
+    this.snapshot = { ...this.snapshot, ...changes };
+    if (this.notifyPending) return;
+    this.notifyPending = true;
+    queueMicrotask(() => {
+      this.notifyPending = false;
+      this.subscribers.forEach(callback => callback());
+    });
+  }
+
+  subscribe = (callback) => {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  };
+
+  getSnapshot = () => this.snapshot;
+}
@@ -1,54 +1,161 @@
 // Performance metrics tracking utility
-export class PerformanceMetrics {
+import { onCLS, onINP, onLCP } from 'web-vitals';
+
+// Keep memory flat however long the demos run
+const MAX_COMMITS_PER_VARIANT = 500;
+const MAX_LONG_TASKS = 500;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const summarize = (durations) => {
+  if (durations.length === 0) return { count: 0, total: 0, average: 0, max: 0 };
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+  return {
+    count: durations.length,
+    total: round(total),
+    average: round(total / durations.length),
+    max: round(Math.max(...durations)),
+  };
+};
+
+/**
+ * Collects React Profiler commits, long tasks and Web Vitals, attributed to
+ * the demo that was on screen when they happened. Commits are grouped by
+ * variant (e.g. "optimized" / "unoptimized") so the two can be compared.
+ * subscribe/getSnapshot follow the useSyncExternalStore contract.
+ */
+export class MetricsCollector {
   constructor() {
-    this.metrics = {};
+    this.activeDemo = null;
+    this.subscribers = new Set();
+    this.disconnect = null;
+    this.reset();
   }
 
-  start(name) {
-    this.metrics[name] = {
-      startTime: performance.now(),
-      startMemory: performance.memory ? performance.memory.usedJSHeapSize : null,
-    };
+  reset() {
+    this.commits = {};      // { [demo]: { [variant]: Commit[] } }
+    this.longTasks = [];
+    this.vitals = {};       // { [name]: { value, rating, demo } } - latest report
+    this.vitalHistory = [];
+    this.notify();
+  }
+
+  setActiveDemo(demo) {
+    this.activeDemo = demo;
+  }
+
+  // React <Profiler> onRender callback for `demo`/`variant`
+  recordCommit(demo, variant, { phase, actualDuration, baseDuration, commitTime }) {
+    const variants = (this.commits[demo] ??= {});
+    const commits = (variants[variant] ??= []);
+    commits.push({ phase, actualDuration, baseDuration, commitTime });
+    if (commits.length > MAX_COMMITS_PER_VARIANT) commits.shift();
+    this.notify();
+  }
+
+  recordLongTask({ startTime, duration }) {
+    this.longTasks.push({ demo: this.activeDemo, startTime, duration });
+    if (this.longTasks.length > MAX_LONG_TASKS) this.longTasks.shift();
+    this.notify();
+  }
+
+  recordVital({ name, value, rating }) {
+    const report = { name, value, rating, demo: this.activeDemo, time: performance.now() };
+    this.vitals[name] = report;
+    this.vitalHistory.push(report);
+    this.notify();
   }
 
-  end(name) {
-    if (!this.metrics[name]) {
-      console.warn(`No start metric found for: ${name}`);
-      return null;
+  /**
+   * Start observing long tasks and Web Vitals. Returns a function that stops
+   * the long task observer (web-vitals can't be unsubscribed).
+   */
+  observe() {
+    if (this.disconnect) return this.disconnect;
+
+    let observer = null;
+    if (typeof PerformanceObserver !== 'undefined' &&
+        PerformanceObserver.supportedEntryTypes?.includes('longtask')) {
+      observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          this.recordLongTask(entry);
+        });
+      });
+      observer.observe({ type: 'longtask', buffered: true });
     }
 
-    const endTime = performance.now();
-    const endMemory = performance.memory ? performance.memory.usedJSHeapSize : null;
+    // reportAllChanges: show values as they change, not only when the page is hidden
+    const report = (metric) => this.recordVital(metric);
+    onLCP(report, { reportAllChanges: true });
+    onINP(report, { reportAllChanges: true });
+    onCLS(report, { reportAllChanges: true });
 
-    const result = {
-      name,
-      duration: endTime - this.metrics[name].startTime,
-      memoryDelta: endMemory && this.metrics[name].startMemory
-        ? endMemory - this.metrics[name].startMemory
-        : null,
+    this.disconnect = () => {
+      observer?.disconnect();
+      this.disconnect = null;
     };
-
-    delete this.metrics[name];
-    return result;
+    return this.disconnect;
   }
 
-  measureRender(componentName, callback) {
-    this.start(componentName);
-    const result = callback();
-    const metrics = this.end(componentName);
-    console.log(`[Performance] ${componentName}:`, metrics);
-    return result;
+  subscribe = (subscriber) => {
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  };
+
+  // Built on demand: recordCommit() runs inside React's commit, so it only
+  // marks the snapshot stale rather than adding to the durations it measures
+  getSnapshot = () => {
+    if (this.dirty) {
+      this.snapshot = this.buildSnapshot();
+      this.dirty = false;
+    }
+    return this.snapshot;
+  };
+
+  notify() {
+    this.dirty = true;
+    this.subscribers.forEach((subscriber) => subscriber());
   }
-}
 
-export const metrics = new PerformanceMetrics();
+  buildSnapshot() {
+    const demos = new Set([...Object.keys(this.commits), ...this.longTasks.map(task => task.demo)]);
+    demos.delete(null);
 
-// Custom hook for measuring component render time
-export function useRenderMetrics(componentName) {
-  const renderCount = React.useRef(0);
+    return {
+      demos: [...demos].map((demo) => {
+        const longTasks = this.longTasks.filter(task => task.demo === demo);
+        return {
+          demo,
+          variants: Object.entries(this.commits[demo] ?? {}).map(([variant, commits]) => ({
+            variant,
+            ...summarize(commits.map(commit => commit.actualDuration)),
+            recent: commits.slice(-50).map(commit => round(commit.actualDuration)),
+          })),
+          longTasks: summarize(longTasks.map(task => task.duration)),
+          vitals: this.vitalHistory.filter(vital => vital.demo === demo),
+        };
+      }),
+      vitals: { ...this.vitals },
+      longTaskCount: this.longTasks.length,
+    };
+  }
 
-  React.useEffect(() => {
-    renderCount.current += 1;
-    console.log(`[Render] ${componentName} rendered ${renderCount.current} times`);
-  });
+  // Everything recorded, for comparing runs outside the app
+  toJSON() {
+    return {
+      exportedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      summary: this.getSnapshot().demos.map(({ demo, variants, longTasks }) => ({
+        demo,
+        variants: variants.map(({ recent: _recent, ...stats }) => stats),
+        longTasks,
+      })),
+      vitals: this.vitals,
+      vitalHistory: this.vitalHistory,
+      commits: this.commits,
+      longTasks: this.longTasks,
+    };
+  }
 }
+
+export const metricsCollector = new MetricsCollector();
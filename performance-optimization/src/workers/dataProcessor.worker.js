@@ -1,45 +1,66 @@
-// Web Worker for heavy computations
-self.onmessage = function(e) {
-  const { type, data } = e.data;
+// Web Worker for heavy computations, called through WorkerPool
+import { exposeMethods } from './workerRpc.js';
 
-  switch (type) {
-    case 'PROCESS_DATA':
-      const result = processLargeDataset(data);
-      self.postMessage({ type: 'RESULT', data: result });
-      break;
+// How many items to process between progress reports
+const CHUNK_SIZE = 50;
+const SORT_RUN_SIZE = 1 << 16;
 
-    case 'CALCULATE_FIBONACCI':
-      const fib = calculateFibonacci(data);
-      self.postMessage({ type: 'FIBONACCI_RESULT', data: fib });
-      break;
+exposeMethods({
+  async processData(data, { progress }) {
+    const processed = new Float64Array(data.length);
+    for (let start = 0; start < data.length; start += CHUNK_SIZE) {
+      const end = Math.min(start + CHUNK_SIZE, data.length);
+      for (let i = start; i < end; i++) {
+        // Simulate heavy computation
+        let result = data[i];
+        for (let j = 0; j < 10000; j++) {
+          result = Math.sqrt(result * result + 1);
+        }
+        processed[i] = result;
+      }
+      await progress(end / data.length);
+    }
+    return processed;
+  },
 
-    case 'SORT_LARGE_ARRAY':
-      const sorted = data.sort((a, b) => a - b);
-      self.postMessage({ type: 'SORTED_RESULT', data: sorted });
-      break;
+  fibonacci(n) {
+    if (n <= 1) return n;
+    let a = 0, b = 1;
+    for (let i = 2; i <= n; i++) {
+      [a, b] = [b, a + b];
+    }
+    return b;
+  },
 
-    default:
-      self.postMessage({ type: 'ERROR', data: 'Unknown operation' });
-  }
-};
+  // Bottom-up merge sort: sort fixed-size runs, then merge them pairwise, so
+  // progress can be reported (and the call cancelled) between steps
+  async sortArray(data, { progress }) {
+    const totalSteps = Math.ceil(data.length / SORT_RUN_SIZE) + Math.ceil(Math.log2(Math.max(1, data.length / SORT_RUN_SIZE)));
+    let step = 0;
 
-function processLargeDataset(data) {
-  // Simulate heavy computation
-  const processed = data.map(item => {
-    let result = item;
-    for (let i = 0; i < 10000; i++) {
-      result = Math.sqrt(result * result + 1);
+    for (let start = 0; start < data.length; start += SORT_RUN_SIZE) {
+      data.subarray(start, start + SORT_RUN_SIZE).sort();
+      await progress(++step / totalSteps);
     }
-    return result;
-  });
-  return processed;
-}
 
-function calculateFibonacci(n) {
-  if (n <= 1) return n;
-  let a = 0, b = 1;
-  for (let i = 2; i <= n; i++) {
-    [a, b] = [b, a + b];
+    let source = data;
+    let target = new Float64Array(data.length);
+    for (let width = SORT_RUN_SIZE; width < data.length; width *= 2) {
+      for (let left = 0; left < data.length; left += 2 * width) {
+        merge(source, target, left, Math.min(left + width, data.length), Math.min(left + 2 * width, data.length));
+      }
+      [source, target] = [target, source];
+      await progress(++step / totalSteps);
+    }
+    return source;
+  },
+});
+
+function merge(source, target, left, middle, right) {
+  let i = left, j = middle, k = left;
+  while (i < middle && j < right) {
+    target[k++] = source[i] <= source[j] ? source[i++] : source[j++];
   }
-  return b;
+  while (i < middle) target[k++] = source[i++];
+  while (j < right) target[k++] = source[j++];
 }
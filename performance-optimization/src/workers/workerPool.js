@@ -0,0 +1,193 @@
+// Promise-based RPC over a pool of Web Workers.
+//
+// Every call gets its own id, so any number of requests can be in flight at
+// once and each reply resolves the right promise. Messages:
+//
+//   main -> worker  { id, type: 'call', method, payload }
+//                   { id, type: 'cancel' }
+//   worker -> main  { id, type: 'progress', progress }   0..1
+//                   { id, type: 'result', result }
+//                   { id, type: 'error', error: { name, message } }
+//
+// The worker side of the protocol lives in workerRpc.js.
+
+/**
+ * Methods exposed by dataProcessor.worker.js, with their payload and result.
+ *
+ * @typedef {Object} DataProcessorMethods
+ * @property {{ payload: Float64Array, result: Float64Array }} processData
+ * @property {{ payload: number, result: number }} fibonacci
+ * @property {{ payload: Float64Array, result: Float64Array }} sortArray
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {Transferable[]} [transfer] moved to the worker instead of copied
+ * @property {(progress: number) => void} [onProgress]
+ * @property {AbortSignal} [signal] aborting rejects the call with an AbortError
+ */
+
+export const DEFAULT_POOL_SIZE = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1));
+
+const createAbortError = () => new DOMException('The worker request was cancelled', 'AbortError');
+
+const toError = ({ name, message }) => {
+  if (name === 'AbortError') return createAbortError();
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+export class WorkerPool {
+  /**
+   * @param {() => Worker} createWorker
+   * @param {{ size?: number }} [options]
+   */
+  constructor(createWorker, { size = DEFAULT_POOL_SIZE } = {}) {
+    this.createWorker = createWorker;
+    this.size = size;
+    this.workers = [];      // { worker, requestId }
+    this.queue = [];        // requests waiting for an idle worker
+    this.requests = new Map();
+    this.nextId = 1;
+    this.terminated = false;
+  }
+
+  /**
+   * Call `method` in the first idle worker. Resolves with its result, or
+   * rejects with the error it threw.
+   *
+   * @template {keyof DataProcessorMethods} M
+   * @param {M} method
+   * @param {DataProcessorMethods[M]['payload']} payload
+   * @param {RequestOptions} [options]
+   * @returns {Promise<DataProcessorMethods[M]['result']>}
+   */
+  request(method, payload, { transfer = [], onProgress, signal } = {}) {
+    if (this.terminated) {
+      return Promise.reject(new Error('The worker pool has been terminated'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = { id: this.nextId++, method, payload, transfer, onProgress, resolve, reject };
+      this.requests.set(request.id, request);
+
+      if (signal) {
+        const abort = () => this.cancel(request.id);
+        signal.addEventListener('abort', abort, { once: true });
+        request.cleanup = () => signal.removeEventListener('abort', abort);
+      }
+
+      this.queue.push(request);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Cancel a queued or running request. Its promise rejects straight away; a
+   * running worker stops at its next progress checkpoint and is then reused.
+   */
+  cancel(id) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    const queued = this.queue.indexOf(request);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    } else {
+      this.workers.find(slot => slot.requestId === id)?.worker.postMessage({ id, type: 'cancel' });
+    }
+    this.settle(id, { error: createAbortError() });
+  }
+
+  terminate() {
+    this.terminated = true;
+    this.workers.forEach(({ worker }) => worker.terminate());
+    this.workers = [];
+    this.queue = [];
+    [...this.requests.keys()].forEach(id => this.settle(id, { error: new Error('The worker pool has been terminated') }));
+  }
+
+  /** Counts for debugging and the demo UI. */
+  get stats() {
+    return {
+      workers: this.workers.length,
+      busy: this.workers.filter(slot => slot.requestId !== null).length,
+      queued: this.queue.length,
+    };
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.workers.find(({ requestId }) => requestId === null) ?? this.spawn();
+      if (!slot) return;
+
+      const request = this.queue.shift();
+      slot.requestId = request.id;
+      slot.worker.postMessage(
+        { id: request.id, type: 'call', method: request.method, payload: request.payload },
+        request.transfer
+      );
+    }
+  }
+
+  spawn() {
+    if (this.workers.length >= this.size) return null;
+
+    const slot = { worker: this.createWorker(), requestId: null };
+    slot.worker.onmessage = (e) => this.handleMessage(slot, e.data);
+    // An uncaught error kills whatever the worker was doing - fail that call
+    // and start over with a fresh worker
+    slot.worker.onerror = (e) => {
+      e.preventDefault?.();
+      const { requestId } = slot;
+      slot.worker.terminate();
+      this.workers = this.workers.filter(other => other !== slot);
+      if (requestId !== null) {
+        this.settle(requestId, { error: new Error(e.message || 'The worker crashed') });
+      }
+      this.dispatch();
+    };
+    this.workers.push(slot);
+    return slot;
+  }
+
+  handleMessage(slot, { id, type, progress, result, error }) {
+    if (type === 'progress') {
+      this.requests.get(id)?.onProgress?.(progress);
+      return;
+    }
+
+    // result or error: the worker is free again, even if the caller already
+    // gave up on this request
+    if (slot.requestId === id) slot.requestId = null;
+    this.settle(id, type === 'error' ? { error: toError(error) } : { result });
+    this.dispatch();
+  }
+
+  settle(id, { result, error }) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    this.requests.delete(id);
+    request.cleanup?.();
+    if (error) request.reject(error);
+    else request.resolve(result);
+  }
+}
+
+let dataProcessorPool = null;
+
+// One pool for the whole app, created on first use
+export function getDataProcessorPool() {
+  if (!dataProcessorPool) {
+    dataProcessorPool = new WorkerPool(() => new Worker(
+      new URL('./dataProcessor.worker.js', import.meta.url),
+      { type: 'module' }
+    ));
+  }
+  return dataProcessorPool;
+}
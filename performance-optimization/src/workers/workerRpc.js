@@ -0,0 +1,52 @@
+// Worker side of the WorkerPool protocol (see workerPool.js).
+//
+// Handlers are async and receive a context with `progress(fraction)`, which
+// reports progress and yields to the event loop so a cancel message can be
+// received. Once the call is cancelled, `progress` throws an AbortError.
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const transferablesOf = (value) => (ArrayBuffer.isView(value) ? [value.buffer] : []);
+
+/**
+ * @param {Object<string, (payload: any, context: { progress: (fraction: number) => Promise<void> }) => any>} handlers
+ */
+export function exposeMethods(handlers) {
+  const cancelled = new Set();
+
+  const call = async (id, method, payload) => {
+    const handler = handlers[method];
+    if (!handler) {
+      throw new TypeError(`Unknown method "${method}". Expected one of: ${Object.keys(handlers).join(', ')}`);
+    }
+
+    const progress = async (fraction) => {
+      self.postMessage({ id, type: 'progress', progress: fraction });
+      await yieldToEventLoop();
+      if (cancelled.has(id)) {
+        throw new DOMException('The worker request was cancelled', 'AbortError');
+      }
+    };
+
+    return handler(payload, { progress });
+  };
+
+  self.onmessage = async (e) => {
+    const { id, type, method, payload } = e.data;
+
+    if (type === 'cancel') {
+      cancelled.add(id);
+      return;
+    }
+
+    try {
+      const result = await call(id, method, payload);
+      // Typed arrays go back without a copy
+      self.postMessage({ id, type: 'result', result }, transferablesOf(result));
+    } catch (error) {
+      self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+    } finally {
+      cancelled.delete(id);
+    }
+  };
+}
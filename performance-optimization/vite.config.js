@@ -1,10 +1,13 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { visualizer } from 'rollup-plugin-visualizer';
+import { chunkReport } from './plugins/chunkReport.js';
 
 export default defineConfig(({ mode }) => ({
   plugins: [
     react(),
+    // dist/chunk-report.json, shown in the Code Splitting demo
+    chunkReport(),
     mode === 'analyze' && visualizer({
       open: true,
       filename: 'dist/stats.html',
@@ -12,6 +15,11 @@ export default defineConfig(({ mode }) => ({
       brotliSize: true,
     }),
   ].filter(Boolean),
+  resolve: {
+    // React strips <Profiler> timings from production builds; the profiling
+    // build of react-dom keeps them for the Metrics dashboard
+    alias: mode === 'profile' ? [{ find: /^react-dom$/, replacement: 'react-dom/profiling' }] : [],
+  },
   build: {
     rollupOptions: {
       output: {